@@ -30,9 +30,14 @@ export default async function handler(req, res) {
         supabaseAdmin.from('orders').select('*').eq('status', 'pending').limit(10)
       ]);
 
-      // Calculate total sales
-      const { data: orderItems } = await supabaseAdmin.from('order_items').select('price, quantity');
-      const totalSales = orderItems.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+      // Calculate total sales (net of refunds)
+      const [{ data: orderItems }, { data: refunds }] = await Promise.all([
+        supabaseAdmin.from('order_items').select('price, quantity'),
+        supabaseAdmin.from('refunds').select('amount')
+      ]);
+      const grossSales = orderItems.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+      const totalRefunds = refunds.reduce((sum, refund) => sum + Number(refund.amount), 0);
+      const totalSales = Math.round((grossSales - totalRefunds) * 100) / 100;
 
       // Return dashboard data
       return res.status(200).json({
@@ -41,7 +46,8 @@ export default async function handler(req, res) {
           storeCount,
           productCount,
           orderCount,
-          totalSales
+          totalSales,
+          totalRefunds
         },
         recentOrders,
         pendingOrders
@@ -23,6 +23,8 @@ export default async function handler(req, res) {
               id,
               product_id,
               product_name,
+              variant_name,
+              sku,
               store_id,
               store_name,
               quantity,
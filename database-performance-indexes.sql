@@ -15,6 +15,26 @@ ON products(category, is_available) WHERE is_available = true;
 CREATE INDEX IF NOT EXISTS idx_products_name_search 
 ON products USING gin (name gin_trgm_ops);
 
+-- Ranked search (search_catalog() in schema.sql)
+CREATE INDEX IF NOT EXISTS idx_products_search_vector 
+ON products USING gin (search_vector);
+
+CREATE INDEX IF NOT EXISTS idx_products_name_normalized_search 
+ON products USING gin (normalize_search_text(name) gin_trgm_ops);
+
+-- Catalog listing (cursor pagination, see utils/catalog.js)
+CREATE INDEX IF NOT EXISTS idx_products_catalog_newest 
+ON products(created_at DESC, id DESC) WHERE is_available = true;
+
+CREATE INDEX IF NOT EXISTS idx_products_catalog_price 
+ON products(price, id) WHERE is_available = true;
+
+CREATE INDEX IF NOT EXISTS idx_products_catalog_popular 
+ON products(sales_count DESC, id DESC) WHERE is_available = true;
+
+CREATE INDEX IF NOT EXISTS idx_products_catalog_rating 
+ON products(store_rating DESC, id DESC) WHERE is_available = true;
+
 -- Stores table optimization
 CREATE INDEX IF NOT EXISTS idx_stores_status_category 
 ON stores(status, category) WHERE status = 'active';
@@ -22,6 +42,18 @@ ON stores(status, category) WHERE status = 'active';
 CREATE INDEX IF NOT EXISTS idx_stores_name_search 
 ON stores USING gin (name gin_trgm_ops);
 
+CREATE INDEX IF NOT EXISTS idx_stores_search_vector 
+ON stores USING gin (search_vector);
+
+CREATE INDEX IF NOT EXISTS idx_stores_name_normalized_search 
+ON stores USING gin (normalize_search_text(name) gin_trgm_ops);
+
+CREATE INDEX IF NOT EXISTS idx_stores_catalog_newest 
+ON stores(created_at DESC, id DESC) WHERE status = 'active';
+
+CREATE INDEX IF NOT EXISTS idx_stores_catalog_rating 
+ON stores(rating DESC, id DESC) WHERE status = 'active';
+
 -- Orders table optimization
 CREATE INDEX IF NOT EXISTS idx_orders_customer_created 
 ON orders(customer_id, created_at DESC);
@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../config/database');
+const { getCustomer } = require('../utils/guests');
+
+// How long a key and its stored response are kept for replay
+const IDEMPOTENCY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_TTL_HOURS || '24', 10);
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Middleware factory that makes a POST route safe to retry.
+ * Clients send an `Idempotency-Key` header; the first response for a key is
+ * stored and replayed for retries with the same body. Reusing a key with a
+ * different body is rejected with 409.
+ * @param {string} scope - Route identifier, keys are unique per scope and caller
+ */
+function idempotency(scope) {
+  return async (req, res, next) => {
+    const key = req.headers['idempotency-key'];
+    if (!key) {
+      return next();
+    }
+
+    if (key.length > 255) {
+      return res.status(400).json({ error: 'Idempotency-Key must be at most 255 characters' });
+    }
+
+    const requestHash = sha256(JSON.stringify(req.body || {}));
+
+    try {
+      // Keys belong to the caller (not their token, which rotates) so one client can
+      // never replay another's response. Callers that can't be identified are left
+      // to the route's own auth check - nothing is stored for them.
+      let owner = req.admin ? `admin:${req.admin.id}` : null;
+      if (!owner) {
+        const { customer } = await getCustomer(req);
+        if (!customer) {
+          return next();
+        }
+        owner = customer.userId ? `user:${customer.userId}` : `guest:${customer.guestId}`;
+      }
+      const ownerHash = sha256(owner);
+
+      const claimKey = async () => {
+        const { error: claimError } = await supabaseAdmin
+          .from('idempotency_keys')
+          .insert({
+            key,
+            scope,
+            owner_hash: ownerHash,
+            request_hash: requestHash,
+            expires_at: new Date(Date.now() + IDEMPOTENCY_TTL_HOURS * 60 * 60 * 1000).toISOString()
+          });
+
+        if (!claimError) {
+          return null;
+        }
+
+        // Anything other than a duplicate key is a real failure
+        if (claimError.code !== '23505') {
+          throw claimError;
+        }
+
+        const { data: existing, error: fetchError } = await supabaseAdmin
+          .from('idempotency_keys')
+          .select('*')
+          .eq('key', key)
+          .eq('scope', scope)
+          .eq('owner_hash', ownerHash)
+          .single();
+
+        if (fetchError) {
+          throw fetchError;
+        }
+
+        // Expired key - free it up and claim it again
+        if (new Date(existing.expires_at) <= new Date()) {
+          await supabaseAdmin.from('idempotency_keys').delete().eq('id', existing.id);
+          return claimKey();
+        }
+
+        return existing;
+      };
+
+      const existing = await claimKey();
+
+      if (existing) {
+        if (existing.request_hash !== requestHash) {
+          return res.status(409).json({ error: 'Idempotency-Key has already been used with a different request' });
+        }
+
+        if (existing.response_status === null) {
+          return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed' });
+        }
+
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.response_status).json(existing.response_body);
+      }
+
+      const releaseKey = () => supabaseAdmin
+        .from('idempotency_keys')
+        .delete()
+        .eq('key', key)
+        .eq('scope', scope)
+        .eq('owner_hash', ownerHash);
+
+      // Store the response before sending it
+      let responseStored = false;
+      const originalJson = res.json.bind(res);
+      res.json = (body) => {
+        responseStored = true;
+        const status = res.statusCode;
+        // Server errors and auth failures are not final - release the key so the client can retry
+        const saveResponse = status >= 500 || status === 401 || status === 403
+          ? releaseKey()
+          : supabaseAdmin
+            .from('idempotency_keys')
+            .update({
+              response_status: status,
+              response_body: body,
+              completed_at: new Date().toISOString()
+            })
+            .eq('key', key)
+            .eq('scope', scope)
+            .eq('owner_hash', ownerHash);
+
+        Promise.resolve(saveResponse)
+          .then(({ error }) => {
+            if (error) {
+              console.error('Idempotency response save error:', error);
+            }
+          })
+          .catch(error => console.error('Idempotency response save error:', error))
+          .finally(() => originalJson(body));
+
+        return res;
+      };
+
+      // A response sent some other way (res.send, res.end) is never stored - don't
+      // leave the key "still processing" until it expires
+      res.on('close', () => {
+        if (!responseStored && res.writableFinished) {
+          Promise.resolve(releaseKey())
+            .then(({ error }) => {
+              if (error) {
+                console.error('Idempotency key release error:', error);
+              }
+            })
+            .catch(error => console.error('Idempotency key release error:', error));
+        }
+      });
+
+      next();
+    } catch (error) {
+      console.error('Idempotency middleware error:', error);
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+// Remove expired keys every hour
+setInterval(async () => {
+  const { error } = await supabaseAdmin
+    .from('idempotency_keys')
+    .delete()
+    .lt('expires_at', new Date().toISOString());
+
+  if (error) {
+    console.error('Idempotency cleanup error:', error);
+  }
+}, 60 * 60 * 1000);
+
+module.exports = { idempotency };
@@ -1,6 +1,15 @@
 const express = require('express');
 const { supabaseAdmin } = require('../config/database');
 const { adminAuthMiddleware } = require('../middleware/admin-auth');
+const { idempotency } = require('../middleware/idempotency');
+const { ACTORS, transitionOrder, transitionSubOrder } = require('../utils/order-lifecycle');
+const { getPricingSettings, updatePricingSettings } = require('../utils/pricing');
+const { getDeliverySettings, updateDeliverySettings } = require('../utils/eta');
+const { listDeliverySlots, parseDeliverySlot } = require('../utils/delivery-slots');
+const { parsePromoCode } = require('../utils/promotions');
+const { getOrderPayment, refundPayment } = require('../utils/payments');
+const { recordCodCollection, codDay, codDayRange, buildReconciliation } = require('../utils/cod');
+const { OPEN_DELIVERY_STATUSES, assignDelivery } = require('../utils/deliveries');
 const router = express.Router();
 
 /**
@@ -91,9 +100,14 @@ router.get('/dashboard', adminAuthMiddleware, async (req, res) => {
       supabaseAdmin.from('orders').select('*').eq('status', 'pending').limit(10)
     ]);
 
-    // Calculate total sales
-    const { data: orderItems } = await supabaseAdmin.from('order_items').select('price, quantity');
-    const totalSales = orderItems?.reduce((sum, item) => sum + (item.price * item.quantity), 0) || 0;
+    // Calculate total sales (net of refunds)
+    const [{ data: orderItems }, { data: refunds }] = await Promise.all([
+      supabaseAdmin.from('order_items').select('price, quantity'),
+      supabaseAdmin.from('refunds').select('amount')
+    ]);
+    const grossSales = orderItems?.reduce((sum, item) => sum + (item.price * item.quantity), 0) || 0;
+    const totalRefunds = refunds?.reduce((sum, refund) => sum + Number(refund.amount), 0) || 0;
+    const totalSales = Math.round((grossSales - totalRefunds) * 100) / 100;
 
     // Return dashboard data
     res.json({
@@ -102,7 +116,8 @@ router.get('/dashboard', adminAuthMiddleware, async (req, res) => {
         storeCount: storeCount || 0,
         productCount: productCount || 0,
         orderCount: orderCount || 0,
-        totalSales
+        totalSales,
+        totalRefunds
       },
       recentOrders: recentOrders || [],
       pendingOrders: pendingOrders || []
@@ -116,7 +131,7 @@ router.get('/dashboard', adminAuthMiddleware, async (req, res) => {
 // Get all orders with pagination and filters
 router.get('/orders', adminAuthMiddleware, async (req, res) => {
   try {
-    const { page = 1, limit = 10, status, sortBy = 'created_at', sortOrder = 'desc' } = req.query;
+    const { page = 1, limit = 10, status, delivery_date, sortBy = 'created_at', sortOrder = 'desc' } = req.query;
     const offset = (page - 1) * limit;
 
     // Build query
@@ -129,6 +144,8 @@ router.get('/orders', adminAuthMiddleware, async (req, res) => {
           id,
           product_id,
           product_name,
+          variant_name,
+          sku,
           store_id,
           store_name,
           quantity,
@@ -144,6 +161,12 @@ router.get('/orders', adminAuthMiddleware, async (req, res) => {
       query = query.eq('status', status);
     }
 
+    // Orders booked into a delivery slot on a day (YYYY-MM-DD, UAE time)
+    if (delivery_date) {
+      const { start, end } = codDayRange(delivery_date, delivery_date);
+      query = query.gte('delivery_slot_start', start).lt('delivery_slot_start', end);
+    }
+
     // Execute query
     const { data: orders, error, count } = await query;
 
@@ -185,15 +208,48 @@ router.get('/orders/:id', adminAuthMiddleware, async (req, res) => {
           id,
           product_id,
           product_name,
+          variant_name,
+          sku,
           store_id,
           store_name,
           quantity,
           price,
           original_price,
-          image_url
+          image_url,
+          sub_order_id
+        ),
+        sub_orders(
+          id,
+          store_id,
+          store_name,
+          status,
+          subtotal,
+          discount_amount,
+          commission,
+          payout_amount,
+          ready_at,
+          picked_up_at,
+          delivered_at,
+          cancelled_at
+        ),
+        deliveries(
+          id,
+          sub_order_id,
+          status,
+          assigned_at,
+          picked_up_at,
+          delivered_at,
+          failed_at,
+          failure_reason,
+          recipient_name,
+          proof_notes,
+          proof_photos,
+          drivers (id, full_name, phone)
         ),
         order_status_history(
           status,
+          sub_order_id,
+          changed_by_type,
           notes,
           created_at
         )
@@ -222,75 +278,67 @@ router.put('/orders/:id/status', adminAuthMiddleware, async (req, res) => {
       return res.status(400).json({ error: 'Status is required' });
     }
 
-    // Valid status values
-    const validStatuses = ['pending', 'confirmed', 'shipped', 'delivered', 'cancelled'];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({ error: 'Invalid status value' });
+    const { order, error } = await transitionOrder({
+      orderId: id,
+      status,
+      actor: { type: ACTORS.ADMIN, id: req.admin.id },
+      notes: notes || null
+    });
+
+    if (error) {
+      return res.status(error.status).json({ error: error.message });
     }
 
-    // Update order status
-    const { data: order, error } = await supabaseAdmin
-      .from('orders')
-      .update({
-        status,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', id)
-      .select()
-      .single();
+    res.json({
+      order,
+      message: `Order status updated to ${status}`
+    });
+  } catch (error) {
+    console.error('Admin order status update error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    if (error) {
-      throw error;
+// Update a single store's sub-order status
+router.put('/orders/:id/sub-orders/:subOrderId/status', adminAuthMiddleware, async (req, res) => {
+  try {
+    const { id, subOrderId } = req.params;
+    const { status, notes } = req.body;
+
+    if (!status) {
+      return res.status(400).json({ error: 'Status is required' });
     }
 
-    // Add entry to order status history
-    await supabaseAdmin
-      .from('order_status_history')
-      .insert({
-        order_id: id,
-        status,
-        notes: notes || null
-      });
+    // Make sure the sub-order belongs to this order
+    const { data: subOrder } = await supabaseAdmin
+      .from('sub_orders')
+      .select('id')
+      .eq('id', subOrderId)
+      .eq('order_id', id)
+      .single();
 
-    // If status is "confirmed", create Telegram notification
-    if (status === 'confirmed') {
-      // Get order details for notification
-      const { data: orderDetails } = await supabaseAdmin
-        .from('orders')
-        .select(`
-          *,
-          customer:users(name, email),
-          items:order_items(
-            product_name,
-            store_name,
-            quantity,
-            price,
-            original_price
-          )
-        `)
-        .eq('id', id)
-        .single();
+    if (!subOrder) {
+      return res.status(404).json({ error: 'Sub-order not found' });
+    }
 
-      // Create notification message
-      const message = `Order #${orderDetails?.order_number} has been confirmed and is being prepared for delivery.`;
+    const { subOrder: updatedSubOrder, order, error } = await transitionSubOrder({
+      subOrderId,
+      status,
+      actor: { type: ACTORS.ADMIN, id: req.admin.id },
+      notes: notes || null
+    });
 
-      // Insert notification
-      await supabaseAdmin
-        .from('telegram_notifications')
-        .insert({
-          order_id: id,
-          notification_type: 'order_update',
-          message,
-          sent: false
-        });
+    if (error) {
+      return res.status(error.status).json({ error: error.message });
     }
 
     res.json({
+      subOrder: updatedSubOrder,
       order,
-      message: `Order status updated to ${status}`
+      message: `Sub-order status updated to ${status}`
     });
   } catch (error) {
-    console.error('Admin order status update error:', error);
+    console.error('Admin sub-order status update error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
@@ -437,7 +485,7 @@ router.get('/payouts', adminAuthMiddleware, async (req, res) => {
 });
 
 // Create manual payout
-router.post('/payouts', adminAuthMiddleware, async (req, res) => {
+router.post('/payouts', adminAuthMiddleware, idempotency('admin.payouts.create'), async (req, res) => {
   try {
     const { store_id, amount, period_start, period_end, notes } = req.body;
 
@@ -468,6 +516,855 @@ router.post('/payouts', adminAuthMiddleware, async (req, res) => {
   }
 });
 
+// Get return requests
+router.get('/returns', adminAuthMiddleware, async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status } = req.query;
+    const offset = (page - 1) * limit;
+
+    let query = supabaseAdmin
+      .from('return_requests')
+      .select(`
+        *,
+        customer:users(name, email),
+        orders (order_number),
+        order_items (product_name, variant_name, store_name, quantity, price, original_price, image_url),
+        refunds (amount, store_deduction, method, created_at)
+      `, { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data: returns, error, count: totalCount } = await query;
+
+    if (error) {
+      throw error;
+    }
+
+    res.json({
+      returns: returns || [],
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalItems: totalCount || 0,
+        totalPages: Math.ceil((totalCount || 0) / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Admin returns error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Approve or reject a return request
+router.put('/returns/:id', adminAuthMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, restock = false, notes } = req.body;
+
+    if (!['approved', 'rejected'].includes(status)) {
+      return res.status(400).json({ error: 'Status must be approved or rejected' });
+    }
+
+    const { data: returnRequest, error } = await supabaseAdmin
+      .rpc('review_return_request', {
+        p_return_request_id: id,
+        p_approve: status === 'approved',
+        p_restock: Boolean(restock),
+        p_admin_id: req.admin.id,
+        p_notes: notes || null
+      });
+
+    if (error) {
+      if (error.message === 'RETURN_NOT_FOUND') {
+        return res.status(404).json({ error: 'Return request not found' });
+      }
+      if (error.message === 'RETURN_ALREADY_REVIEWED') {
+        return res.status(409).json({ error: 'Return request has already been reviewed' });
+      }
+      throw error;
+    }
+
+    res.json(returnRequest);
+  } catch (error) {
+    console.error('Admin return review error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Record a refund for an approved return
+router.post('/returns/:id/refund', adminAuthMiddleware, idempotency('admin.refunds.create'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { amount, method, notes } = req.body;
+
+    if (!amount || !method) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    // Card refunds go back through the payment provider
+    let payment = null;
+    if (method === 'card') {
+      const { data: returnRequest } = await supabaseAdmin
+        .from('return_requests')
+        .select('order_id')
+        .eq('id', id)
+        .single();
+
+      if (!returnRequest) {
+        return res.status(404).json({ error: 'Return request not found' });
+      }
+
+      payment = await getOrderPayment(returnRequest.order_id);
+      const refundable = payment && ['captured', 'partially_refunded'].includes(payment.status)
+        ? Number(payment.captured_amount) - Number(payment.refunded_amount)
+        : 0;
+
+      if (Number(amount) > refundable) {
+        return res.status(409).json({ error: 'The card payment for this order cannot cover this refund', refundable });
+      }
+    }
+
+    const { data: refund, error } = await supabaseAdmin
+      .rpc('record_refund', {
+        p_return_request_id: id,
+        p_amount: amount,
+        p_method: method,
+        p_admin_id: req.admin.id,
+        p_notes: notes || null
+      });
+
+    if (error) {
+      const refundErrors = {
+        RETURN_NOT_FOUND: { status: 404, error: 'Return request not found' },
+        RETURN_NOT_APPROVED: { status: 409, error: 'Only approved returns can be refunded' },
+        INVALID_REFUND_METHOD: { status: 400, error: 'Refund method must be cash, store_credit or card' },
+        CUSTOMER_NOT_FOUND: { status: 409, error: 'The customer no longer has an account to credit' },
+        INVALID_REFUND_AMOUNT: { status: 400, error: 'Refund amount must be positive and no more than the amount paid for the returned items' }
+      };
+      const refundError = refundErrors[error.message];
+      if (refundError) {
+        return res.status(refundError.status).json({ error: refundError.error });
+      }
+      throw error;
+    }
+
+    if (payment) {
+      const { error: paymentError } = await refundPayment(payment, Number(amount), `refund:${refund.id}`);
+      if (paymentError) {
+        return res.status(502).json({ error: 'Refund recorded but the card refund failed, please refund it from the payment provider', refund });
+      }
+    }
+
+    res.json(refund);
+  } catch (error) {
+    console.error('Admin refund error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get drivers with their open jobs
+router.get('/drivers', adminAuthMiddleware, async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    let query = supabaseAdmin
+      .from('drivers')
+      .select(`
+        *,
+        users (name, email),
+        deliveries (status)
+      `)
+      .order('full_name', { ascending: true });
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data: drivers, error } = await query;
+
+    if (error) {
+      throw error;
+    }
+
+    res.json((drivers || []).map(({ deliveries, ...driver }) => ({
+      ...driver,
+      open_jobs: (deliveries || []).filter(delivery => OPEN_DELIVERY_STATUSES.includes(delivery.status)).length
+    })));
+  } catch (error) {
+    console.error('Admin drivers error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Add a driver
+router.post('/drivers', adminAuthMiddleware, async (req, res) => {
+  try {
+    const { user_id, full_name, phone, vehicle_type, vehicle_plate } = req.body;
+
+    if (!full_name || !phone) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    const { data: driver, error } = await supabaseAdmin
+      .from('drivers')
+      .insert({
+        user_id: user_id || null,
+        full_name,
+        phone,
+        vehicle_type: vehicle_type || null,
+        vehicle_plate: vehicle_plate || null
+      })
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'This user is already a driver' });
+      }
+      throw error;
+    }
+
+    res.json(driver);
+  } catch (error) {
+    console.error('Admin driver creation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update a driver (set status to inactive to stop new assignments)
+router.put('/drivers/:id', adminAuthMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const updates = {};
+
+    ['user_id', 'full_name', 'phone', 'vehicle_type', 'vehicle_plate', 'status'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+
+    if (updates.status && !['active', 'inactive'].includes(updates.status)) {
+      return res.status(400).json({ error: 'Invalid status value' });
+    }
+
+    const { data: driver, error } = await supabaseAdmin
+      .from('drivers')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return res.status(404).json({ error: 'Driver not found' });
+      }
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'This user is already a driver' });
+      }
+      throw error;
+    }
+
+    res.json(driver);
+  } catch (error) {
+    console.error('Admin driver update error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get deliveries
+router.get('/deliveries', adminAuthMiddleware, async (req, res) => {
+  try {
+    const { status, driver_id, order_id } = req.query;
+
+    let query = supabaseAdmin
+      .from('deliveries')
+      .select(`
+        *,
+        orders (order_number, status, full_name, city, emirate),
+        sub_orders (store_name, status),
+        drivers (full_name, phone)
+      `)
+      .order('assigned_at', { ascending: false });
+
+    if (status === 'open') {
+      query = query.in('status', OPEN_DELIVERY_STATUSES);
+    } else if (status) {
+      query = query.eq('status', status);
+    }
+    if (driver_id) {
+      query = query.eq('driver_id', driver_id);
+    }
+    if (order_id) {
+      query = query.eq('order_id', order_id);
+    }
+
+    const { data: deliveries, error } = await query;
+
+    if (error) {
+      throw error;
+    }
+
+    res.json(deliveries || []);
+  } catch (error) {
+    console.error('Admin deliveries error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Assign an order, or one store's sub-order, to a driver
+router.post('/deliveries', adminAuthMiddleware, async (req, res) => {
+  try {
+    const { order_id, sub_order_id, driver_id } = req.body;
+
+    if (!order_id || !driver_id) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    const { delivery, error } = await assignDelivery({
+      orderId: order_id,
+      subOrderId: sub_order_id || null,
+      driverId: driver_id,
+      adminId: req.admin.id
+    });
+
+    if (error) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    res.json(delivery);
+  } catch (error) {
+    console.error('Admin delivery assignment error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Reassign a delivery that hasn't been picked up, or cancel an open one
+router.put('/deliveries/:id', adminAuthMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { driver_id, status } = req.body;
+
+    if (!driver_id && status !== 'cancelled') {
+      return res.status(400).json({ error: 'Provide a driver_id to reassign or status "cancelled"' });
+    }
+
+    const { data: current } = await supabaseAdmin
+      .from('deliveries')
+      .select('id, status')
+      .eq('id', id)
+      .single();
+
+    if (!current) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    if (status === 'cancelled' ? !OPEN_DELIVERY_STATUSES.includes(current.status) : current.status !== 'assigned') {
+      return res.status(409).json({ error: `Cannot change a ${current.status.replace(/_/g, ' ')} delivery` });
+    }
+
+    if (driver_id) {
+      const { data: driver } = await supabaseAdmin
+        .from('drivers')
+        .select('id, status')
+        .eq('id', driver_id)
+        .single();
+
+      if (!driver || driver.status !== 'active') {
+        return res.status(404).json({ error: 'Active driver not found' });
+      }
+    }
+
+    const updates = status === 'cancelled'
+      ? { status: 'cancelled' }
+      : { driver_id, assigned_by: req.admin.id, assigned_at: new Date().toISOString() };
+
+    const { data: delivery, error } = await supabaseAdmin
+      .from('deliveries')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .eq('status', current.status)
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return res.status(409).json({ error: 'Delivery was changed by someone else, please retry' });
+      }
+      throw error;
+    }
+
+    res.json(delivery);
+  } catch (error) {
+    console.error('Admin delivery update error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Record a cash-on-delivery collection for an order
+router.post('/orders/:id/cod-collections', adminAuthMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { collected_amount, handler, failure_reason, notes } = req.body;
+
+    if (collected_amount === undefined || collected_amount === null) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    const { collection, error } = await recordCodCollection({
+      orderId: id,
+      collectedAmount: collected_amount,
+      handler: handler || null,
+      failureReason: failure_reason || null,
+      notes: notes || null,
+      recordedVia: 'admin',
+      recordedBy: req.admin.id
+    });
+
+    if (error) {
+      const body = { error: error.message };
+      if (error.expectedAmount !== undefined) {
+        body.expected_amount = error.expectedAmount;
+      }
+      return res.status(error.status).json(body);
+    }
+
+    res.json(collection);
+  } catch (error) {
+    console.error('Admin COD collection error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get COD collection attempts
+router.get('/cod/collections', adminAuthMiddleware, async (req, res) => {
+  try {
+    const { handler, status, from, to, handed_over } = req.query;
+
+    let query = supabaseAdmin
+      .from('cod_collections')
+      .select(`
+        *,
+        orders (order_number, total_amount, status, payment_status)
+      `)
+      .order('collected_at', { ascending: false });
+
+    if (handler) {
+      query = query.eq('handler', handler);
+    }
+    if (status) {
+      query = query.eq('status', status);
+    }
+    if (from || to) {
+      const { start, end } = codDayRange(from || '2000-01-01', to || codDay(new Date()));
+      query = query.gte('collected_at', start).lt('collected_at', end);
+    }
+    if (handed_over === 'true') {
+      query = query.not('handed_over_at', 'is', null);
+    } else if (handed_over === 'false') {
+      query = query.is('handed_over_at', null);
+    }
+
+    const { data: collections, error } = await query;
+
+    if (error) {
+      throw error;
+    }
+
+    res.json(collections || []);
+  } catch (error) {
+    console.error('Admin COD collections error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Expected vs collected cash per team member per day (UAE time)
+router.get('/cod/reconciliation', adminAuthMiddleware, async (req, res) => {
+  try {
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    const today = codDay(new Date());
+    const weekAgo = codDay(Date.now() - 6 * 24 * 60 * 60 * 1000);
+    const { from = weekAgo, to = today } = req.query;
+
+    if (!datePattern.test(from) || !datePattern.test(to)) {
+      return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD)' });
+    }
+
+    const { start, end } = codDayRange(from, to);
+
+    const [
+      { data: collections, error: collectionsError },
+      { data: deliveredOrders, error: ordersError }
+    ] = await Promise.all([
+      supabaseAdmin
+        .from('cod_collections')
+        .select('order_id, handler, status, expected_amount, collected_amount, collected_at, handed_over_at')
+        .gte('collected_at', start)
+        .lt('collected_at', end),
+      supabaseAdmin
+        .from('orders')
+        .select('order_number, total_amount, handled_by, delivered_at, cod_collections (id)')
+        .eq('payment_method', 'cash_on_delivery')
+        .eq('status', 'delivered')
+        .gte('delivered_at', start)
+        .lt('delivered_at', end)
+    ]);
+
+    if (collectionsError || ordersError) {
+      throw collectionsError || ordersError;
+    }
+
+    // Orders retried in the range whose first attempt came before it were expected on that earlier day
+    const orderIds = [...new Set((collections || []).map(collection => collection.order_id))];
+    const { data: earlierCollections, error: earlierError } = orderIds.length > 0
+      ? await supabaseAdmin
+        .from('cod_collections')
+        .select('order_id')
+        .in('order_id', orderIds)
+        .lt('collected_at', start)
+      : { data: [], error: null };
+
+    if (earlierError) {
+      throw earlierError;
+    }
+
+    const unrecordedOrders = (deliveredOrders || [])
+      .filter(order => (order.cod_collections || []).length === 0);
+    const days = buildReconciliation(
+      collections || [],
+      unrecordedOrders,
+      new Set((earlierCollections || []).map(collection => collection.order_id))
+    );
+
+    const totals = days.reduce((sum, row) => ({
+      expected: sum.expected + row.expected,
+      collected: sum.collected + row.collected,
+      handed_over: sum.handed_over + row.handed_over
+    }), { expected: 0, collected: 0, handed_over: 0 });
+
+    res.json({
+      from,
+      to,
+      days,
+      totals: {
+        expected: Math.round(totals.expected * 100) / 100,
+        collected: Math.round(totals.collected * 100) / 100,
+        shortfall: Math.round((totals.expected - totals.collected) * 100) / 100,
+        handed_over: Math.round(totals.handed_over * 100) / 100,
+        pending_handover: Math.round((totals.collected - totals.handed_over) * 100) / 100
+      }
+    });
+  } catch (error) {
+    console.error('Admin COD reconciliation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Mark a team member's collected cash for a day as handed over to Somah
+router.post('/cod/handover', adminAuthMiddleware, async (req, res) => {
+  try {
+    const { handler, date } = req.body;
+
+    if (!handler || !date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ error: 'handler and date (YYYY-MM-DD) are required' });
+    }
+
+    const { start, end } = codDayRange(date, date);
+
+    const { data: collections, error } = await supabaseAdmin
+      .from('cod_collections')
+      .update({
+        handed_over_at: new Date().toISOString(),
+        handed_over_by: req.admin.id
+      })
+      .eq('handler', handler)
+      .gt('collected_amount', 0)
+      .is('handed_over_at', null)
+      .gte('collected_at', start)
+      .lt('collected_at', end)
+      .select('id, collected_amount');
+
+    if (error) {
+      throw error;
+    }
+
+    const amount = (collections || []).reduce((sum, row) => sum + Number(row.collected_amount), 0);
+
+    res.json({
+      handler,
+      date,
+      collections: (collections || []).length,
+      amount: Math.round(amount * 100) / 100
+    });
+  } catch (error) {
+    console.error('Admin COD handover error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get promo codes with how often they have been redeemed
+router.get('/promo-codes', adminAuthMiddleware, async (req, res) => {
+  try {
+    const { data: promoCodes, error } = await supabaseAdmin
+      .from('promo_codes')
+      .select(`
+        *,
+        stores (name),
+        promo_redemptions (discount_amount, orders (status))
+      `)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw error;
+    }
+
+    res.json((promoCodes || []).map(({ promo_redemptions: redemptions, ...promo }) => {
+      const counted = (redemptions || []).filter(row => row.orders?.status !== 'cancelled');
+      return {
+        ...promo,
+        redemptions: counted.length,
+        total_discount: Math.round(counted.reduce((sum, row) => sum + Number(row.discount_amount), 0) * 100) / 100
+      };
+    }));
+  } catch (error) {
+    console.error('Admin promo codes error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create a promo code
+router.post('/promo-codes', adminAuthMiddleware, async (req, res) => {
+  try {
+    const { values, error: validationError } = parsePromoCode(req.body || {});
+
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { data: promoCode, error } = await supabaseAdmin
+      .from('promo_codes')
+      .insert({ ...values, created_by: req.admin.id })
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'A promo code with this code already exists' });
+      }
+      throw error;
+    }
+
+    res.json(promoCode);
+  } catch (error) {
+    console.error('Admin promo code creation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update a promo code (set is_active to false to disable it)
+router.put('/promo-codes/:id', adminAuthMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { values, error: validationError } = parsePromoCode(req.body || {}, true);
+
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { data: promoCode, error } = await supabaseAdmin
+      .from('promo_codes')
+      .update({ ...values, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return res.status(404).json({ error: 'Promo code not found' });
+      }
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'A promo code with this code already exists' });
+      }
+      if (error.code === '23514') {
+        return res.status(400).json({ error: 'A percentage discount can be at most 100' });
+      }
+      throw error;
+    }
+
+    res.json(promoCode);
+  } catch (error) {
+    console.error('Admin promo code update error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get pricing settings (display markup and delivery fees)
+router.get('/settings/pricing', adminAuthMiddleware, async (req, res) => {
+  try {
+    const settings = await getPricingSettings();
+    res.json(settings);
+  } catch (error) {
+    console.error('Admin pricing settings error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update pricing settings
+router.put('/settings/pricing', adminAuthMiddleware, async (req, res) => {
+  try {
+    const { settings, error } = await updatePricingSettings(req.body || {}, req.admin.id);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.json(settings);
+  } catch (error) {
+    console.error('Admin pricing settings update error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get delivery settings (preparation and delivery times used for estimates)
+router.get('/settings/delivery', adminAuthMiddleware, async (req, res) => {
+  try {
+    const settings = await getDeliverySettings();
+    res.json(settings);
+  } catch (error) {
+    console.error('Admin delivery settings error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update delivery settings
+router.put('/settings/delivery', adminAuthMiddleware, async (req, res) => {
+  try {
+    const { settings, error } = await updateDeliverySettings(req.body || {}, req.admin.id);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.json(settings);
+  } catch (error) {
+    console.error('Admin delivery settings update error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get delivery slot definitions
+router.get('/delivery-slots', adminAuthMiddleware, async (req, res) => {
+  try {
+    const { emirate } = req.query;
+
+    let query = supabaseAdmin
+      .from('delivery_slots')
+      .select('*')
+      .order('emirate', { ascending: true })
+      .order('day_of_week', { ascending: true })
+      .order('start_time', { ascending: true });
+
+    if (emirate) {
+      query = query.ilike('emirate', emirate);
+    }
+
+    const { data: slots, error } = await query;
+
+    if (error) {
+      throw error;
+    }
+
+    res.json(slots || []);
+  } catch (error) {
+    console.error('Admin delivery slots error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get upcoming slot bookings for an emirate, to plan pickups
+router.get('/delivery-slots/schedule', adminAuthMiddleware, async (req, res) => {
+  try {
+    const { emirate, days } = req.query;
+
+    if (!emirate) {
+      return res.status(400).json({ error: 'emirate is required' });
+    }
+
+    const slots = await listDeliverySlots({
+      emirate,
+      days: days ? Math.min(Math.max(parseInt(days, 10) || 1, 1), 31) : undefined
+    });
+
+    res.json(slots.map(slot => ({ ...slot, booked: slot.capacity - slot.remaining })));
+  } catch (error) {
+    console.error('Admin delivery slot schedule error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create a delivery slot
+router.post('/delivery-slots', adminAuthMiddleware, async (req, res) => {
+  try {
+    const { values, error: validationError } = parseDeliverySlot(req.body || {});
+
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { data: slot, error } = await supabaseAdmin
+      .from('delivery_slots')
+      .insert(values)
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    res.json(slot);
+  } catch (error) {
+    console.error('Admin delivery slot creation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update or disable a delivery slot (existing bookings are kept)
+router.put('/delivery-slots/:id', adminAuthMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { values, error: validationError } = parseDeliverySlot(req.body || {}, true);
+
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { data: slot, error } = await supabaseAdmin
+      .from('delivery_slots')
+      .update({ ...values, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return res.status(404).json({ error: 'Delivery slot not found' });
+      }
+      if (error.code === '23514') {
+        return res.status(400).json({ error: 'end_time must be after start_time' });
+      }
+      throw error;
+    }
+
+    res.json(slot);
+  } catch (error) {
+    console.error('Admin delivery slot update error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Get Telegram notifications
 router.get('/telegram/notifications', adminAuthMiddleware, async (req, res) => {
   try {
@@ -1,6 +1,7 @@
 const express = require('express');
 const { supabaseAdmin } = require('../config/database');
 const { createClient } = require('@supabase/supabase-js');
+const { GUEST_COOKIE, createGuestToken, guestCookieOptions, getGuestId, linkGuestOrders } = require('../utils/guests');
 const router = express.Router();
 
 // Create Supabase client for auth operations
@@ -75,7 +76,11 @@ router.get('/me', async (req, res) => {
         return res.status(500).json({ error: 'Failed to create user profile' });
       }
 
+      // Orders placed as a guest with this (verified) email or phone now belong to the account
+      const linkedOrders = await linkGuestOrders(user, newProfile);
+
       return res.json({
+        linked_orders: linkedOrders,
         user: {
           id: user.id,
           email: user.email,
@@ -97,6 +102,51 @@ router.get('/me', async (req, res) => {
   }
 });
 
+// Start a guest session (guest cart and checkout without an account)
+router.post('/guest', (req, res) => {
+  try {
+    // Keep an existing guest session so its cart isn't lost
+    const { guestId, token } = createGuestToken(getGuestId(req) || undefined);
+    res.cookie(GUEST_COOKIE, token, guestCookieOptions());
+    res.json({ guest_id: guestId, token });
+  } catch (error) {
+    console.error('Guest session error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Link guest orders to the signed-in account, e.g. once its email or phone is verified
+router.post('/link-guest-orders', async (req, res) => {
+  try {
+    const authHeader = req.headers.authorization;
+    if (!authHeader) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const token = authHeader.replace('Bearer ', '');
+    const { data: { user }, error } = await supabaseAdmin.auth.getUser(token);
+    
+    if (error || !user) {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+
+    const { data: userProfile } = await supabaseAdmin
+      .from('users')
+      .select('id')
+      .eq('auth_id', user.id)
+      .single();
+
+    if (!userProfile) {
+      return res.status(404).json({ error: 'User profile not found' });
+    }
+
+    res.json({ linked_orders: await linkGuestOrders(user, userProfile) });
+  } catch (error) {
+    console.error('Link guest orders error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Update user profile
 router.put('/profile', async (req, res) => {
   try {
@@ -165,7 +215,18 @@ router.post('/create-profile', async (req, res) => {
       return res.status(500).json({ error: 'Failed to create profile' });
     }
 
-    res.json(userProfile);
+    // Orders placed as a guest with this email or phone now belong to the account -
+    // only with the user's own session, and only for contact details Supabase verified
+    let linkedOrders = 0;
+    const authHeader = req.headers.authorization;
+    if (authHeader) {
+      const { data: { user } } = await supabaseAdmin.auth.getUser(authHeader.replace('Bearer ', ''));
+      if (user && user.id === auth_id) {
+        linkedOrders = await linkGuestOrders(user, userProfile);
+      }
+    }
+
+    res.json({ ...userProfile, linked_orders: linkedOrders });
   } catch (error) {
     console.error('Create profile error:', error);
     res.status(500).json({ error: 'Internal server error' });
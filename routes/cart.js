@@ -1,5 +1,13 @@
 const express = require('express');
 const { supabaseAdmin } = require('../config/database');
+const { getPricingSettings, displayPrice, priceOrderItems } = require('../utils/pricing');
+const { findPromoCode, validatePromoCode, applyDiscount } = require('../utils/promotions');
+const { estimateCartDelivery } = require('../utils/eta');
+const { listDeliverySlots } = require('../utils/delivery-slots');
+const { GUEST_COOKIE, getCustomer, getGuestId, ownedBy } = require('../utils/guests');
+const { validateCart } = require('../utils/cart-validation');
+const { CART_RESERVATION_MINUTES, reserveStock, releaseStock } = require('../utils/reservations');
+const { resolveVariant } = require('../utils/variants');
 const router = express.Router();
 
 /**
@@ -7,191 +15,627 @@ const router = express.Router();
  * All cart operations go through backend for data consistency
  */
 
-// Get user's cart items
-router.get('/', async (req, res) => {
-  try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader) {
-      return res.json([]); // Return empty cart for unauthenticated users
-    }
+/**
+ * Price a customer's cart with current product data
+ * @param {{ userId: string|null, guestId: string|null }} customer - From getCustomer()
+ * @returns {Promise<{ lines: Array<object>, breakdown: object }>}
+ */
+async function priceCart(customer) {
+  const { data: cartItems, error } = await supabaseAdmin
+    .from('cart_items')
+    .select(`
+      product_id,
+      variant_id,
+      quantity,
+      products (
+        id, name, price, status, is_available, store_id,
+        stores (id, name, delivery_fee),
+        product_images (image_url, is_primary),
+        product_variants (id, sku, name, price, is_available)
+      )
+    `)
+    .match(ownedBy(customer, 'user_id'));
+
+  if (error) {
+    throw error;
+  }
 
-    const token = authHeader.replace('Bearer ', '');
-    const { data: { user }, error } = await supabaseAdmin.auth.getUser(token);
-    
-    if (error || !user) {
-      return res.json([]);
-    }
+  const settings = await getPricingSettings();
+  const { lines, breakdown } = priceOrderItems(
+    (cartItems || []).map(item => ({ product_id: item.product_id, variant_id: item.variant_id, quantity: item.quantity })),
+    (cartItems || []).map(item => item.products).filter(Boolean),
+    { settings }
+  );
 
-    // Get user profile
-    const { data: userProfile } = await supabaseAdmin
-      .from('users')
-      .select('id')
-      .eq('auth_id', user.id)
+  return { lines, breakdown };
+}
+
+/**
+ * Find a customer's cart line for a product (or one of its variants)
+ * @param {{ userId: string|null, guestId: string|null }} customer - From getCustomer()
+ * @param {string} productId
+ * @param {string|null} variantId
+ * @returns {Promise<object|null>}
+ */
+async function findCartLine(customer, productId, variantId) {
+  let lineQuery = supabaseAdmin
+    .from('cart_items')
+    .select('*')
+    .match(ownedBy(customer, 'user_id'))
+    .eq('product_id', productId);
+
+  lineQuery = variantId
+    ? lineQuery.eq('variant_id', variantId)
+    : lineQuery.is('variant_id', null);
+
+  const { data: cartLine } = await lineQuery.single();
+  return cartLine || null;
+}
+
+/**
+ * Add a product to a customer's cart, or top up the line already there
+ * A cart has one line per product (or variant), priced from current product data.
+ * @param {{ userId: string|null, guestId: string|null }} customer - From getCustomer()
+ * @param {object} product - products row (id, store_id, price)
+ * @param {object|null} variant - product_variants row (id, price) for products with variants
+ * @param {number} quantity
+ * @param {object} settings - From getPricingSettings()
+ * @returns {Promise<{ item: object|null, error: string|null }>}
+ */
+async function addCartLine(customer, product, variant, quantity, settings) {
+  const price = displayPrice((variant || product).price, settings);
+
+  // Check if item already exists in cart
+  const existingItem = await findCartLine(customer, product.id, variant ? variant.id : null);
+
+  if (existingItem) {
+    // Update quantity
+    const { data: updatedItem, error: updateError } = await supabaseAdmin
+      .from('cart_items')
+      .update({ 
+        quantity: existingItem.quantity + quantity,
+        price,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', existingItem.id)
+      .select()
       .single();
 
-    if (!userProfile) {
-      return res.json([]);
+    if (updateError) {
+      console.error('Cart update error:', updateError);
+      return { item: null, error: 'Failed to update cart' };
     }
 
-    // Get cart items with product and store details
-    const { data: cartItems, error: cartError } = await supabaseAdmin
-      .from('cart_items')
-      .select(`
-        *,
-        products (
-          id,
-          name,
-          price,
-          stock,
-          product_images (image_url, is_primary)
-        ),
-        stores (
-          id,
-          name
-        )
-      `)
-      .eq('user_id', userProfile.id);
+    return { item: updatedItem, error: null };
+  }
+
+  // Add new item
+  const { data: newItem, error: insertError } = await supabaseAdmin
+    .from('cart_items')
+    .insert({
+      ...ownedBy(customer, 'user_id'),
+      product_id: product.id,
+      variant_id: variant ? variant.id : null,
+      store_id: product.store_id,
+      quantity,
+      price
+    })
+    .select()
+    .single();
+
+  if (insertError) {
+    console.error('Cart insert error:', insertError);
+    return { item: null, error: 'Failed to add to cart' };
+  }
+
+  return { item: newItem, error: null };
+}
 
-    if (cartError) {
-      console.error('Cart fetch error:', cartError);
-      return res.json([]);
+// Get user's cart items
+router.get('/', async (req, res) => {
+  try {
+    // Signed-in user or guest
+    const { customer } = await getCustomer(req);
+    if (!customer) {
+      return res.json([]); // Return empty cart for visitors without a cart yet
     }
 
-    res.json(cartItems || []);
+    // Cart items with product and store details, checked against current product data
+    const { items } = await validateCart(customer);
+
+    res.json(items);
   } catch (error) {
     console.error('Cart GET error:', error);
     res.json([]);
   }
 });
 
+// Check the cart against current product data before checkout
+router.get('/validate', async (req, res) => {
+  try {
+    // Signed-in user or guest
+    const { customer, error: customerError } = await getCustomer(req);
+    if (customerError) {
+      return res.status(customerError.status).json({ error: customerError.message });
+    }
+
+    const validation = await validateCart(customer);
+
+    res.json(validation);
+  } catch (error) {
+    console.error('Cart validate error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Add item to cart
 router.post('/', async (req, res) => {
   try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader) {
-      return res.status(401).json({ error: 'Unauthorized' });
+    // Signed-in user or guest
+    const { customer, error: customerError } = await getCustomer(req);
+    if (customerError) {
+      return res.status(customerError.status).json({ error: customerError.message });
     }
 
-    const token = authHeader.replace('Bearer ', '');
-    const { data: { user }, error } = await supabaseAdmin.auth.getUser(token);
-    
-    if (error || !user) {
-      return res.status(401).json({ error: 'Unauthorized' });
+    const { product_id, variant_id, quantity = 1 } = req.body;
+
+    if (!product_id) {
+      return res.status(400).json({ error: 'Missing required fields' });
     }
 
-    // Get user profile
-    const { data: userProfile } = await supabaseAdmin
-      .from('users')
-      .select('id')
-      .eq('auth_id', user.id)
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      return res.status(400).json({ error: 'quantity must be a positive integer' });
+    }
+
+    // Price the line from current product data, not the client
+    const { data: product } = await supabaseAdmin
+      .from('products')
+      .select('id, store_id, price, status, is_available, product_variants (id, sku, name, price, is_available)')
+      .eq('id', product_id)
       .single();
 
-    if (!userProfile) {
-      return res.status(404).json({ error: 'User profile not found' });
+    if (!product || product.status !== 'active' || !product.is_available) {
+      return res.status(404).json({ error: 'Product not available' });
     }
 
-    const { product_id, store_id, quantity = 1, price } = req.body;
-
-    if (!product_id || !store_id || !price) {
-      return res.status(400).json({ error: 'Missing required fields' });
+    // Products with variants are added as one of them
+    const { variant, error: variantError } = resolveVariant(product, variant_id);
+    if (variantError) {
+      return res.status(variantError.status).json({ error: variantError.message });
     }
 
-    // Check if item already exists in cart
-    const { data: existingItem } = await supabaseAdmin
-      .from('cart_items')
-      .select('*')
-      .eq('user_id', userProfile.id)
-      .eq('product_id', product_id)
-      .single();
+    // Optionally hold the stock while it sits in the cart
+    if (CART_RESERVATION_MINUTES > 0) {
+      const existingItem = await findCartLine(customer, product.id, variant ? variant.id : null);
 
-    if (existingItem) {
-      // Update quantity
-      const { data: updatedItem, error: updateError } = await supabaseAdmin
-        .from('cart_items')
-        .update({ 
-          quantity: existingItem.quantity + quantity,
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', existingItem.id)
-        .select()
-        .single();
-      
-      if (updateError) {
-        return res.status(500).json({ error: 'Failed to update cart' });
+      const { error: reserveError } = await reserveStock(customer, [{
+        product_id: product.id,
+        variant_id: variant ? variant.id : null,
+        quantity: (existingItem ? existingItem.quantity : 0) + quantity
+      }], { source: 'cart' });
+
+      if (reserveError) {
+        return res.status(reserveError.status).json({ error: reserveError.message, out_of_stock: reserveError.out_of_stock });
       }
-      
-      return res.json(updatedItem);
     }
 
-    // Add new item
-    const { data: newItem, error: insertError } = await supabaseAdmin
+    const settings = await getPricingSettings();
+    const { item, error: addError } = await addCartLine(customer, product, variant, quantity, settings);
+
+    if (addError) {
+      return res.status(500).json({ error: addError });
+    }
+
+    res.json(item);
+  } catch (error) {
+    console.error('Cart POST error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Hold the stock of the whole cart while the customer checks out
+router.post('/reserve', async (req, res) => {
+  try {
+    // Signed-in user or guest
+    const { customer, error: customerError } = await getCustomer(req);
+    if (customerError) {
+      return res.status(customerError.status).json({ error: customerError.message });
+    }
+
+    const validation = await validateCart(customer);
+    if (!validation.checkout_ready) {
+      return res.status(409).json({
+        error: validation.items.length === 0
+          ? 'Your cart is empty'
+          : 'Some items in your cart need your attention',
+        cart: validation
+      });
+    }
+
+    const heldItems = validation.items.map(item => ({
+      product_id: item.product_id,
+      variant_id: item.variant_id,
+      quantity: item.quantity
+    }));
+
+    const { expiresAt, error: reserveError } = await reserveStock(customer, heldItems);
+
+    if (reserveError) {
+      return res.status(reserveError.status).json({ error: reserveError.message, out_of_stock: reserveError.out_of_stock });
+    }
+
+    res.json({
+      reserved_until: expiresAt,
+      items: heldItems
+    });
+  } catch (error) {
+    console.error('Cart reserve error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Merge the guest cart of this device into the signed-in user's cart (call right after login)
+router.post('/merge', async (req, res) => {
+  try {
+    const { customer, error: customerError } = await getCustomer(req);
+    if (customerError) {
+      return res.status(customerError.status).json({ error: customerError.message });
+    }
+
+    if (!customer.userId) {
+      return res.status(401).json({ error: 'Sign in to merge your guest cart' });
+    }
+
+    const guestId = getGuestId(req);
+    if (!guestId) {
+      return res.json({ merged: [], skipped: [] });
+    }
+
+    const { data: guestItems, error: guestError } = await supabaseAdmin
       .from('cart_items')
-      .insert({
-        user_id: userProfile.id,
+      .select(`
         product_id,
-        store_id,
+        variant_id,
         quantity,
-        price
-      })
-      .select()
+        products (id, name, store_id, price, status, is_available, product_variants (id, sku, name, price, is_available))
+      `)
+      .eq('guest_id', guestId);
+
+    if (guestError) {
+      console.error('Guest cart fetch error:', guestError);
+      return res.status(500).json({ error: 'Failed to merge cart' });
+    }
+
+    // Lines the guest was holding stock for keep their hold under the user
+    const { data: guestHolds } = await supabaseAdmin
+      .from('stock_reservations')
+      .select('product_id, variant_id')
+      .eq('guest_id', guestId)
+      .gt('expires_at', new Date().toISOString());
+
+    const heldLines = new Set((guestHolds || []).map(hold => `${hold.product_id}:${hold.variant_id || ''}`));
+
+    // Quantities add up with lines already in the user's cart, at today's prices
+    const settings = await getPricingSettings();
+    const merged = [];
+    const skipped = [];
+    for (const guestItem of guestItems || []) {
+      const product = guestItem.products;
+      const { variant, error: variantError } = product
+        ? resolveVariant(product, guestItem.variant_id)
+        : { variant: null, error: null };
+
+      if (!product || product.status !== 'active' || !product.is_available || variantError) {
+        skipped.push({
+          product_id: guestItem.product_id,
+          variant_id: guestItem.variant_id,
+          product_name: product ? product.name : null
+        });
+        continue;
+      }
+
+      const { item, error: addError } = await addCartLine(customer, product, variant, guestItem.quantity, settings);
+      if (addError) {
+        return res.status(500).json({ error: 'Failed to merge cart', merged });
+      }
+      merged.push(item);
+    }
+
+    await supabaseAdmin
+      .from('cart_items')
+      .delete()
+      .eq('guest_id', guestId);
+
+    // Moves the guest's holds on these lines to the user in one go; the
+    // merged quantity includes the user's own line, so it may not all fit
+    const heldItems = merged
+      .filter(item => heldLines.has(`${item.product_id}:${item.variant_id || ''}`))
+      .map(item => ({ product_id: item.product_id, variant_id: item.variant_id, quantity: item.quantity }));
+
+    let reservedUntil = null;
+    let outOfStock = [];
+    if (heldItems.length > 0) {
+      const { expiresAt, error: reserveError } = await reserveStock(
+        { userId: customer.userId, guestId },
+        heldItems,
+        { source: CART_RESERVATION_MINUTES > 0 ? 'cart' : 'checkout' }
+      );
+
+      if (reserveError) {
+        outOfStock = reserveError.out_of_stock || [];
+      } else {
+        reservedUntil = expiresAt;
+      }
+    }
+
+    await releaseStock({ userId: null, guestId });
+
+    // Keep the guest's promo code unless the user already has one applied
+    const { data: userPromotion } = await supabaseAdmin
+      .from('cart_promotions')
+      .select('id')
+      .eq('user_id', customer.userId)
       .single();
 
-    if (insertError) {
-      console.error('Cart insert error:', insertError);
-      return res.status(500).json({ error: 'Failed to add to cart' });
+    if (userPromotion) {
+      await supabaseAdmin
+        .from('cart_promotions')
+        .delete()
+        .eq('guest_id', guestId);
+    } else {
+      await supabaseAdmin
+        .from('cart_promotions')
+        .update({ user_id: customer.userId, guest_id: null })
+        .eq('guest_id', guestId);
     }
 
-    res.json(newItem);
+    // The device shops as the user from now on
+    res.clearCookie(GUEST_COOKIE);
+    res.json({ merged, skipped, reserved_until: reservedUntil, out_of_stock: outOfStock });
   } catch (error) {
-    console.error('Cart POST error:', error);
+    console.error('Cart merge error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Update cart item quantity
-router.put('/:itemId', async (req, res) => {
+// Get the promo code applied to the cart with its current discount
+router.get('/promo', async (req, res) => {
   try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader) {
-      return res.status(401).json({ error: 'Unauthorized' });
+    // Signed-in user or guest
+    const { customer, error: customerError } = await getCustomer(req);
+    if (customerError) {
+      return res.status(customerError.status).json({ error: customerError.message });
     }
 
-    const token = authHeader.replace('Bearer ', '');
-    const { data: { user }, error } = await supabaseAdmin.auth.getUser(token);
-    
-    if (error || !user) {
-      return res.status(401).json({ error: 'Unauthorized' });
+    const { data: cartPromotion } = await supabaseAdmin
+      .from('cart_promotions')
+      .select('promo_codes (*)')
+      .match(ownedBy(customer, 'user_id'))
+      .single();
+
+    const { lines, breakdown } = await priceCart(customer);
+
+    if (!cartPromotion || !cartPromotion.promo_codes) {
+      return res.json({ promo_code: null, pricing: breakdown });
     }
 
-    // Get user profile
-    const { data: userProfile } = await supabaseAdmin
-      .from('users')
-      .select('id')
-      .eq('auth_id', user.id)
-      .single();
+    // The code may have stopped applying since it was added (expired, cart changed)
+    const promo = cartPromotion.promo_codes;
+    const { discount, error: promoError } = await validatePromoCode(promo, {
+      customerId: customer.userId,
+      guestId: customer.guestId,
+      lines
+    });
+
+    res.json({
+      promo_code: promo.code,
+      description: promo.description,
+      valid: !promoError,
+      error: promoError,
+      pricing: promoError ? breakdown : applyDiscount(breakdown, promo, discount)
+    });
+  } catch (error) {
+    console.error('Cart promo GET error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    if (!userProfile) {
-      return res.status(404).json({ error: 'User profile not found' });
+// Apply a promo code to the cart
+router.post('/promo', async (req, res) => {
+  try {
+    // Signed-in user or guest
+    const { customer, error: customerError } = await getCustomer(req);
+    if (customerError) {
+      return res.status(customerError.status).json({ error: customerError.message });
+    }
+
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    const promo = await findPromoCode(code);
+    if (!promo) {
+      return res.status(404).json({ error: 'Promo code not found' });
+    }
+
+    const { lines, breakdown } = await priceCart(customer);
+    const { discount, error: promoError } = await validatePromoCode(promo, {
+      customerId: customer.userId,
+      guestId: customer.guestId,
+      lines
+    });
+
+    if (promoError) {
+      return res.status(422).json({ error: promoError });
+    }
+
+    const { error: saveError } = await supabaseAdmin
+      .from('cart_promotions')
+      .upsert({
+        ...ownedBy(customer, 'user_id'),
+        promo_code_id: promo.id,
+        created_at: new Date().toISOString()
+      }, { onConflict: customer.userId ? 'user_id' : 'guest_id' });
+
+    if (saveError) {
+      console.error('Cart promo save error:', saveError);
+      return res.status(500).json({ error: 'Failed to apply promo code' });
+    }
+
+    res.json({
+      promo_code: promo.code,
+      description: promo.description,
+      valid: true,
+      error: null,
+      pricing: applyDiscount(breakdown, promo, discount)
+    });
+  } catch (error) {
+    console.error('Cart promo POST error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Remove the promo code from the cart
+router.delete('/promo', async (req, res) => {
+  try {
+    // Signed-in user or guest
+    const { customer, error: customerError } = await getCustomer(req);
+    if (customerError) {
+      return res.status(customerError.status).json({ error: customerError.message });
+    }
+
+    const { error: deleteError } = await supabaseAdmin
+      .from('cart_promotions')
+      .delete()
+      .match(ownedBy(customer, 'user_id'));
+
+    if (deleteError) {
+      return res.status(500).json({ error: 'Failed to remove promo code' });
+    }
+
+    res.json({ message: 'Promo code removed' });
+  } catch (error) {
+    console.error('Cart promo DELETE error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get the delivery slots the cart can be delivered in (?address_id= or ?emirate=)
+router.get('/delivery-slots', async (req, res) => {
+  try {
+    // Signed-in user or guest
+    const { customer, error: customerError } = await getCustomer(req);
+    if (customerError) {
+      return res.status(customerError.status).json({ error: customerError.message });
+    }
+
+    const { address_id } = req.query;
+    let { emirate } = req.query;
+
+    // Guests have no saved addresses and pass their emirate
+    if (address_id) {
+      if (!customer.userId) {
+        return res.status(404).json({ error: 'Address not found' });
+      }
+
+      const { data: address } = await supabaseAdmin
+        .from('customer_addresses')
+        .select('emirate')
+        .eq('id', address_id)
+        .eq('user_id', customer.userId)
+        .single();
+
+      if (!address) {
+        return res.status(404).json({ error: 'Address not found' });
+      }
+      emirate = address.emirate;
+    }
+
+    if (!emirate) {
+      return res.status(400).json({ error: 'address_id or emirate is required' });
+    }
+
+    const { lines } = await priceCart(customer);
+    if (lines.length === 0) {
+      return res.status(400).json({ error: 'Your cart is empty' });
+    }
+
+    // Slots that end before the stores can get the order ready are left out
+    const earliest = await estimateCartDelivery({ storeIds: lines.map(line => line.store_id), emirate });
+    const slots = await listDeliverySlots({ emirate, earliest });
+
+    res.json({
+      emirate,
+      earliest_delivery: earliest.toISOString(),
+      slots
+    });
+  } catch (error) {
+    console.error('Cart delivery slots error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update cart item quantity
+router.put('/:itemId', async (req, res) => {
+  try {
+    // Signed-in user or guest
+    const { customer, error: customerError } = await getCustomer(req);
+    if (customerError) {
+      return res.status(customerError.status).json({ error: customerError.message });
     }
 
     const { quantity } = req.body;
     const { itemId } = req.params;
 
-    if (quantity <= 0) {
-      // Remove item if quantity is 0 or negative
-      const { error: deleteError } = await supabaseAdmin
+    // 0 removes the line
+    if (!Number.isInteger(quantity) || quantity < 0) {
+      return res.status(400).json({ error: 'quantity must be a positive integer, or 0 to remove the item' });
+    }
+
+    if (quantity === 0) {
+      // Remove item
+      const { data: removedItems, error: deleteError } = await supabaseAdmin
         .from('cart_items')
         .delete()
         .eq('id', itemId)
-        .eq('user_id', userProfile.id);
+        .match(ownedBy(customer, 'user_id'))
+        .select('product_id, variant_id');
 
       if (deleteError) {
         return res.status(500).json({ error: 'Failed to remove item' });
       }
 
+      for (const removedItem of (removedItems || []).filter(item => item.product_id)) {
+        await releaseStock(customer, removedItem.product_id, removedItem.variant_id);
+      }
+
       return res.json({ message: 'Item removed' });
     }
 
+    // Move the add-to-cart hold to the new quantity
+    if (CART_RESERVATION_MINUTES > 0) {
+      const { data: cartItem } = await supabaseAdmin
+        .from('cart_items')
+        .select('product_id, variant_id')
+        .eq('id', itemId)
+        .match(ownedBy(customer, 'user_id'))
+        .single();
+
+      if (cartItem && cartItem.product_id) {
+        const { error: reserveError } = await reserveStock(customer, [{
+          product_id: cartItem.product_id,
+          variant_id: cartItem.variant_id,
+          quantity
+        }], { source: 'cart' });
+
+        if (reserveError) {
+          return res.status(reserveError.status).json({ error: reserveError.message, out_of_stock: reserveError.out_of_stock });
+        }
+      }
+    }
+
     // Update quantity
     const { data: updatedItem, error: updateError } = await supabaseAdmin
       .from('cart_items')
@@ -200,7 +644,7 @@ router.put('/:itemId', async (req, res) => {
         updated_at: new Date().toISOString()
       })
       .eq('id', itemId)
-      .eq('user_id', userProfile.id)
+      .match(ownedBy(customer, 'user_id'))
       .select()
       .single();
 
@@ -218,41 +662,29 @@ router.put('/:itemId', async (req, res) => {
 // Remove cart item
 router.delete('/:itemId', async (req, res) => {
   try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
-
-    const token = authHeader.replace('Bearer ', '');
-    const { data: { user }, error } = await supabaseAdmin.auth.getUser(token);
-    
-    if (error || !user) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
-
-    // Get user profile
-    const { data: userProfile } = await supabaseAdmin
-      .from('users')
-      .select('id')
-      .eq('auth_id', user.id)
-      .single();
-
-    if (!userProfile) {
-      return res.status(404).json({ error: 'User profile not found' });
+    // Signed-in user or guest
+    const { customer, error: customerError } = await getCustomer(req);
+    if (customerError) {
+      return res.status(customerError.status).json({ error: customerError.message });
     }
 
     const { itemId } = req.params;
 
-    const { error: deleteError } = await supabaseAdmin
+    const { data: removedItems, error: deleteError } = await supabaseAdmin
       .from('cart_items')
       .delete()
       .eq('id', itemId)
-      .eq('user_id', userProfile.id);
+      .match(ownedBy(customer, 'user_id'))
+      .select('product_id, variant_id');
 
     if (deleteError) {
       return res.status(500).json({ error: 'Failed to remove item' });
     }
 
+    for (const removedItem of (removedItems || []).filter(item => item.product_id)) {
+      await releaseStock(customer, removedItem.product_id, removedItem.variant_id);
+    }
+
     res.json({ message: 'Item removed' });
   } catch (error) {
     console.error('Cart DELETE error:', error);
@@ -263,38 +695,28 @@ router.delete('/:itemId', async (req, res) => {
 // Clear entire cart
 router.delete('/', async (req, res) => {
   try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
-
-    const token = authHeader.replace('Bearer ', '');
-    const { data: { user }, error } = await supabaseAdmin.auth.getUser(token);
-    
-    if (error || !user) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
-
-    // Get user profile
-    const { data: userProfile } = await supabaseAdmin
-      .from('users')
-      .select('id')
-      .eq('auth_id', user.id)
-      .single();
-
-    if (!userProfile) {
-      return res.status(404).json({ error: 'User profile not found' });
+    // Signed-in user or guest
+    const { customer, error: customerError } = await getCustomer(req);
+    if (customerError) {
+      return res.status(customerError.status).json({ error: customerError.message });
     }
 
     const { error: deleteError } = await supabaseAdmin
       .from('cart_items')
       .delete()
-      .eq('user_id', userProfile.id);
+      .match(ownedBy(customer, 'user_id'));
 
     if (deleteError) {
       return res.status(500).json({ error: 'Failed to clear cart' });
     }
 
+    await supabaseAdmin
+      .from('cart_promotions')
+      .delete()
+      .match(ownedBy(customer, 'user_id'));
+
+    await releaseStock(customer);
+
     res.json({ message: 'Cart cleared' });
   } catch (error) {
     console.error('Cart clear error:', error);
@@ -0,0 +1,171 @@
+const express = require('express');
+const { supabaseAdmin } = require('../config/database');
+const { OPEN_DELIVERY_STATUSES, advanceDelivery } = require('../utils/deliveries');
+const router = express.Router();
+
+/**
+ * Driver Routes
+ * Drivers sign in with their user account and work through the deliveries
+ * assigned to them by the admin panel
+ */
+
+/**
+ * Resolve the signed-in driver from the Authorization header
+ * @returns {Promise<{ driver: object|null, error: { status: number, message: string }|null }>}
+ */
+async function getDriver(req) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) {
+    return { driver: null, error: { status: 401, message: 'Unauthorized' } };
+  }
+
+  const token = authHeader.replace('Bearer ', '');
+  const { data: { user }, error } = await supabaseAdmin.auth.getUser(token);
+
+  if (error || !user) {
+    return { driver: null, error: { status: 401, message: 'Unauthorized' } };
+  }
+
+  const { data: driver } = await supabaseAdmin
+    .from('drivers')
+    .select('*, users!inner (auth_id)')
+    .eq('users.auth_id', user.id)
+    .single();
+
+  if (!driver || driver.status !== 'active') {
+    return { driver: null, error: { status: 403, message: 'Not an active driver' } };
+  }
+
+  const { users, ...profile } = driver;
+  return { driver: profile, error: null };
+}
+
+// Get the signed-in driver's profile
+router.get('/me', async (req, res) => {
+  try {
+    const { driver, error } = await getDriver(req);
+    if (error) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    res.json(driver);
+  } catch (error) {
+    console.error('Driver profile error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get the driver's jobs (open ones by default, ?status=all for history)
+router.get('/me/jobs', async (req, res) => {
+  try {
+    const { driver, error } = await getDriver(req);
+    if (error) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    const { status = 'open' } = req.query;
+
+    let query = supabaseAdmin
+      .from('deliveries')
+      .select(`
+        *,
+        orders (
+          order_number,
+          status,
+          full_name,
+          phone,
+          address_line1,
+          address_line2,
+          city,
+          emirate,
+          notes,
+          payment_method,
+          payment_status,
+          total_amount,
+          sub_orders (
+            id,
+            store_id,
+            store_name,
+            status,
+            stores (
+              phone,
+              store_locations (
+                location_type,
+                street_name,
+                place_name,
+                street_number,
+                additional_info
+              )
+            )
+          )
+        )
+      `)
+      .eq('driver_id', driver.id)
+      .order('assigned_at', { ascending: false });
+
+    if (status === 'open') {
+      query = query.in('status', OPEN_DELIVERY_STATUSES);
+    } else if (status !== 'all') {
+      query = query.eq('status', status);
+    }
+
+    const { data: deliveries, error: deliveriesError } = await query;
+
+    if (deliveriesError) {
+      console.error('Driver jobs fetch error:', deliveriesError);
+      return res.status(500).json({ error: 'Failed to fetch jobs' });
+    }
+
+    // Pickups are the job's own sub-order, or every active store in the order
+    const jobs = (deliveries || []).map(({ orders: order, ...delivery }) => {
+      const { sub_orders: subOrders, ...orderDetails } = order;
+      return {
+        ...delivery,
+        order: orderDetails,
+        pickups: (subOrders || []).filter(subOrder => delivery.sub_order_id
+          ? subOrder.id === delivery.sub_order_id
+          : subOrder.status !== 'cancelled')
+      };
+    });
+
+    res.json(jobs);
+  } catch (error) {
+    console.error('Driver jobs error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Advance a job: picked_up, delivered (with proof) or failed (with a reason)
+router.put('/me/jobs/:id/status', async (req, res) => {
+  try {
+    const { driver, error } = await getDriver(req);
+    if (error) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    const { status, recipient_name, notes, photos, reason } = req.body;
+
+    if (!status) {
+      return res.status(400).json({ error: 'Status is required' });
+    }
+
+    const { delivery, error: deliveryError } = await advanceDelivery({
+      deliveryId: req.params.id,
+      driver,
+      status,
+      proof: { recipient_name, notes, photos },
+      reason
+    });
+
+    if (deliveryError) {
+      return res.status(deliveryError.status).json({ error: deliveryError.message });
+    }
+
+    res.json(delivery);
+  } catch (error) {
+    console.error('Driver job status error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -9,6 +9,11 @@ const storesRoutes = require('./stores');
 const ordersRoutes = require('./orders');
 const addressesRoutes = require('./addresses');
 const adminRoutes = require('./admin');
+const returnsRoutes = require('./returns');
+const paymentsRoutes = require('./payments');
+const driversRoutes = require('./drivers');
+const trackRoutes = require('./track');
+const searchRoutes = require('./search');
 
 // Mount all routes
 router.use('/auth', authRoutes);
@@ -18,5 +23,10 @@ router.use('/stores', storesRoutes);
 router.use('/orders', ordersRoutes);
 router.use('/addresses', addressesRoutes);
 router.use('/admin', adminRoutes);
+router.use('/returns', returnsRoutes);
+router.use('/payments', paymentsRoutes);
+router.use('/drivers', driversRoutes);
+router.use('/track', trackRoutes);
+router.use('/search', searchRoutes);
 
 module.exports = router;
@@ -1,5 +1,15 @@
 const express = require('express');
 const { supabaseAdmin } = require('../config/database');
+const { idempotency } = require('../middleware/idempotency');
+const { COMMISSION_RATE, getPricingSettings, priceOrderItems } = require('../utils/pricing');
+const { findPromoCode, validatePromoCode, applyDiscount } = require('../utils/promotions');
+const { ACTORS, transitionOrder, transitionSubOrder } = require('../utils/order-lifecycle');
+const { PAYMENT_METHODS, cardPaymentsEnabled, createPaymentIntent, publicPayment } = require('../utils/payments');
+const { estimateCartDelivery, refreshEstimatedDelivery } = require('../utils/eta');
+const { resolveDeliverySlot } = require('../utils/delivery-slots');
+const { createTrackingToken } = require('../utils/tracking');
+const { getCustomer, ownedBy, parseGuestDetails } = require('../utils/guests');
+const { validateCart, cartOrderItems } = require('../utils/cart-validation');
 const router = express.Router();
 
 /**
@@ -7,29 +17,12 @@ const router = express.Router();
  * All order operations go through backend for data consistency
  */
 
-// Get user's orders (authenticated)
+// Get user's orders (authenticated or guest)
 router.get('/', async (req, res) => {
   try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader) {
-      return res.json([]);
-    }
-
-    const token = authHeader.replace('Bearer ', '');
-    const { data: { user }, error } = await supabaseAdmin.auth.getUser(token);
-    
-    if (error || !user) {
-      return res.json([]);
-    }
-
-    // Get user profile
-    const { data: userProfile } = await supabaseAdmin
-      .from('users')
-      .select('id')
-      .eq('auth_id', user.id)
-      .single();
-
-    if (!userProfile) {
+    // Signed-in user or guest
+    const { customer } = await getCustomer(req);
+    if (!customer) {
       return res.json([]);
     }
 
@@ -41,8 +34,11 @@ router.get('/', async (req, res) => {
         order_items (
           id,
           product_id,
+          variant_id,
           store_id,
           product_name,
+          variant_name,
+          sku,
           store_name,
           quantity,
           price,
@@ -50,7 +46,7 @@ router.get('/', async (req, res) => {
           image_url
         )
       `)
-      .eq('customer_id', userProfile.id)
+      .match(ownedBy(customer, 'customer_id'))
       .order('created_at', { ascending: false });
 
     if (ordersError) {
@@ -65,30 +61,13 @@ router.get('/', async (req, res) => {
   }
 });
 
-// Get single order by ID (authenticated)
+// Get single order by ID (authenticated or guest)
 router.get('/:id', async (req, res) => {
   try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
-
-    const token = authHeader.replace('Bearer ', '');
-    const { data: { user }, error } = await supabaseAdmin.auth.getUser(token);
-    
-    if (error || !user) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
-
-    // Get user profile
-    const { data: userProfile } = await supabaseAdmin
-      .from('users')
-      .select('id')
-      .eq('auth_id', user.id)
-      .single();
-
-    if (!userProfile) {
-      return res.status(404).json({ error: 'User profile not found' });
+    // Signed-in user or guest
+    const { customer, error: customerError } = await getCustomer(req);
+    if (customerError) {
+      return res.status(customerError.status).json({ error: customerError.message });
     }
 
     const { id } = req.params;
@@ -103,14 +82,37 @@ router.get('/:id', async (req, res) => {
           products (name, product_images (image_url, is_primary)),
           stores (name)
         ),
+        sub_orders (
+          id,
+          store_id,
+          store_name,
+          status,
+          ready_at,
+          picked_up_at,
+          delivered_at,
+          cancelled_at
+        ),
+        deliveries (
+          sub_order_id,
+          status,
+          assigned_at,
+          picked_up_at,
+          delivered_at,
+          failed_at,
+          recipient_name,
+          proof_notes,
+          proof_photos,
+          drivers (full_name, phone, vehicle_type)
+        ),
         order_status_history (
           status,
+          sub_order_id,
           notes,
           created_at
         )
       `)
       .eq('id', id)
-      .eq('customer_id', userProfile.id)
+      .match(ownedBy(customer, 'customer_id'))
       .single();
 
     if (orderError) {
@@ -126,142 +128,236 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Order not found' });
     }
 
-    res.json(order);
+    // Lets the customer share tracking (GET /track/:orderNumber) without their account
+    res.json({ ...order, tracking_token: createTrackingToken(order) });
   } catch (error) {
     console.error('Order GET error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Create new order (checkout) (authenticated)
-router.post('/', async (req, res) => {
+// Create new order (checkout) (authenticated, or guest with inline delivery details)
+router.post('/', idempotency('orders.create'), async (req, res) => {
   try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader) {
-      return res.status(401).json({ error: 'Unauthorized' });
+    // Signed-in user or guest
+    const { customer, error: customerError } = await getCustomer(req);
+    if (customerError) {
+      return res.status(customerError.status).json({ error: customerError.message });
     }
 
-    const token = authHeader.replace('Bearer ', '');
-    const { data: { user }, error } = await supabaseAdmin.auth.getUser(token);
-    
-    if (error || !user) {
-      return res.status(401).json({ error: 'Unauthorized' });
+    const { address_id, guest, items, payment_method, notes, promo_code, delivery_slot_id, delivery_date } = req.body;
+
+    if ((customer.userId && !address_id) || (items !== undefined && !Array.isArray(items))) {
+      return res.status(400).json({ error: 'Missing required fields' });
     }
 
-    // Get user profile
-    const { data: userProfile } = await supabaseAdmin
-      .from('users')
-      .select('id')
-      .eq('auth_id', user.id)
-      .single();
+    if (payment_method && !PAYMENT_METHODS.includes(payment_method)) {
+      return res.status(400).json({ error: `payment_method must be one of ${PAYMENT_METHODS.join(', ')}` });
+    }
 
-    if (!userProfile) {
-      return res.status(404).json({ error: 'User profile not found' });
+    if (payment_method === 'card' && !cardPaymentsEnabled()) {
+      return res.status(400).json({ error: 'Card payments are not available' });
     }
 
-    const { address_id, items, payment_method, notes } = req.body;
+    const invalidItem = (items || []).find(item => !item.product_id || !Number.isInteger(Number(item.quantity)) || Number(item.quantity) <= 0);
+    if (invalidItem) {
+      return res.status(400).json({ error: 'Each item needs a product_id and a positive quantity' });
+    }
 
-    if (!address_id || !items || !Array.isArray(items) || items.length === 0) {
-      return res.status(400).json({ error: 'Missing required fields' });
+    // Get delivery address - guests send their contact and delivery details instead
+    let address = null;
+    if (customer.userId) {
+      const { data: savedAddress } = await supabaseAdmin
+        .from('customer_addresses')
+        .select('*')
+        .eq('id', address_id)
+        .eq('user_id', customer.userId)
+        .single();
+
+      if (!savedAddress) {
+        return res.status(404).json({ error: 'Address not found' });
+      }
+      address = savedAddress;
+    } else {
+      const { details, error: guestError } = parseGuestDetails(guest);
+      if (guestError) {
+        return res.status(400).json({ error: guestError });
+      }
+      address = details;
     }
 
-    // Get delivery address
-    const { data: address } = await supabaseAdmin
-      .from('customer_addresses')
-      .select('*')
-      .eq('id', address_id)
-      .eq('user_id', userProfile.id)
-      .single();
+    // The cart is what the customer reviewed - it has to be ready for checkout.
+    // Stale prices are left as they are so the price check below rejects them.
+    const cartValidation = await validateCart(customer, { correctPrices: false });
+    if (!cartValidation.checkout_ready) {
+      return res.status(409).json({
+        error: cartValidation.items.length === 0
+          ? 'Your cart is empty'
+          : 'Some items in your cart need your attention',
+        cart: cartValidation
+      });
+    }
 
-    if (!address) {
-      return res.status(404).json({ error: 'Address not found' });
+    // Charge exactly the validated cart; `items` from the client must match it
+    const { items: orderItems, error: itemsError } = cartOrderItems(cartValidation.items, items);
+    if (itemsError) {
+      return res.status(409).json({ error: itemsError, cart: cartValidation });
     }
 
-    // Generate order number using database function
-    const { data: orderNumberResult } = await supabaseAdmin
-      .rpc('generate_order_number');
+    // Fetch current product data - client prices are never charged
+    const productIds = [...new Set(orderItems.map(item => item.product_id))];
+    const { data: products, error: productsError } = await supabaseAdmin
+      .from('products')
+      .select(`
+        id, name, price, status, is_available, store_id,
+        stores (id, name, delivery_fee),
+        product_images (image_url, is_primary),
+        product_variants (id, sku, name, price, is_available)
+      `)
+      .in('id', productIds);
 
-    const orderNumber = orderNumberResult || `SOMAH-${Date.now()}`;
+    if (productsError) {
+      console.error('Order products fetch error:', productsError);
+      return res.status(500).json({ error: 'Failed to load products' });
+    }
 
-    // Calculate totals (delivery fee already included in item prices)
-    const subtotal = items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-    const delivery_fee = 0.00; // No separate delivery fee - already included in prices
-    const total_amount = subtotal;
+    const settings = await getPricingSettings();
+    const { lines, unavailable, priceChanges, breakdown } = priceOrderItems(orderItems, products, {
+      settings,
+      emirate: address.emirate
+    });
 
-    // Create order
-    const { data: order, error: orderError } = await supabaseAdmin
-      .from('orders')
-      .insert({
-        order_number: orderNumber,
-        customer_id: userProfile.id,
-        address_id: address.id,
-        full_name: address.full_name,
-        phone: address.phone,
-        address_line1: address.address_line1,
-        address_line2: address.address_line2,
-        city: address.city,
-        emirate: address.emirate,
-        postal_code: address.postal_code,
-        country: address.country,
-        subtotal: subtotal,
-        delivery_fee: delivery_fee,
-        total_amount: total_amount,
-        status: 'pending',
-        payment_method: payment_method || 'cash_on_delivery',
-        notes: notes || null
-      })
-      .select()
-      .single();
+    if (unavailable.length > 0) {
+      return res.status(409).json({
+        error: 'Some items in your cart are no longer available',
+        unavailable
+      });
+    }
 
-    if (orderError) {
-      console.error('Order creation error:', orderError);
-      return res.status(500).json({ error: 'Failed to create order' });
+    if (priceChanges.length > 0) {
+      return res.status(409).json({
+        error: 'Prices in your cart are out of date',
+        price_changes: priceChanges,
+        pricing: breakdown
+      });
     }
 
-    // Fetch product details for order items
-    const orderItems = [];
-    for (const item of items) {
-      const { data: product } = await supabaseAdmin
-        .from('products')
-        .select(`
-          id, name, price,
-          stores (id, name),
-          product_images (image_url)
-        `)
-        .eq('id', item.product_id)
+    // Promo code sent with the order, otherwise the one applied to the cart
+    let promo = null;
+    let pricing = breakdown;
+
+    if (promo_code) {
+      promo = await findPromoCode(promo_code);
+      if (!promo) {
+        return res.status(422).json({ error: 'Promo code not found' });
+      }
+    } else {
+      const { data: cartPromotion } = await supabaseAdmin
+        .from('cart_promotions')
+        .select('promo_codes (*)')
+        .match(ownedBy(customer, 'user_id'))
         .single();
 
-      if (product) {
-        orderItems.push({
-          order_id: order.id,
-          product_id: item.product_id,
-          store_id: item.store_id,
-          product_name: product.name,
-          store_name: product.stores.name,
-          quantity: item.quantity,
-          price: item.price,
-          original_price: product.price,
-          image_url: product.product_images?.[0]?.image_url || null
-        });
+      promo = cartPromotion?.promo_codes || null;
+    }
+
+    if (promo) {
+      const { discount, error: promoError } = await validatePromoCode(promo, {
+        customerId: customer.userId,
+        guestId: customer.guestId,
+        guestEmail: customer.userId ? null : address.email,
+        lines
+      });
+
+      if (promoError) {
+        return res.status(422).json({ error: promoError, promo_code: promo.code });
       }
+
+      pricing = applyDiscount(breakdown, promo, discount);
     }
 
-    const { error: itemsError } = await supabaseAdmin
-      .from('order_items')
-      .insert(orderItems);
+    // Chosen delivery slot - capacity is booked again inside the transaction
+    let deliverySlot = null;
+    if (delivery_slot_id) {
+      const earliest = await estimateCartDelivery({
+        storeIds: lines.map(line => line.store_id),
+        emirate: address.emirate
+      });
+      const { slot, error: slotError } = await resolveDeliverySlot({
+        slotId: delivery_slot_id,
+        date: delivery_date,
+        emirate: address.emirate,
+        earliest
+      });
 
-    if (itemsError) {
-      console.error('Order items error:', itemsError);
-      // Rollback order
-      await supabaseAdmin.from('orders').delete().eq('id', order.id);
-      return res.status(500).json({ error: 'Failed to create order items' });
+      if (slotError) {
+        return res.status(slotError.status).json({ error: slotError.message });
+      }
+      deliverySlot = slot;
+    }
+
+    // Place the order in a single transaction: locks and reserves stock,
+    // redeems the promo code, books the delivery slot, writes the order and
+    // its items, and clears the cart
+    const { data: order, error: orderError } = await supabaseAdmin
+      .rpc('checkout_order', {
+        p_customer_id: customer.userId,
+        p_address_id: address.id || null,
+        p_items: lines.map(line => ({
+          product_id: line.product_id,
+          variant_id: line.variant_id,
+          quantity: line.quantity,
+          base_price: line.base_price,
+          unit_price: line.unit_price
+        })),
+        p_subtotal: pricing.subtotal,
+        p_delivery_fee: pricing.delivery_fee,
+        p_total_amount: pricing.total,
+        p_payment_method: payment_method || 'cash_on_delivery',
+        p_notes: notes || null,
+        p_commission_rate: COMMISSION_RATE,
+        p_promo_code_id: promo ? promo.id : null,
+        p_discount_amount: pricing.discount,
+        p_delivery_slot_id: deliverySlot ? deliverySlot.id : null,
+        p_delivery_slot_start: deliverySlot ? deliverySlot.start : null,
+        p_delivery_slot_end: deliverySlot ? deliverySlot.end : null,
+        p_guest_id: customer.guestId,
+        p_guest: customer.userId ? null : address
+      });
+
+    if (orderError) {
+      const checkoutErrors = {
+        PRODUCT_UNAVAILABLE: { status: 409, error: 'Some items in your cart are no longer available', field: 'unavailable' },
+        OUT_OF_STOCK: { status: 409, error: 'Some items in your cart are out of stock', field: 'out_of_stock' },
+        PRICE_CHANGED: { status: 409, error: 'Prices in your cart are out of date', field: 'price_changes' },
+        ADDRESS_NOT_FOUND: { status: 404, error: 'Address not found' },
+        PROMO_INVALID: { status: 422, error: 'This promo code can no longer be used', field: 'promo' },
+        SLOT_UNAVAILABLE: { status: 422, error: 'This delivery slot is not available for your address' },
+        SLOT_FULL: { status: 409, error: 'This delivery slot is full' }
+      };
+      const checkoutError = checkoutErrors[orderError.message];
+
+      if (checkoutError) {
+        const body = { error: checkoutError.error };
+        if (checkoutError.field) {
+          try {
+            body[checkoutError.field] = JSON.parse(orderError.details || '[]');
+          } catch (parseError) {
+            body[checkoutError.field] = [];
+          }
+        }
+        return res.status(checkoutError.status).json(body);
+      }
+
+      console.error('Order creation error:', orderError);
+      return res.status(500).json({ error: 'Failed to create order' });
     }
 
-    // Clear cart after successful order
-    await supabaseAdmin
-      .from('cart_items')
-      .delete()
-      .eq('user_id', userProfile.id);
+    // Estimate delivery before the team sees the order
+    const estimatedDeliveryDate = await refreshEstimatedDelivery(order.id);
+    if (estimatedDeliveryDate) {
+      order.estimated_delivery_date = estimatedDeliveryDate;
+    }
 
     // Trigger Telegram notification (database trigger already created the notification record)
     try {
@@ -272,14 +368,79 @@ router.post('/', async (req, res) => {
       // Don't fail the order if Telegram fails
     }
 
-    res.json(order);
+    // Card orders stay pending until the payment is captured
+    let payment = null;
+    if (order.payment_method === 'card') {
+      const { payment: intent, error: paymentError } = await createPaymentIntent(order);
+      if (paymentError) {
+        // The customer can retry with POST /payments/orders/:orderId/intent
+        console.error(`Payment intent error for order ${order.id}:`, paymentError.message);
+      } else {
+        payment = publicPayment(intent);
+      }
+    }
+
+    res.json({ ...order, pricing, payment, tracking_token: createTrackingToken(order) });
   } catch (error) {
     console.error('Order POST error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Update order status (authenticated - for store owners)
+// Cancel an order (authenticated or guest - order owner)
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    // Signed-in user or guest
+    const { customer, error: customerError } = await getCustomer(req);
+    if (customerError) {
+      return res.status(customerError.status).json({ error: customerError.message });
+    }
+
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({ error: 'A cancellation reason is required' });
+    }
+
+    // Verify the order belongs to this customer
+    const { data: order } = await supabaseAdmin
+      .from('orders')
+      .select('id, customer_id')
+      .eq('id', id)
+      .match(ownedBy(customer, 'customer_id'))
+      .single();
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    // Restores stock, writes history and queues the Telegram update
+    const { order: cancelledOrder, error: transitionError } = await transitionOrder({
+      orderId: id,
+      status: 'cancelled',
+      actor: { type: ACTORS.CUSTOMER, id: customer.userId || order.customer_id },
+      notes: reason.trim()
+    });
+
+    if (transitionError) {
+      return res.status(transitionError.status).json({ error: transitionError.message });
+    }
+
+    res.json(cancelledOrder);
+  } catch (error) {
+    console.error('Order cancel error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Order statuses store owners sent before orders were split per store -> sub-order status
+const LEGACY_SUB_ORDER_STATUSES = {
+  confirmed: 'preparing',
+  shipped: 'ready_for_pickup'
+};
+
+// Update the fulfilment status of the caller's stores in an order (authenticated - for store owners)
 router.put('/:id/status', async (req, res) => {
   try {
     const authHeader = req.headers.authorization;
@@ -306,44 +467,86 @@ router.put('/:id/status', async (req, res) => {
     }
 
     const { id } = req.params;
-    const { status, notes } = req.body;
+    const { status, notes, store_id } = req.body;
 
     if (!status) {
       return res.status(400).json({ error: 'Status is required' });
     }
 
-    // Valid status values
-    const validStatuses = ['pending', 'confirmed', 'shipped', 'delivered', 'cancelled'];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({ error: 'Invalid status value' });
+    // Find which stores in this order the caller owns
+    const { data: orderItems, error: itemsError } = await supabaseAdmin
+      .from('order_items')
+      .select('store_id, sub_order_id, stores (owner_id)')
+      .eq('order_id', id);
+
+    if (itemsError) {
+      console.error('Order items fetch error:', itemsError);
+      return res.status(500).json({ error: 'Failed to fetch order' });
     }
 
-    // Update order status
-    const { data: updatedOrder, error: updateError } = await supabaseAdmin
-      .from('orders')
-      .update({
-        status,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', id)
-      .select()
-      .single();
+    if (!orderItems || orderItems.length === 0) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const ownedItems = orderItems.filter(item =>
+      item.stores && item.stores.owner_id === userProfile.id && (!store_id || item.store_id === store_id)
+    );
 
-    if (updateError) {
-      console.error('Order status update error:', updateError);
-      return res.status(500).json({ error: 'Failed to update order status' });
+    if (ownedItems.length === 0) {
+      return res.status(403).json({ error: 'Unauthorized to update this order' });
     }
 
-    // Add entry to order status history
-    await supabaseAdmin
-      .from('order_status_history')
-      .insert({
-        order_id: id,
+    const actor = { type: ACTORS.STORE_OWNER, id: userProfile.id };
+    const subOrderIds = [...new Set(ownedItems.map(item => item.sub_order_id).filter(Boolean))];
+
+    // Orders placed before sub-orders existed can only be moved as a whole,
+    // and only by an owner of every store in them
+    if (subOrderIds.length === 0) {
+      const ownsWholeOrder = orderItems.every(item => item.stores && item.stores.owner_id === userProfile.id);
+      if (!ownsWholeOrder) {
+        return res.status(403).json({ error: 'Unauthorized to update this order' });
+      }
+
+      const { order: updatedOrder, error: transitionError } = await transitionOrder({
+        orderId: id,
         status,
+        actor,
         notes: notes || null
       });
 
-    res.json(updatedOrder);
+      if (transitionError) {
+        return res.status(transitionError.status).json({ error: transitionError.message });
+      }
+
+      return res.json(updatedOrder);
+    }
+
+    // Store owners only move their own part of the order. Order statuses sent
+    // by older clients map onto the matching sub-order step.
+    const subOrderStatus = LEGACY_SUB_ORDER_STATUSES[status] || status;
+    const updatedSubOrders = [];
+    let updatedOrder = null;
+    for (const subOrderId of subOrderIds) {
+      const { subOrder, order, error: transitionError } = await transitionSubOrder({
+        subOrderId,
+        status: subOrderStatus,
+        actor,
+        notes: notes || null
+      });
+
+      if (transitionError) {
+        return res.status(transitionError.status).json({
+          error: transitionError.message,
+          subOrders: updatedSubOrders
+        });
+      }
+
+      updatedSubOrders.push(subOrder);
+      updatedOrder = order;
+    }
+
+    // Same shape as before sub-orders: the order row, plus the caller's sub-orders
+    res.json({ ...updatedOrder, sub_orders: updatedSubOrders });
   } catch (error) {
     console.error('Order status PUT error:', error);
     res.status(500).json({ error: 'Internal server error' });
@@ -0,0 +1,145 @@
+const express = require('express');
+const { supabaseAdmin } = require('../config/database');
+const {
+  PAYMENT_PROVIDER,
+  getPaymentProvider,
+  publicPayment,
+  createPaymentIntent,
+  getOrderPayment,
+  handlePaymentEvent
+} = require('../utils/payments');
+const { getCustomer, ownedBy } = require('../utils/guests');
+const router = express.Router();
+
+/**
+ * Payments Routes
+ * Card payments for orders and the webhook providers report back to
+ */
+
+// Provider callbacks (signed, no user authentication)
+router.post('/webhook/:provider', async (req, res) => {
+  const provider = getPaymentProvider(req.params.provider);
+  if (!provider) {
+    return res.status(404).json({ error: 'Unknown payment provider' });
+  }
+
+  let event;
+  try {
+    event = provider.verifyWebhook(req.rawBody, req.headers);
+  } catch (error) {
+    console.error(`Payment webhook rejected (${provider.name}):`, error.message);
+    return res.status(400).json({ error: 'Invalid webhook signature' });
+  }
+
+  try {
+    await handlePaymentEvent(provider.name, event);
+    res.json({ received: true });
+  } catch (error) {
+    // A 5xx makes the provider retry the event later
+    console.error(`Payment webhook error (${provider.name}):`, error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get the payment of an order (authenticated or guest - order owner)
+router.get('/orders/:orderId', async (req, res) => {
+  try {
+    // Signed-in user or guest
+    const { customer, error: customerError } = await getCustomer(req);
+    if (customerError) {
+      return res.status(customerError.status).json({ error: customerError.message });
+    }
+
+    const { data: order } = await supabaseAdmin
+      .from('orders')
+      .select('id, status, payment_method, payment_status')
+      .eq('id', req.params.orderId)
+      .match(ownedBy(customer, 'customer_id'))
+      .single();
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const payment = await getOrderPayment(order.id);
+
+    res.json({
+      order_status: order.status,
+      payment_method: order.payment_method,
+      payment_status: order.payment_status,
+      payment: payment ? publicPayment(payment) : null
+    });
+  } catch (error) {
+    console.error('Payment GET error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Start or retry the card payment of an order (authenticated or guest - order owner)
+router.post('/orders/:orderId/intent', async (req, res) => {
+  try {
+    // Signed-in user or guest
+    const { customer, error: customerError } = await getCustomer(req);
+    if (customerError) {
+      return res.status(customerError.status).json({ error: customerError.message });
+    }
+
+    const { data: order } = await supabaseAdmin
+      .from('orders')
+      .select('*')
+      .eq('id', req.params.orderId)
+      .match(ownedBy(customer, 'customer_id'))
+      .single();
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const { payment, error: paymentError } = await createPaymentIntent(order);
+
+    if (paymentError) {
+      return res.status(paymentError.status).json({ error: paymentError.message });
+    }
+
+    res.json(publicPayment(payment));
+  } catch (error) {
+    console.error('Payment intent error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Stand-in for the provider's card page, only available with the mock provider
+if (PAYMENT_PROVIDER === 'mock') {
+  router.post('/mock/:paymentId/authorize', async (req, res) => {
+    try {
+      const { client_secret, card_number } = req.body;
+
+      if (!client_secret || !card_number) {
+        return res.status(400).json({ error: 'Missing required fields' });
+      }
+
+      const { data: payment } = await supabaseAdmin
+        .from('payments')
+        .select('provider_payment_id')
+        .eq('id', req.params.paymentId)
+        .eq('provider', 'mock')
+        .single();
+
+      if (!payment) {
+        return res.status(404).json({ error: 'Payment not found' });
+      }
+
+      const result = await getPaymentProvider('mock').authorize(payment.provider_payment_id, {
+        client_secret,
+        card_number
+      });
+
+      res.json(result);
+    } catch (error) {
+      console.error('Mock payment authorize error:', error.message);
+      res.status(400).json({ error: error.message });
+    }
+  });
+}
+
+module.exports = router;
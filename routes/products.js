@@ -1,5 +1,10 @@
 const express = require('express');
 const { supabaseAdmin } = require('../config/database');
+const { getPricingSettings, withDisplayPrices } = require('../utils/pricing');
+const { withAvailableStock } = require('../utils/reservations');
+const { OWNER_MOVEMENT_REASONS, parseLowStockThreshold, adjustStock } = require('../utils/inventory');
+const { parseProductOptions, parseVariantOptions } = require('../utils/variants');
+const { PRODUCT_SORTS, parsePageQuery, parseProductFilters, applyProductFilters, applyPage, pageResult } = require('../utils/catalog');
 const router = express.Router();
 
 /**
@@ -8,65 +13,95 @@ const router = express.Router();
  */
 
 // Get all products (public)
+// Paginated with a cursor - pass `pagination.nextCursor` back as `cursor` for the next page
 router.get('/', async (req, res) => {
   try {
-    const { storeId, category, query } = req.query;
-    
-    let productQuery = supabaseAdmin
-      .from('products')
-      .select(`
-        id,
-        store_id,
-        name,
-        description,
-        price,
-        stock,
-        category,
-        is_available,
-        status,
-        created_at,
-        updated_at,
-        stores (
-          id,
-          name,
-          logo_url
-        ),
-        product_images (
-          id,
-          image_url,
-          is_primary,
-          display_order
-        )
-      `)
-      .eq('status', 'active')
-      .eq('is_available', true);
-    
-    if (storeId) {
-      productQuery = productQuery.eq('store_id', storeId);
-    }
-    
-    if (category) {
-      productQuery = productQuery.eq('category', category);
+    const { storeId } = req.query;
+
+    const { page, error: pageError } = parsePageQuery(req.query, PRODUCT_SORTS);
+    if (pageError) {
+      return res.status(400).json({ error: pageError });
     }
-    
-    if (query) {
-      productQuery = productQuery.ilike('name', `%${query}%`);
+
+    const { filters, error: filterError } = parseProductFilters(req.query);
+    if (filterError) {
+      return res.status(400).json({ error: filterError });
     }
+
+    const settings = await getPricingSettings();
+
+    const applyFilters = (productQuery) => {
+      productQuery = applyProductFilters(productQuery, filters, settings);
+      return storeId ? productQuery.eq('store_id', storeId) : productQuery;
+    };
+
+    const [{ data: products, error }, { count, error: countError }] = await Promise.all([
+      applyPage(applyFilters(supabaseAdmin
+        .from('products')
+        .select(`
+          id,
+          store_id,
+          name,
+          description,
+          price,
+          stock,
+          category,
+          is_available,
+          status,
+          sales_count,
+          store_rating,
+          created_at,
+          updated_at,
+          stores (
+            id,
+            name,
+            logo_url
+          ),
+          product_images (
+            id,
+            variant_id,
+            image_url,
+            is_primary,
+            display_order
+          ),
+          product_options (
+            id,
+            name,
+            option_values,
+            position
+          ),
+          product_variants (
+            id,
+            sku,
+            name,
+            options,
+            price,
+            stock,
+            is_available,
+            position
+          )
+        `)
+        .order('position', { foreignTable: 'product_options' })
+        .order('position', { foreignTable: 'product_variants' })), page),
+      // Totals are only needed for pages
+      page.paginated
+        ? applyFilters(supabaseAdmin
+          .from('products')
+          .select('id', { count: 'exact', head: true }))
+        : { count: null, error: null }
+    ]);
     
-    const { data: products, error } = await productQuery;
-    
-    if (error) {
-      console.error('Products fetch error:', error);
+    if (error || countError) {
+      console.error('Products fetch error:', error || countError);
       return res.status(500).json({ error: 'Failed to fetch products' });
     }
     
-    // Add 20 AED delivery fee to all product prices for display
-    const productsWithDeliveryFee = (products || []).map(product => ({
-      ...product,
-      price: Math.round((product.price + 20) * 100) / 100
-    }));
-    
-    res.json(productsWithDeliveryFee);
+    // Show display prices (store price + delivery markup) and stock not held by other customers
+    const { items, pagination } = pageResult(products, page, count);
+    const listed = await withAvailableStock(withDisplayPrices(items, settings));
+
+    // A plain array, as before pagination, unless the client asked for pages
+    res.json(page.paginated ? { products: listed, pagination } : listed);
   } catch (error) {
     console.error('Products GET error:', error);
     res.status(500).json({ error: 'Internal server error' });
@@ -90,11 +125,36 @@ router.get('/:id', async (req, res) => {
         ),
         product_images (
           id,
+          variant_id,
           image_url,
           is_primary
+        ),
+        product_options (
+          id,
+          name,
+          option_values,
+          position
+        ),
+        product_variants (
+          id,
+          sku,
+          name,
+          options,
+          price,
+          stock,
+          is_available,
+          position,
+          product_images (
+            id,
+            image_url,
+            is_primary,
+            display_order
+          )
         )
       `)
       .eq('id', id)
+      .order('position', { foreignTable: 'product_options' })
+      .order('position', { foreignTable: 'product_variants' })
       .single();
     
     if (error) {
@@ -105,13 +165,11 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Product not found' });
     }
     
-    // Add 20 AED delivery fee to the product price for display
-    const productWithDeliveryFee = {
-      ...product,
-      price: Math.round((product.price + 20) * 100) / 100
-    };
-    
-    res.json(productWithDeliveryFee);
+    // Show display prices (store price + delivery markup) and stock not held by
+    // other customers, for the product and each of its variants
+    const settings = await getPricingSettings();
+    const [productWithStock] = await withAvailableStock(withDisplayPrices([product], settings));
+    res.json(productWithStock);
   } catch (error) {
     console.error('Product GET error:', error);
     res.status(500).json({ error: 'Internal server error' });
@@ -144,12 +202,36 @@ router.post('/', async (req, res) => {
       return res.status(404).json({ error: 'User profile not found' });
     }
 
-    const { store_id, name, description, price, stock, category, status, images } = req.body;
+    const { store_id, name, description, price, stock, category, status, images, low_stock_threshold, options } = req.body;
 
     if (!store_id || !name || !description || !price || !category) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
 
+    const initialStock = Number(stock || 0);
+    if (!Number.isInteger(initialStock) || initialStock < 0) {
+      return res.status(400).json({ error: 'stock must be a non-negative whole number' });
+    }
+
+    let lowStockThreshold = null;
+    if (low_stock_threshold !== undefined) {
+      const { threshold, error: thresholdError } = parseLowStockThreshold(low_stock_threshold);
+      if (thresholdError) {
+        return res.status(400).json({ error: thresholdError });
+      }
+      lowStockThreshold = threshold;
+    }
+
+    // Option types (size, colour, ...) - variants are added with POST /products/:id/variants
+    let productOptions = [];
+    if (options !== undefined) {
+      const { options: parsedOptions, error: optionsError } = parseProductOptions(options);
+      if (optionsError) {
+        return res.status(400).json({ error: optionsError });
+      }
+      productOptions = parsedOptions;
+    }
+
     // Verify user owns the store
     const { data: store } = await supabaseAdmin
       .from('stores')
@@ -161,7 +243,7 @@ router.post('/', async (req, res) => {
       return res.status(403).json({ error: 'Unauthorized to add products to this store' });
     }
 
-    // Create the product
+    // Create the product - its stock is added below through the inventory ledger
     const { data: product, error: productError } = await supabaseAdmin
       .from('products')
       .insert({
@@ -169,7 +251,8 @@ router.post('/', async (req, res) => {
         name,
         description,
         price,
-        stock: stock || 0,
+        stock: 0,
+        low_stock_threshold: lowStockThreshold,
         category,
         is_available: status === 'active',
         status: status || 'active'
@@ -182,6 +265,28 @@ router.post('/', async (req, res) => {
       return res.status(500).json({ error: 'Failed to create product' });
     }
 
+    if (initialStock > 0) {
+      const { error: stockError } = await adjustStock({
+        productId: product.id,
+        change: initialStock,
+        reason: 'initial',
+        userId: userProfile.id
+      });
+
+      if (stockError) {
+        return res.status(stockError.status).json({ error: stockError.message });
+      }
+
+      // Stock and status as the ledger left them
+      const { data: stockedProduct } = await supabaseAdmin
+        .from('products')
+        .select('stock, status, is_available')
+        .eq('id', product.id)
+        .single();
+
+      Object.assign(product, stockedProduct);
+    }
+
     // Add product images if provided
     if (images && images.length > 0) {
       const imageInserts = images.map((image, index) => ({
@@ -200,6 +305,18 @@ router.post('/', async (req, res) => {
       }
     }
 
+    if (productOptions.length > 0) {
+      const { data: savedOptions, error: optionsError } = await supabaseAdmin
+        .from('product_options')
+        .insert(productOptions.map(option => ({ ...option, product_id: product.id })))
+        .select('id, name, option_values, position');
+
+      if (optionsError) {
+        console.error('Product options error:', optionsError);
+      }
+      product.product_options = savedOptions || [];
+    }
+
     res.json(product);
   } catch (error) {
     console.error('Product POST error:', error);
@@ -234,12 +351,12 @@ router.put('/:id', async (req, res) => {
     }
 
     const { id } = req.params;
-    const { name, description, price, stock, category, status } = req.body;
+    const { name, description, price, stock, category, status, low_stock_threshold } = req.body;
 
     // Verify user owns the store that owns this product
     const { data: product } = await supabaseAdmin
       .from('products')
-      .select('store_id, stores!inner(owner_id)')
+      .select('store_id, stock, stores!inner(owner_id), product_variants (id)')
       .eq('id', id)
       .single();
 
@@ -247,6 +364,45 @@ router.put('/:id', async (req, res) => {
       return res.status(403).json({ error: 'Unauthorized to update this product' });
     }
 
+    if (stock !== undefined && (!Number.isInteger(Number(stock)) || Number(stock) < 0)) {
+      return res.status(400).json({ error: 'stock must be a non-negative whole number' });
+    }
+
+    if (stock !== undefined && product.product_variants.length > 0) {
+      return res.status(400).json({ error: 'This product has variants - change the stock of a variant' });
+    }
+
+    const changes = {};
+    if (low_stock_threshold !== undefined) {
+      const { threshold, error: thresholdError } = parseLowStockThreshold(low_stock_threshold);
+      if (thresholdError) {
+        return res.status(400).json({ error: thresholdError });
+      }
+      changes.low_stock_threshold = threshold;
+    }
+
+    // Stock goes through the inventory ledger first, so a rejected stock
+    // change leaves the rest of the product untouched too
+    const stockChanged = stock !== undefined && Number(stock) !== product.stock;
+    if (stockChanged) {
+      const { error: stockError } = await adjustStock({
+        productId: id,
+        stock: Number(stock),
+        reason: 'adjustment',
+        notes: 'Stock edited with the product',
+        userId: userProfile.id
+      });
+
+      if (stockError) {
+        return res.status(stockError.status).json({ error: stockError.message });
+      }
+    }
+
+    // Out of stock follows the new stock level - don't let the status the client saw before override it
+    const statusChanges = stockChanged && status === 'out_of_stock'
+      ? {}
+      : { is_available: status === 'active', status };
+
     // Update the product
     const { data: updatedProduct, error: updateError } = await supabaseAdmin
       .from('products')
@@ -254,10 +410,9 @@ router.put('/:id', async (req, res) => {
         name,
         description,
         price,
-        stock,
         category,
-        is_available: status === 'active',
-        status,
+        ...statusChanges,
+        ...changes,
         updated_at: new Date().toISOString()
       })
       .eq('id', id)
@@ -276,6 +431,598 @@ router.put('/:id', async (req, res) => {
   }
 });
 
+// Get the stock history of a product (authenticated - store owner)
+router.get('/:id/inventory', async (req, res) => {
+  try {
+    const authHeader = req.headers.authorization;
+    if (!authHeader) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const token = authHeader.replace('Bearer ', '');
+    const { data: { user }, error } = await supabaseAdmin.auth.getUser(token);
+    
+    if (error || !user) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    // Get user profile
+    const { data: userProfile } = await supabaseAdmin
+      .from('users')
+      .select('id')
+      .eq('auth_id', user.id)
+      .single();
+
+    if (!userProfile) {
+      return res.status(404).json({ error: 'User profile not found' });
+    }
+
+    const { id } = req.params;
+    const { reason, variant_id, page = 1, limit = 20 } = req.query;
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+    const offset = (pageNumber - 1) * pageSize;
+
+    // Verify user owns the store that owns this product
+    const { data: product } = await supabaseAdmin
+      .from('products')
+      .select(`
+        id, name, stock, status, low_stock_threshold, store_id,
+        stores!inner(owner_id, low_stock_threshold),
+        product_variants (id, sku, name, stock, is_available)
+      `)
+      .eq('id', id)
+      .single();
+
+    if (!product || product.stores.owner_id !== userProfile.id) {
+      return res.status(403).json({ error: 'Unauthorized to view stock for this product' });
+    }
+
+    let movementsQuery = supabaseAdmin
+      .from('inventory_movements')
+      .select(`
+        id,
+        variant_id,
+        change,
+        stock_after,
+        reason,
+        order_id,
+        sub_order_id,
+        return_request_id,
+        notes,
+        created_at,
+        orders (order_number),
+        users (name),
+        product_variants (name, sku)
+      `, { count: 'exact' })
+      .eq('product_id', id);
+
+    if (reason) {
+      movementsQuery = movementsQuery.eq('reason', reason);
+    }
+
+    if (variant_id) {
+      movementsQuery = movementsQuery.eq('variant_id', variant_id);
+    }
+
+    const { data: movements, error: movementsError, count: totalCount } = await movementsQuery
+      .order('created_at', { ascending: false })
+      .range(offset, offset + pageSize - 1);
+
+    if (movementsError) {
+      console.error('Inventory movements fetch error:', movementsError);
+      return res.status(500).json({ error: 'Failed to fetch stock history' });
+    }
+
+    const { stores: store, ...productDetails } = product;
+
+    res.json({
+      product: {
+        ...productDetails,
+        effective_low_stock_threshold: product.low_stock_threshold ?? store.low_stock_threshold
+      },
+      movements: (movements || []).map(({ orders: order, users: owner, product_variants: variant, ...movement }) => ({
+        ...movement,
+        variant_name: variant ? variant.name : null,
+        sku: variant ? variant.sku : null,
+        order_number: order ? order.order_number : null,
+        created_by_name: owner ? owner.name : null
+      })),
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        totalItems: totalCount || 0,
+        totalPages: Math.ceil((totalCount || 0) / pageSize)
+      }
+    });
+  } catch (error) {
+    console.error('Inventory GET error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Adjust the stock of a product with a reason (authenticated - store owner)
+router.post('/:id/inventory', async (req, res) => {
+  try {
+    const authHeader = req.headers.authorization;
+    if (!authHeader) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const token = authHeader.replace('Bearer ', '');
+    const { data: { user }, error } = await supabaseAdmin.auth.getUser(token);
+    
+    if (error || !user) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    // Get user profile
+    const { data: userProfile } = await supabaseAdmin
+      .from('users')
+      .select('id')
+      .eq('auth_id', user.id)
+      .single();
+
+    if (!userProfile) {
+      return res.status(404).json({ error: 'User profile not found' });
+    }
+
+    const { id } = req.params;
+    const { variant_id, change, stock, reason = 'adjustment', notes } = req.body;
+
+    if ((change === undefined) === (stock === undefined)) {
+      return res.status(400).json({ error: 'Send either change or stock' });
+    }
+
+    const value = Number(change !== undefined ? change : stock);
+    if (!Number.isInteger(value) || (stock !== undefined && value < 0)) {
+      return res.status(400).json({ error: change !== undefined ? 'change must be a whole number' : 'stock must be a non-negative whole number' });
+    }
+
+    if (!OWNER_MOVEMENT_REASONS.includes(reason)) {
+      return res.status(400).json({ error: `reason must be one of ${OWNER_MOVEMENT_REASONS.join(', ')}` });
+    }
+
+    if (reason === 'adjustment' && (!notes || !String(notes).trim())) {
+      return res.status(400).json({ error: 'Explain the adjustment in notes' });
+    }
+
+    // Verify user owns the store that owns this product
+    const { data: product } = await supabaseAdmin
+      .from('products')
+      .select('store_id, stores!inner(owner_id)')
+      .eq('id', id)
+      .single();
+
+    if (!product || product.stores.owner_id !== userProfile.id) {
+      return res.status(403).json({ error: 'Unauthorized to update stock for this product' });
+    }
+
+    const { movement, error: stockError } = await adjustStock({
+      productId: id,
+      variantId: variant_id || null,
+      change: change !== undefined ? value : null,
+      stock: stock !== undefined ? value : null,
+      reason,
+      notes: notes ? String(notes).trim() : null,
+      userId: userProfile.id
+    });
+
+    if (stockError) {
+      return res.status(stockError.status).json({ error: stockError.message });
+    }
+
+    res.json(movement);
+  } catch (error) {
+    console.error('Inventory POST error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Replace the option types of a product (authenticated - store owner)
+router.put('/:id/options', async (req, res) => {
+  try {
+    const authHeader = req.headers.authorization;
+    if (!authHeader) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const token = authHeader.replace('Bearer ', '');
+    const { data: { user }, error } = await supabaseAdmin.auth.getUser(token);
+    
+    if (error || !user) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    // Get user profile
+    const { data: userProfile } = await supabaseAdmin
+      .from('users')
+      .select('id')
+      .eq('auth_id', user.id)
+      .single();
+
+    if (!userProfile) {
+      return res.status(404).json({ error: 'User profile not found' });
+    }
+
+    const { id } = req.params;
+    const { options: parsedOptions, error: optionsError } = parseProductOptions(req.body.options);
+
+    if (optionsError) {
+      return res.status(400).json({ error: optionsError });
+    }
+
+    // Verify user owns the store that owns this product
+    const { data: product } = await supabaseAdmin
+      .from('products')
+      .select('store_id, stores!inner(owner_id), product_variants (id, sku, name, options)')
+      .eq('id', id)
+      .single();
+
+    if (!product || product.stores.owner_id !== userProfile.id) {
+      return res.status(403).json({ error: 'Unauthorized to update this product' });
+    }
+
+    // Existing variants have to fit the new options
+    const renamedVariants = [];
+    const mismatched = [];
+    for (const variant of product.product_variants) {
+      const { name, error: variantError } = parseVariantOptions(variant.options, parsedOptions);
+      if (variantError) {
+        mismatched.push({ id: variant.id, sku: variant.sku, error: variantError });
+      } else if (name !== variant.name) {
+        renamedVariants.push({ id: variant.id, name });
+      }
+    }
+
+    if (mismatched.length > 0) {
+      return res.status(409).json({ error: 'Some variants do not fit these options', variants: mismatched });
+    }
+
+    const { error: deleteError } = await supabaseAdmin
+      .from('product_options')
+      .delete()
+      .eq('product_id', id);
+
+    if (deleteError) {
+      console.error('Product options delete error:', deleteError);
+      return res.status(500).json({ error: 'Failed to update options' });
+    }
+
+    let savedOptions = [];
+    if (parsedOptions.length > 0) {
+      const { data: insertedOptions, error: insertError } = await supabaseAdmin
+        .from('product_options')
+        .insert(parsedOptions.map(option => ({ ...option, product_id: id })))
+        .select('id, name, option_values, position');
+
+      if (insertError) {
+        console.error('Product options insert error:', insertError);
+        return res.status(500).json({ error: 'Failed to update options' });
+      }
+      savedOptions = insertedOptions;
+    }
+
+    // Variant names follow the option order
+    for (const variant of renamedVariants) {
+      await supabaseAdmin
+        .from('product_variants')
+        .update({ name: variant.name, updated_at: new Date().toISOString() })
+        .eq('id', variant.id);
+    }
+
+    res.json(savedOptions);
+  } catch (error) {
+    console.error('Product options PUT error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Add a variant to a product (authenticated - store owner)
+router.post('/:id/variants', async (req, res) => {
+  try {
+    const authHeader = req.headers.authorization;
+    if (!authHeader) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const token = authHeader.replace('Bearer ', '');
+    const { data: { user }, error } = await supabaseAdmin.auth.getUser(token);
+    
+    if (error || !user) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    // Get user profile
+    const { data: userProfile } = await supabaseAdmin
+      .from('users')
+      .select('id')
+      .eq('auth_id', user.id)
+      .single();
+
+    if (!userProfile) {
+      return res.status(404).json({ error: 'User profile not found' });
+    }
+
+    const { id } = req.params;
+    const { sku, options, price, stock, is_available, images } = req.body;
+
+    if (!sku || !String(sku).trim()) {
+      return res.status(400).json({ error: 'sku is required' });
+    }
+
+    if (price !== undefined && (!Number.isFinite(Number(price)) || Number(price) < 0)) {
+      return res.status(400).json({ error: 'price must be a non-negative number' });
+    }
+
+    const initialStock = Number(stock || 0);
+    if (!Number.isInteger(initialStock) || initialStock < 0) {
+      return res.status(400).json({ error: 'stock must be a non-negative whole number' });
+    }
+
+    // Verify user owns the store that owns this product
+    const { data: product } = await supabaseAdmin
+      .from('products')
+      .select(`
+        price, stock, store_id,
+        stores!inner(owner_id),
+        product_options (name, option_values, position),
+        product_variants (id)
+      `)
+      .eq('id', id)
+      .single();
+
+    if (!product || product.stores.owner_id !== userProfile.id) {
+      return res.status(403).json({ error: 'Unauthorized to update this product' });
+    }
+
+    const { options: variantOptions, name, error: optionsError } = parseVariantOptions(options, product.product_options);
+    if (optionsError) {
+      return res.status(400).json({ error: optionsError });
+    }
+
+    // Once a product has variants its stock is kept per variant
+    if (product.product_variants.length === 0 && product.stock > 0) {
+      return res.status(409).json({
+        error: 'Set the product stock to 0 before adding variants - stock is then kept per variant'
+      });
+    }
+
+    // Added with no stock - its stock goes through the inventory ledger below
+    const { data: variant, error: variantError } = await supabaseAdmin
+      .from('product_variants')
+      .insert({
+        product_id: id,
+        sku: String(sku).trim(),
+        name,
+        options: variantOptions,
+        price: price !== undefined ? Number(price) : product.price,
+        stock: 0,
+        is_available: is_available !== false,
+        position: product.product_variants.length
+      })
+      .select()
+      .single();
+
+    if (variantError) {
+      if (variantError.code === '23505') {
+        return res.status(409).json({ error: 'A variant with this SKU or these options already exists' });
+      }
+      console.error('Variant creation error:', variantError);
+      return res.status(500).json({ error: 'Failed to create variant' });
+    }
+
+    if (initialStock > 0) {
+      const { error: stockError } = await adjustStock({
+        productId: id,
+        variantId: variant.id,
+        change: initialStock,
+        reason: 'initial',
+        userId: userProfile.id
+      });
+
+      if (stockError) {
+        return res.status(stockError.status).json({ error: stockError.message });
+      }
+      variant.stock = initialStock;
+    }
+
+    // Add variant images if provided
+    if (images && images.length > 0) {
+      const { error: imagesError } = await supabaseAdmin
+        .from('product_images')
+        .insert(images.map((image, index) => ({
+          product_id: id,
+          variant_id: variant.id,
+          image_url: image,
+          is_primary: index === 0,
+          display_order: index
+        })));
+
+      if (imagesError) {
+        console.error('Variant images error:', imagesError);
+      }
+    }
+
+    res.json(variant);
+  } catch (error) {
+    console.error('Variant POST error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update a variant (authenticated - store owner)
+router.put('/:id/variants/:variantId', async (req, res) => {
+  try {
+    const authHeader = req.headers.authorization;
+    if (!authHeader) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const token = authHeader.replace('Bearer ', '');
+    const { data: { user }, error } = await supabaseAdmin.auth.getUser(token);
+    
+    if (error || !user) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    // Get user profile
+    const { data: userProfile } = await supabaseAdmin
+      .from('users')
+      .select('id')
+      .eq('auth_id', user.id)
+      .single();
+
+    if (!userProfile) {
+      return res.status(404).json({ error: 'User profile not found' });
+    }
+
+    const { id, variantId } = req.params;
+    const { sku, price, stock, is_available, position } = req.body;
+
+    if (sku !== undefined && !String(sku).trim()) {
+      return res.status(400).json({ error: 'sku cannot be empty' });
+    }
+
+    if (price !== undefined && (!Number.isFinite(Number(price)) || Number(price) < 0)) {
+      return res.status(400).json({ error: 'price must be a non-negative number' });
+    }
+
+    if (stock !== undefined && (!Number.isInteger(Number(stock)) || Number(stock) < 0)) {
+      return res.status(400).json({ error: 'stock must be a non-negative whole number' });
+    }
+
+    // Verify user owns the store that owns this product
+    const { data: variant } = await supabaseAdmin
+      .from('product_variants')
+      .select('id, stock, products!inner(store_id, stores!inner(owner_id))')
+      .eq('id', variantId)
+      .eq('product_id', id)
+      .single();
+
+    if (!variant || variant.products.stores.owner_id !== userProfile.id) {
+      return res.status(403).json({ error: 'Unauthorized to update this variant' });
+    }
+
+    // Update the variant (stock goes through the inventory ledger below)
+    const { data: updatedVariant, error: updateError } = await supabaseAdmin
+      .from('product_variants')
+      .update({
+        sku: sku !== undefined ? String(sku).trim() : undefined,
+        price: price !== undefined ? Number(price) : undefined,
+        is_available: is_available !== undefined ? Boolean(is_available) : undefined,
+        position: Number.isInteger(position) ? position : undefined,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', variantId)
+      .select()
+      .single();
+
+    if (updateError) {
+      if (updateError.code === '23505') {
+        return res.status(409).json({ error: 'A variant with this SKU already exists' });
+      }
+      console.error('Variant update error:', updateError);
+      return res.status(500).json({ error: 'Failed to update variant' });
+    }
+
+    if (stock !== undefined && Number(stock) !== variant.stock) {
+      const { error: stockError } = await adjustStock({
+        productId: id,
+        variantId,
+        stock: Number(stock),
+        reason: 'adjustment',
+        notes: 'Stock edited with the variant',
+        userId: userProfile.id
+      });
+
+      if (stockError) {
+        return res.status(stockError.status).json({ error: stockError.message });
+      }
+      updatedVariant.stock = Number(stock);
+    }
+
+    res.json(updatedVariant);
+  } catch (error) {
+    console.error('Variant PUT error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a variant (authenticated - store owner)
+router.delete('/:id/variants/:variantId', async (req, res) => {
+  try {
+    const authHeader = req.headers.authorization;
+    if (!authHeader) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const token = authHeader.replace('Bearer ', '');
+    const { data: { user }, error } = await supabaseAdmin.auth.getUser(token);
+    
+    if (error || !user) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    // Get user profile
+    const { data: userProfile } = await supabaseAdmin
+      .from('users')
+      .select('id')
+      .eq('auth_id', user.id)
+      .single();
+
+    if (!userProfile) {
+      return res.status(404).json({ error: 'User profile not found' });
+    }
+
+    const { id, variantId } = req.params;
+
+    // Verify user owns the store that owns this product
+    const { data: variant } = await supabaseAdmin
+      .from('product_variants')
+      .select('id, stock, products!inner(store_id, stores!inner(owner_id))')
+      .eq('id', variantId)
+      .eq('product_id', id)
+      .single();
+
+    if (!variant || variant.products.stores.owner_id !== userProfile.id) {
+      return res.status(403).json({ error: 'Unauthorized to delete this variant' });
+    }
+
+    // Take its stock off the product total first
+    if (variant.stock !== 0) {
+      const { error: stockError } = await adjustStock({
+        productId: id,
+        variantId,
+        stock: 0,
+        reason: 'adjustment',
+        notes: 'Variant deleted',
+        userId: userProfile.id
+      });
+
+      if (stockError) {
+        return res.status(stockError.status).json({ error: stockError.message });
+      }
+    }
+
+    // Images and holds go with it; cart lines are flagged to pick another option
+    const { error: deleteError } = await supabaseAdmin
+      .from('product_variants')
+      .delete()
+      .eq('id', variantId);
+
+    if (deleteError) {
+      console.error('Variant delete error:', deleteError);
+      return res.status(500).json({ error: 'Failed to delete variant' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Variant DELETE error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Delete product (authenticated)
 router.delete('/:id', async (req, res) => {
   try {
@@ -0,0 +1,188 @@
+const express = require('express');
+const { supabaseAdmin } = require('../config/database');
+const router = express.Router();
+
+/**
+ * Returns Routes
+ * Customers open a return request per order line; admins review and refund
+ * them through the /admin/returns routes
+ */
+
+// How long after delivery an item can be returned
+const RETURN_WINDOW_DAYS = parseInt(process.env.RETURN_WINDOW_DAYS || '14', 10);
+
+// Get user's return requests (authenticated)
+router.get('/', async (req, res) => {
+  try {
+    const authHeader = req.headers.authorization;
+    if (!authHeader) {
+      return res.json([]);
+    }
+
+    const token = authHeader.replace('Bearer ', '');
+    const { data: { user }, error } = await supabaseAdmin.auth.getUser(token);
+
+    if (error || !user) {
+      return res.json([]);
+    }
+
+    // Get user profile
+    const { data: userProfile } = await supabaseAdmin
+      .from('users')
+      .select('id')
+      .eq('auth_id', user.id)
+      .single();
+
+    if (!userProfile) {
+      return res.json([]);
+    }
+
+    const { data: returns, error: returnsError } = await supabaseAdmin
+      .from('return_requests')
+      .select(`
+        id,
+        order_id,
+        order_item_id,
+        quantity,
+        reason,
+        photos,
+        status,
+        admin_notes,
+        created_at,
+        updated_at,
+        orders (order_number),
+        order_items (product_name, variant_name, store_name, price, image_url),
+        refunds (amount, method, created_at)
+      `)
+      .eq('customer_id', userProfile.id)
+      .order('created_at', { ascending: false });
+
+    if (returnsError) {
+      console.error('Returns fetch error:', returnsError);
+      return res.json([]);
+    }
+
+    res.json(returns || []);
+  } catch (error) {
+    console.error('Returns GET error:', error);
+    res.json([]);
+  }
+});
+
+// Open a return request for an order line (authenticated)
+router.post('/', async (req, res) => {
+  try {
+    const authHeader = req.headers.authorization;
+    if (!authHeader) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const token = authHeader.replace('Bearer ', '');
+    const { data: { user }, error } = await supabaseAdmin.auth.getUser(token);
+
+    if (error || !user) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    // Get user profile
+    const { data: userProfile } = await supabaseAdmin
+      .from('users')
+      .select('id')
+      .eq('auth_id', user.id)
+      .single();
+
+    if (!userProfile) {
+      return res.status(404).json({ error: 'User profile not found' });
+    }
+
+    const { order_item_id, quantity = 1, reason, photos = [] } = req.body;
+    const returnQuantity = parseInt(quantity, 10);
+
+    if (!order_item_id || typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    if (!Number.isInteger(returnQuantity) || returnQuantity <= 0) {
+      return res.status(400).json({ error: 'Quantity must be a positive number' });
+    }
+
+    if (!Array.isArray(photos) || photos.some(photo => typeof photo !== 'string')) {
+      return res.status(400).json({ error: 'Photos must be a list of image URLs' });
+    }
+
+    // Verify the line belongs to one of the customer's delivered orders
+    const { data: orderItem } = await supabaseAdmin
+      .from('order_items')
+      .select(`
+        id,
+        order_id,
+        sub_order_id,
+        store_id,
+        quantity,
+        orders!inner (customer_id, status, delivered_at),
+        sub_orders (status, delivered_at)
+      `)
+      .eq('id', order_item_id)
+      .eq('orders.customer_id', userProfile.id)
+      .single();
+
+    if (!orderItem) {
+      return res.status(404).json({ error: 'Order item not found' });
+    }
+
+    const delivered = orderItem.sub_orders
+      ? orderItem.sub_orders.status === 'delivered'
+      : orderItem.orders.status === 'delivered';
+    const deliveredAt = orderItem.sub_orders?.delivered_at || orderItem.orders.delivered_at;
+
+    if (!delivered) {
+      return res.status(409).json({ error: 'Only delivered items can be returned' });
+    }
+
+    if (deliveredAt && Date.now() - new Date(deliveredAt).getTime() > RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000) {
+      return res.status(409).json({ error: `Items can only be returned within ${RETURN_WINDOW_DAYS} days of delivery` });
+    }
+
+    // Units already in an open or completed return can't be returned again
+    const { data: existingReturns } = await supabaseAdmin
+      .from('return_requests')
+      .select('quantity')
+      .eq('order_item_id', order_item_id)
+      .neq('status', 'rejected');
+
+    const alreadyReturned = (existingReturns || []).reduce((sum, row) => sum + row.quantity, 0);
+    if (alreadyReturned + returnQuantity > orderItem.quantity) {
+      return res.status(409).json({
+        error: 'Return quantity exceeds the quantity ordered',
+        returnable: Math.max(orderItem.quantity - alreadyReturned, 0)
+      });
+    }
+
+    const { data: returnRequest, error: insertError } = await supabaseAdmin
+      .from('return_requests')
+      .insert({
+        order_id: orderItem.order_id,
+        order_item_id,
+        sub_order_id: orderItem.sub_order_id,
+        store_id: orderItem.store_id,
+        customer_id: userProfile.id,
+        quantity: returnQuantity,
+        reason: reason.trim(),
+        photos
+      })
+      .select()
+      .single();
+
+    if (insertError) {
+      console.error('Return request creation error:', insertError);
+      return res.status(500).json({ error: 'Failed to create return request' });
+    }
+
+    res.json(returnRequest);
+  } catch (error) {
+    console.error('Return POST error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,182 @@
+const express = require('express');
+const { supabaseAdmin } = require('../config/database');
+const { getPricingSettings, withDisplayPrices } = require('../utils/pricing');
+const { withAvailableStock } = require('../utils/reservations');
+const { isUuid } = require('../utils/ids');
+const router = express.Router();
+
+/**
+ * Search Routes
+ * Ranked product and store search. Matching and ranking happen in
+ * search_catalog() (schema.sql): full-text relevance in English and Arabic
+ * plus trigram similarity, so misspelt queries still find results.
+ */
+
+const SEARCH_TYPES = {
+  all: ['product', 'store'],
+  products: ['product'],
+  stores: ['store']
+};
+
+const MIN_QUERY_LENGTH = 2;
+const MAX_QUERY_LENGTH = 100;
+
+// Search products and stores (public)
+router.get('/', async (req, res) => {
+  try {
+    const { category, storeId, type = 'all', page = 1, limit = 20 } = req.query;
+    const query = typeof req.query.query === 'string' ? req.query.query.trim() : '';
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+    if (query.length < MIN_QUERY_LENGTH || query.length > MAX_QUERY_LENGTH) {
+      return res.status(400).json({ error: `query must be ${MIN_QUERY_LENGTH} to ${MAX_QUERY_LENGTH} characters` });
+    }
+
+    if (!SEARCH_TYPES[type]) {
+      return res.status(400).json({ error: `type must be one of ${Object.keys(SEARCH_TYPES).join(', ')}` });
+    }
+
+    if (storeId && !isUuid(storeId)) {
+      return res.status(400).json({ error: 'storeId must be a store ID' });
+    }
+
+    const searchCatalog = (limit, offset) => supabaseAdmin
+      .rpc('search_catalog', {
+        p_query: query,
+        p_types: SEARCH_TYPES[type],
+        p_category: category || null,
+        p_store_id: storeId || null,
+        p_limit: limit,
+        p_offset: offset
+      });
+
+    const { data: matches, error } = await searchCatalog(pageSize, (pageNumber - 1) * pageSize);
+
+    if (error) {
+      console.error('Search error:', error);
+      return res.status(500).json({ error: 'Failed to search' });
+    }
+
+    // Each row carries the total, so a page past the end needs the first row
+    // to tell how many matches there are
+    let totalCount = matches.length > 0 ? Number(matches[0].total_count) : 0;
+    if (matches.length === 0 && pageNumber > 1) {
+      const { data: firstMatch, error: countError } = await searchCatalog(1, 0);
+      if (countError) {
+        console.error('Search count error:', countError);
+        return res.status(500).json({ error: 'Failed to search' });
+      }
+      totalCount = firstMatch.length > 0 ? Number(firstMatch[0].total_count) : 0;
+    }
+
+    const productIds = matches.filter(match => match.result_type === 'product').map(match => match.result_id);
+    const storeIds = matches.filter(match => match.result_type === 'store').map(match => match.result_id);
+
+    const [{ data: products, error: productsError }, { data: stores, error: storesError }] = await Promise.all([
+      productIds.length > 0
+        ? supabaseAdmin
+          .from('products')
+          .select(`
+            id,
+            store_id,
+            name,
+            description,
+            price,
+            stock,
+            category,
+            is_available,
+            status,
+            sales_count,
+            store_rating,
+            created_at,
+            updated_at,
+            stores (
+              id,
+              name,
+              logo_url
+            ),
+            product_images (
+              id,
+              variant_id,
+              image_url,
+              is_primary,
+              display_order
+            ),
+            product_options (
+              id,
+              name,
+              option_values,
+              position
+            ),
+            product_variants (
+              id,
+              sku,
+              name,
+              options,
+              price,
+              stock,
+              is_available,
+              position
+            )
+          `)
+          .in('id', productIds)
+          .order('position', { foreignTable: 'product_options' })
+          .order('position', { foreignTable: 'product_variants' })
+        : { data: [], error: null },
+      storeIds.length > 0
+        ? supabaseAdmin
+          .from('stores')
+          .select('id, name, description, category, logo_url, banner_url, rating, created_at')
+          .in('id', storeIds)
+        : { data: [], error: null }
+    ]);
+
+    if (productsError || storesError) {
+      console.error('Search results fetch error:', productsError || storesError);
+      return res.status(500).json({ error: 'Failed to search' });
+    }
+
+    // Show display prices (store price + delivery markup) and stock not held by other customers
+    const settings = await getPricingSettings();
+    const productsById = new Map(
+      (await withAvailableStock(withDisplayPrices(products, settings))).map(product => [product.id, product])
+    );
+    const storesById = new Map((stores || []).map(store => [store.id, store]));
+
+    // Keep the ranking; skip anything deleted between the search and the fetch
+    const results = matches
+      .map(match => {
+        const item = match.result_type === 'product'
+          ? productsById.get(match.result_id)
+          : storesById.get(match.result_id);
+
+        return item && {
+          type: match.result_type,
+          rank: match.rank,
+          highlight: {
+            name: match.name_highlight,
+            snippet: match.snippet
+          },
+          [match.result_type]: item
+        };
+      })
+      .filter(Boolean);
+
+    res.json({
+      query,
+      results,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        totalItems: totalCount,
+        totalPages: Math.ceil(totalCount / pageSize)
+      }
+    });
+  } catch (error) {
+    console.error('Search GET error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
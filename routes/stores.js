@@ -1,5 +1,10 @@
 const express = require('express');
 const { supabaseAdmin } = require('../config/database');
+const { getPricingSettings, withDisplayPrices } = require('../utils/pricing');
+const { parseStorePreparation } = require('../utils/eta');
+const { withAvailableStock } = require('../utils/reservations');
+const { parseLowStockThreshold } = require('../utils/inventory');
+const { PRODUCT_SORTS, STORE_SORTS, parsePageQuery, parseProductFilters, applyProductFilters, applyPage, pageResult } = require('../utils/catalog');
 const router = express.Router();
 
 /**
@@ -8,49 +13,77 @@ const router = express.Router();
  */
 
 // Get all stores (public)
+// Paginated with a cursor - pass `pagination.nextCursor` back as `cursor` for the next page
 router.get('/', async (req, res) => {
   try {
-    const { category, query } = req.query;
-    
-    let storeQuery = supabaseAdmin
-      .from('stores')
-      .select(`
-        *,
-        users (
-          name
-        ),
-        store_locations (
-          id,
-          location_type,
-          street_name,
-          place_name,
-          street_number,
-          additional_info
-        )
-      `)
-      .eq('status', 'active');
-    
-    if (category) {
-      storeQuery = storeQuery.eq('category', category);
+    const { category, query, min_rating } = req.query;
+
+    const { page, error: pageError } = parsePageQuery(req.query, STORE_SORTS);
+    if (pageError) {
+      return res.status(400).json({ error: pageError });
     }
-    
-    if (query) {
-      storeQuery = storeQuery.ilike('name', `%${query}%`);
+
+    const minRating = min_rating !== undefined && min_rating !== '' ? Number(min_rating) : null;
+    if (minRating !== null && (!Number.isFinite(minRating) || minRating < 0 || minRating > 5)) {
+      return res.status(400).json({ error: 'min_rating must be between 0 and 5' });
     }
+
+    const applyFilters = (storeQuery) => {
+      storeQuery = storeQuery.eq('status', 'active');
+
+      if (category) {
+        storeQuery = storeQuery.eq('category', category);
+      }
+
+      if (query) {
+        storeQuery = storeQuery.ilike('name', `%${query}%`);
+      }
+
+      if (minRating !== null) {
+        storeQuery = storeQuery.gte('rating', minRating);
+      }
+
+      return storeQuery;
+    };
+
+    const [{ data: stores, error }, { count, error: countError }] = await Promise.all([
+      applyPage(applyFilters(supabaseAdmin
+        .from('stores')
+        .select(`
+          *,
+          users (
+            name
+          ),
+          store_locations (
+            id,
+            location_type,
+            street_name,
+            place_name,
+            street_number,
+            additional_info
+          )
+        `)), page),
+      // Totals are only needed for pages
+      page.paginated
+        ? applyFilters(supabaseAdmin
+          .from('stores')
+          .select('id', { count: 'exact', head: true }))
+        : { count: null, error: null }
+    ]);
     
-    const { data: stores, error } = await storeQuery;
-    
-    if (error) {
-      console.error('Stores fetch error:', error);
-      console.error('Error details:', JSON.stringify(error, null, 2));
+    if (error || countError) {
+      console.error('Stores fetch error:', error || countError);
+      console.error('Error details:', JSON.stringify(error || countError, null, 2));
       return res.status(500).json({ 
         error: 'Failed to fetch stores',
-        details: error.message,
-        code: error.code
+        details: (error || countError).message,
+        code: (error || countError).code
       });
     }
     
-    res.json(stores || []);
+    // A plain array, as before pagination, unless the client asked for pages
+    const { items, pagination } = pageResult(stores, page, count);
+    res.json(page.paginated ? { stores: items, pagination } : items);
   } catch (error) {
     console.error('Stores GET error:', error);
     res.status(500).json({ error: 'Internal server error' });
@@ -97,60 +130,401 @@ router.get('/:id', async (req, res) => {
 });
 
 // Get store products (public)
+// Paginated and filtered like GET /products
 router.get('/:id/products', async (req, res) => {
   try {
     const { id } = req.params;
-    const { category, query } = req.query;
-    
-    let productQuery = supabaseAdmin
-      .from('products')
-      .select(`
-        id,
-        store_id,
-        name,
-        description,
-        price,
-        stock,
-        category,
-        is_available,
-        status,
-        created_at,
-        updated_at,
-        product_images (
+
+    const { page, error: pageError } = parsePageQuery(req.query, PRODUCT_SORTS);
+    if (pageError) {
+      return res.status(400).json({ error: pageError });
+    }
+
+    const { filters, error: filterError } = parseProductFilters(req.query);
+    if (filterError) {
+      return res.status(400).json({ error: filterError });
+    }
+
+    const settings = await getPricingSettings();
+
+    const applyFilters = (productQuery) => applyProductFilters(productQuery.eq('store_id', id), filters, settings);
+
+    const [{ data: products, error }, { count, error: countError }] = await Promise.all([
+      applyPage(applyFilters(supabaseAdmin
+        .from('products')
+        .select(`
           id,
-          image_url,
-          is_primary,
-          display_order
-        )
-      `)
-      .eq('store_id', id)
-      .eq('status', 'active')
-      .eq('is_available', true);
+          store_id,
+          name,
+          description,
+          price,
+          stock,
+          category,
+          is_available,
+          status,
+          sales_count,
+          store_rating,
+          created_at,
+          updated_at,
+          product_images (
+            id,
+            variant_id,
+            image_url,
+            is_primary,
+            display_order
+          ),
+          product_options (
+            id,
+            name,
+            option_values,
+            position
+          ),
+          product_variants (
+            id,
+            sku,
+            name,
+            options,
+            price,
+            stock,
+            is_available,
+            position
+          )
+        `)
+        .order('position', { foreignTable: 'product_options' })
+        .order('position', { foreignTable: 'product_variants' })), page),
+      // Totals are only needed for pages
+      page.paginated
+        ? applyFilters(supabaseAdmin
+          .from('products')
+          .select('id', { count: 'exact', head: true }))
+        : { count: null, error: null }
+    ]);
     
-    if (category) {
-      productQuery = productQuery.eq('category', category);
+    if (error || countError) {
+      console.error('Store products fetch error:', error || countError);
+      return res.status(500).json({ error: 'Failed to fetch products' });
     }
     
-    if (query) {
-      productQuery = productQuery.ilike('name', `%${query}%`);
+    // Show display prices (store price + delivery markup) and stock not held by other customers
+    const { items, pagination } = pageResult(products, page, count);
+    const listed = await withAvailableStock(withDisplayPrices(items, settings));
+
+    // A plain array, as before pagination, unless the client asked for pages
+    res.json(page.paginated ? { products: listed, pagination } : listed);
+  } catch (error) {
+    console.error('Store products GET error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get orders containing this store's items (authenticated - store owner)
+router.get('/:id/orders', async (req, res) => {
+  try {
+    const authHeader = req.headers.authorization;
+    if (!authHeader) {
+      return res.status(401).json({ error: 'Unauthorized' });
     }
+
+    const token = authHeader.replace('Bearer ', '');
+    const { data: { user }, error } = await supabaseAdmin.auth.getUser(token);
     
-    const { data: products, error } = await productQuery;
-    
-    if (error) {
-      console.error('Store products fetch error:', error);
-      return res.status(500).json({ error: 'Failed to fetch products' });
+    if (error || !user) {
+      return res.status(401).json({ error: 'Unauthorized' });
     }
-    
-    // Add 20 AED delivery fee to all product prices for display
-    const productsWithDeliveryFee = (products || []).map(product => ({
-      ...product,
-      price: Math.round((product.price + 20) * 100) / 100
+
+    // Get user profile
+    const { data: userProfile } = await supabaseAdmin
+      .from('users')
+      .select('id')
+      .eq('auth_id', user.id)
+      .single();
+
+    if (!userProfile) {
+      return res.status(404).json({ error: 'User profile not found' });
+    }
+
+    const { id } = req.params;
+    const { status, from, to, page = 1, limit = 10 } = req.query;
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 10, 1), 100);
+    const offset = (pageNumber - 1) * pageSize;
+
+    // Verify user owns the store
+    const { data: store } = await supabaseAdmin
+      .from('stores')
+      .select('owner_id')
+      .eq('id', id)
+      .single();
+
+    if (!store || store.owner_id !== userProfile.id) {
+      return res.status(403).json({ error: 'Unauthorized to view orders for this store' });
+    }
+
+    // Each sub-order is this store's part of a customer order
+    const applyFilters = (query) => {
+      query = query.eq('store_id', id);
+      if (status) {
+        query = query.eq('status', status);
+      }
+      if (from) {
+        query = query.gte('created_at', from);
+      }
+      if (to) {
+        query = query.lte('created_at', to);
+      }
+      return query;
+    };
+
+    const [
+      { data: subOrders, error: ordersError, count: totalCount },
+      { data: earningsRows, error: earningsError }
+    ] = await Promise.all([
+      applyFilters(
+        supabaseAdmin
+          .from('sub_orders')
+          .select(`
+            id,
+            order_id,
+            status,
+            subtotal,
+            discount_amount,
+            commission,
+            payout_amount,
+            refunded_amount,
+            ready_at,
+            picked_up_at,
+            delivered_at,
+            cancelled_at,
+            created_at,
+            orders (
+              order_number,
+              status,
+              full_name,
+              phone,
+              address_line1,
+              address_line2,
+              city,
+              emirate,
+              notes,
+              created_at
+            ),
+            order_items (
+              id,
+              product_id,
+              product_name,
+              variant_name,
+              sku,
+              quantity,
+              original_price,
+              image_url
+            )
+          `, { count: 'exact' })
+      )
+        .order('created_at', { ascending: false })
+        .range(offset, offset + pageSize - 1),
+      applyFilters(
+        supabaseAdmin
+          .from('sub_orders')
+          .select('status, subtotal, discount_amount, commission, payout_amount, refunded_amount')
+      )
+    ]);
+
+    if (ordersError || earningsError) {
+      console.error('Store orders fetch error:', ordersError || earningsError);
+      return res.status(500).json({ error: 'Failed to fetch store orders' });
+    }
+
+    // Customer contact details are only shared once this store has accepted
+    // its part - other stores accepting theirs doesn't count
+    const addressVisibleStatuses = ['preparing', 'ready_for_pickup', 'picked_up', 'delivered'];
+
+    const orders = (subOrders || []).map(({ orders: order, order_items: items, ...subOrder }) => ({
+      ...subOrder,
+      order_number: order.order_number,
+      order_status: order.status,
+      ordered_at: order.created_at,
+      notes: order.notes,
+      customer: addressVisibleStatuses.includes(subOrder.status)
+        ? {
+          full_name: order.full_name,
+          phone: order.phone,
+          address_line1: order.address_line1,
+          address_line2: order.address_line2,
+          city: order.city,
+          emirate: order.emirate
+        }
+        : null,
+      items: (items || []).map(item => ({
+        ...item,
+        line_total: Math.round(item.original_price * item.quantity * 100) / 100
+      }))
     }));
+
+    const earnings = (earningsRows || [])
+      .filter(row => row.status !== 'cancelled')
+      .reduce((totals, row) => ({
+        subtotal: totals.subtotal + Number(row.subtotal),
+        discounts: totals.discounts + Number(row.discount_amount),
+        commission: totals.commission + Number(row.commission),
+        refunded: totals.refunded + Number(row.refunded_amount),
+        payout: totals.payout + Number(row.payout_amount) - Number(row.refunded_amount)
+      }), { subtotal: 0, discounts: 0, commission: 0, refunded: 0, payout: 0 });
+
+    res.json({
+      orders,
+      earnings: {
+        subtotal: Math.round(earnings.subtotal * 100) / 100,
+        discounts: Math.round(earnings.discounts * 100) / 100,
+        commission: Math.round(earnings.commission * 100) / 100,
+        refunded: Math.round(earnings.refunded * 100) / 100,
+        payout: Math.round(earnings.payout * 100) / 100
+      },
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        totalItems: totalCount || 0,
+        totalPages: Math.ceil((totalCount || 0) / pageSize)
+      }
+    });
+  } catch (error) {
+    console.error('Store orders GET error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get low and out of stock alerts for a store (authenticated - store owner)
+router.get('/:id/inventory/alerts', async (req, res) => {
+  try {
+    const authHeader = req.headers.authorization;
+    if (!authHeader) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const token = authHeader.replace('Bearer ', '');
+    const { data: { user }, error } = await supabaseAdmin.auth.getUser(token);
     
-    res.json(productsWithDeliveryFee);
+    if (error || !user) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    // Get user profile
+    const { data: userProfile } = await supabaseAdmin
+      .from('users')
+      .select('id')
+      .eq('auth_id', user.id)
+      .single();
+
+    if (!userProfile) {
+      return res.status(404).json({ error: 'User profile not found' });
+    }
+
+    const { id } = req.params;
+    const { unread } = req.query;
+
+    // Verify user owns the store
+    const { data: store } = await supabaseAdmin
+      .from('stores')
+      .select('owner_id, low_stock_threshold')
+      .eq('id', id)
+      .single();
+
+    if (!store || store.owner_id !== userProfile.id) {
+      return res.status(403).json({ error: 'Unauthorized to view alerts for this store' });
+    }
+
+    let alertsQuery = supabaseAdmin
+      .from('inventory_alerts')
+      .select(`
+        id, product_id, variant_id, type, stock, threshold, read_at, created_at,
+        products (name, stock, status),
+        product_variants (name, sku, stock)
+      `)
+      .eq('store_id', id);
+
+    if (unread === 'true') {
+      alertsQuery = alertsQuery.is('read_at', null);
+    }
+
+    const { data: alerts, error: alertsError } = await alertsQuery
+      .order('created_at', { ascending: false })
+      .limit(100);
+
+    if (alertsError) {
+      console.error('Inventory alerts fetch error:', alertsError);
+      return res.status(500).json({ error: 'Failed to fetch alerts' });
+    }
+
+    res.json({
+      low_stock_threshold: store.low_stock_threshold,
+      alerts: (alerts || []).map(({ products: product, product_variants: variant, ...alert }) => ({
+        ...alert,
+        product_name: product ? product.name : null,
+        variant_name: variant ? variant.name : null,
+        sku: variant ? variant.sku : null,
+        current_stock: variant ? variant.stock : (product ? product.stock : null),
+        product_status: product ? product.status : null
+      }))
+    });
   } catch (error) {
-    console.error('Store products GET error:', error);
+    console.error('Inventory alerts GET error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Mark a stock alert as read (authenticated - store owner)
+router.put('/:id/inventory/alerts/:alertId/read', async (req, res) => {
+  try {
+    const authHeader = req.headers.authorization;
+    if (!authHeader) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const token = authHeader.replace('Bearer ', '');
+    const { data: { user }, error } = await supabaseAdmin.auth.getUser(token);
+    
+    if (error || !user) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    // Get user profile
+    const { data: userProfile } = await supabaseAdmin
+      .from('users')
+      .select('id')
+      .eq('auth_id', user.id)
+      .single();
+
+    if (!userProfile) {
+      return res.status(404).json({ error: 'User profile not found' });
+    }
+
+    const { id, alertId } = req.params;
+
+    // Verify user owns the store
+    const { data: store } = await supabaseAdmin
+      .from('stores')
+      .select('owner_id')
+      .eq('id', id)
+      .single();
+
+    if (!store || store.owner_id !== userProfile.id) {
+      return res.status(403).json({ error: 'Unauthorized to update alerts for this store' });
+    }
+
+    const { data: alert, error: updateError } = await supabaseAdmin
+      .from('inventory_alerts')
+      .update({ read_at: new Date().toISOString() })
+      .eq('id', alertId)
+      .eq('store_id', id)
+      .select()
+      .single();
+
+    if (updateError || !alert) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+
+    res.json(alert);
+  } catch (error) {
+    console.error('Inventory alert PUT error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
@@ -181,12 +555,27 @@ router.post('/', async (req, res) => {
       return res.status(404).json({ error: 'User profile not found' });
     }
 
-    const { name, description, category, phone, logo, banner, location, locationType, streetName, placeName, streetNumber, locationNotes } = req.body;
+    const { name, description, category, phone, logo, banner, preparationMinutes, openingHours, lowStockThreshold, location, locationType, streetName, placeName, streetNumber, locationNotes } = req.body;
 
     if (!name || !description || !category || !phone) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
 
+    const { preparation, error: preparationError } = parseStorePreparation({ preparationMinutes, openingHours });
+    if (preparationError) {
+      return res.status(400).json({ error: preparationError });
+    }
+
+    // Products without their own threshold use the store's
+    const inventorySettings = {};
+    if (lowStockThreshold !== undefined) {
+      const { threshold, error: thresholdError } = parseLowStockThreshold(lowStockThreshold);
+      if (thresholdError || threshold === null) {
+        return res.status(400).json({ error: 'lowStockThreshold must be a non-negative whole number' });
+      }
+      inventorySettings.low_stock_threshold = threshold;
+    }
+
     // Create the store
     const { data: store, error: storeError } = await supabaseAdmin
       .from('stores')
@@ -198,7 +587,9 @@ router.post('/', async (req, res) => {
         phone,
         logo_url: logo || null,
         banner_url: banner || null,
-        status: 'active'
+        status: 'active',
+        ...preparation,
+        ...inventorySettings
       })
       .select()
       .single();
@@ -273,7 +664,7 @@ router.put('/:id', async (req, res) => {
     }
 
     const { id } = req.params;
-    const { name, description, category, phone, logo, banner, location, locationType, streetName, placeName, streetNumber, locationNotes } = req.body;
+    const { name, description, category, phone, logo, banner, preparationMinutes, openingHours, lowStockThreshold, location, locationType, streetName, placeName, streetNumber, locationNotes } = req.body;
 
     // Verify user owns the store
     const { data: store } = await supabaseAdmin
@@ -286,6 +677,21 @@ router.put('/:id', async (req, res) => {
       return res.status(403).json({ error: 'Unauthorized to update this store' });
     }
 
+    const { preparation, error: preparationError } = parseStorePreparation({ preparationMinutes, openingHours });
+    if (preparationError) {
+      return res.status(400).json({ error: preparationError });
+    }
+
+    // Products without their own threshold use the store's
+    const inventorySettings = {};
+    if (lowStockThreshold !== undefined) {
+      const { threshold, error: thresholdError } = parseLowStockThreshold(lowStockThreshold);
+      if (thresholdError || threshold === null) {
+        return res.status(400).json({ error: 'lowStockThreshold must be a non-negative whole number' });
+      }
+      inventorySettings.low_stock_threshold = threshold;
+    }
+
     // Update the store
     const { data: updatedStore, error: updateError } = await supabaseAdmin
       .from('stores')
@@ -296,6 +702,8 @@ router.put('/:id', async (req, res) => {
         phone,
         logo_url: logo || null,
         banner_url: banner || null,
+        ...preparation,
+        ...inventorySettings,
         updated_at: new Date().toISOString()
       })
       .eq('id', id)
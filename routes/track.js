@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { supabaseAdmin } = require('../config/database');
+const { verifyTrackingToken, phoneMatches, buildTracking } = require('../utils/tracking');
+const router = express.Router();
+
+/**
+ * Public Tracking Routes
+ * Order tracking without an account, by order number plus the delivery
+ * phone number or the tracking token returned at checkout
+ */
+
+// Failed lookups allowed per client IP and order number before that client is locked out for a while
+const MAX_FAILED_LOOKUPS = 10;
+const FAILED_LOOKUP_WINDOW = 60 * 60; // seconds
+
+// Much tighter than the global limit so order numbers can't be enumerated
+const trackingLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30, // Limit each IP to 30 lookups per windowMs
+  message: { error: 'Too many tracking requests, please try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Track an order (?phone= or ?token=)
+router.get('/:orderNumber', trackingLimiter, async (req, res) => {
+  try {
+    const orderNumber = String(req.params.orderNumber).trim().toUpperCase();
+    const { phone, token } = req.query;
+
+    if (!phone && !token) {
+      return res.status(400).json({ error: 'Phone number or tracking token is required' });
+    }
+
+    // Per client and order, so nobody can lock a customer out of their own order
+    const lookupKey = crypto.createHash('sha256').update(`${req.ip}|${orderNumber}`).digest('hex');
+    const { data: failed } = await supabaseAdmin
+      .from('tracking_lookup_failures')
+      .select('failures')
+      .eq('lookup_key', lookupKey)
+      .gt('expires_at', new Date().toISOString())
+      .maybeSingle();
+
+    if (failed && failed.failures >= MAX_FAILED_LOOKUPS) {
+      return res.status(429).json({ error: 'Too many failed attempts for this order, please try again later.' });
+    }
+
+    const { data: order } = await supabaseAdmin
+      .from('orders')
+      .select(`
+        id,
+        order_number,
+        phone,
+        status,
+        created_at,
+        delivered_at,
+        estimated_delivery_date,
+        delivery_slot_start,
+        delivery_slot_end,
+        order_status_history (
+          status,
+          sub_order_id,
+          created_at
+        )
+      `)
+      .eq('order_number', orderNumber)
+      .single();
+
+    const verified = order && (token
+      ? verifyTrackingToken(order, token)
+      : phoneMatches(order.phone, phone));
+
+    // Same answer whether the order doesn't exist or the phone is wrong
+    if (!verified) {
+      const { error: failureError } = await supabaseAdmin
+        .rpc('record_tracking_failure', { p_lookup_key: lookupKey, p_window_seconds: FAILED_LOOKUP_WINDOW });
+
+      if (failureError) {
+        console.error('Tracking failure record error:', failureError);
+      }
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    res.json(buildTracking(order, order.order_status_history));
+  } catch (error) {
+    console.error('Order tracking error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Remove expired lookup failures every hour
+setInterval(async () => {
+  const { error } = await supabaseAdmin
+    .from('tracking_lookup_failures')
+    .delete()
+    .lt('expires_at', new Date().toISOString());
+
+  if (error) {
+    console.error('Tracking failures cleanup error:', error);
+  }
+}, 60 * 60 * 1000);
+
+module.exports = router;
@@ -1,6 +1,9 @@
 -- Enable UUID extension
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 
+-- Enable trigram extension for typo-tolerant search
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
 -- Drop existing tables if they exist (using CASCADE to handle dependencies)
 DROP TABLE IF EXISTS users CASCADE;
 DROP TABLE IF EXISTS admins CASCADE;
@@ -8,14 +11,58 @@ DROP TABLE IF EXISTS customer_addresses CASCADE;
 DROP TABLE IF EXISTS stores CASCADE;
 DROP TABLE IF EXISTS store_locations CASCADE;
 DROP TABLE IF EXISTS products CASCADE;
+DROP TABLE IF EXISTS product_options CASCADE;
+DROP TABLE IF EXISTS product_variants CASCADE;
 DROP TABLE IF EXISTS product_images CASCADE;
 DROP TABLE IF EXISTS cart_items CASCADE;
 DROP TABLE IF EXISTS orders CASCADE;
 DROP TABLE IF EXISTS order_items CASCADE;
+DROP TABLE IF EXISTS sub_orders CASCADE;
 DROP TABLE IF EXISTS order_status_history CASCADE;
 DROP TABLE IF EXISTS telegram_notifications CASCADE;
 DROP TABLE IF EXISTS manual_payouts CASCADE;
 DROP TABLE IF EXISTS favorites CASCADE;
+DROP TABLE IF EXISTS idempotency_keys CASCADE;
+DROP TABLE IF EXISTS tracking_lookup_failures CASCADE;
+DROP TABLE IF EXISTS return_requests CASCADE;
+DROP TABLE IF EXISTS refunds CASCADE;
+DROP TABLE IF EXISTS platform_settings CASCADE;
+DROP TABLE IF EXISTS promo_codes CASCADE;
+DROP TABLE IF EXISTS promo_redemptions CASCADE;
+DROP TABLE IF EXISTS cart_promotions CASCADE;
+DROP TABLE IF EXISTS payments CASCADE;
+DROP TABLE IF EXISTS payment_events CASCADE;
+DROP TABLE IF EXISTS cod_collections CASCADE;
+DROP TABLE IF EXISTS drivers CASCADE;
+DROP TABLE IF EXISTS deliveries CASCADE;
+DROP TABLE IF EXISTS delivery_slots CASCADE;
+DROP TABLE IF EXISTS stock_reservations CASCADE;
+DROP TABLE IF EXISTS inventory_movements CASCADE;
+DROP TABLE IF EXISTS inventory_alerts CASCADE;
+
+-- Search text: lower case, Arabic diacritics and tatweel removed, and the
+-- alef, yaa and taa marbuta spellings folded so either spelling matches
+CREATE OR REPLACE FUNCTION normalize_search_text(p_text TEXT)
+RETURNS TEXT AS $$
+  SELECT translate(
+    regexp_replace(lower(COALESCE(p_text, '')), '[\u064B-\u0652\u0640]', '', 'g'),
+    'أإآىة',
+    'ااايه'
+  );
+$$ LANGUAGE sql IMMUTABLE PARALLEL SAFE;
+
+-- Full-text document of a product or store: exact words plus English and
+-- Arabic stems, weighted name (A), category (B), description (C)
+CREATE OR REPLACE FUNCTION catalog_search_vector(p_name TEXT, p_category TEXT, p_description TEXT)
+RETURNS tsvector AS $$
+  SELECT setweight(to_tsvector('simple', normalize_search_text(p_name)), 'A')
+      || setweight(to_tsvector('english', COALESCE(p_name, '')), 'A')
+      || setweight(to_tsvector('arabic', normalize_search_text(p_name)), 'A')
+      || setweight(to_tsvector('simple', normalize_search_text(p_category)), 'B')
+      || setweight(to_tsvector('simple', normalize_search_text(p_description)), 'C')
+      || setweight(to_tsvector('english', COALESCE(p_description, '')), 'C')
+      || setweight(to_tsvector('arabic', normalize_search_text(p_description)), 'C');
+$$ LANGUAGE sql IMMUTABLE PARALLEL SAFE;
 
 -- Admins Table
 CREATE TABLE admins (
@@ -38,6 +85,7 @@ CREATE TABLE users (
     email VARCHAR(255) UNIQUE NOT NULL,
     avatar_url VARCHAR(255),
     phone VARCHAR(255),
+    store_credit DECIMAL(10,2) NOT NULL DEFAULT 0.00, -- Balance from refunds paid as store credit
     join_date TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
@@ -72,7 +120,12 @@ CREATE TABLE stores (
     logo_url VARCHAR(255),
     banner_url VARCHAR(255),
     status VARCHAR(50) NOT NULL DEFAULT 'active', -- "active", "pending", "suspended"
-    rating DECIMAL(2,1) DEFAULT 5.0,
+    rating DECIMAL(2,1) NOT NULL DEFAULT 5.0,
+    delivery_fee DECIMAL(10,2), -- Overrides the platform delivery fee in "per_store" mode
+    preparation_minutes INTEGER CHECK (preparation_minutes >= 0), -- Overrides the platform default preparation time
+    opening_hours JSONB, -- { "sun": { "open": "09:00", "close": "22:00" }, ... } in UAE time, NULL = always open
+    low_stock_threshold INTEGER NOT NULL DEFAULT 5 CHECK (low_stock_threshold >= 0), -- Owners are alerted when a product's stock falls to this
+    search_vector tsvector GENERATED ALWAYS AS (catalog_search_vector(name, category, description)) STORED,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
@@ -97,18 +150,51 @@ CREATE TABLE products (
     name VARCHAR(255) NOT NULL,
     description TEXT NOT NULL,
     price DECIMAL(10,2) NOT NULL, -- Original price (store owner's price)
-    stock INTEGER NOT NULL DEFAULT 0,
+    stock INTEGER NOT NULL DEFAULT 0, -- Only changed through inventory_movements (sum of variant stock for products with variants)
+    low_stock_threshold INTEGER CHECK (low_stock_threshold >= 0), -- Overrides the store's threshold
     category VARCHAR(255) NOT NULL,
     is_available BOOLEAN DEFAULT TRUE,
     status VARCHAR(50) NOT NULL DEFAULT 'active', -- "active", "draft", "out_of_stock"
+    -- Catalog sort keys, kept up to date by triggers
+    sales_count INTEGER NOT NULL DEFAULT 0, -- Units sold, less cancellations (from inventory_movements)
+    store_rating DECIMAL(2,1) NOT NULL DEFAULT 0, -- Copy of stores.rating
+    search_vector tsvector GENERATED ALWAYS AS (catalog_search_vector(name, category, description)) STORED,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Product Options Table (option types a product comes in, e.g. Size: S, M, L)
+CREATE TABLE product_options (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL, -- "Size", "Colour", "Volume"
+    option_values TEXT[] NOT NULL, -- In display order, e.g. {S,M,L}
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (product_id, name)
+);
+
+-- Product Variants Table (one sellable combination of option values with its own SKU, price and stock)
+CREATE TABLE product_variants (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    sku VARCHAR(100) NOT NULL UNIQUE,
+    name VARCHAR(255) NOT NULL, -- Option values in option order, e.g. "M / Red"
+    options JSONB NOT NULL, -- { "Size": "M", "Colour": "Red" }
+    price DECIMAL(10,2) NOT NULL, -- Store owner's price for this variant
+    stock INTEGER NOT NULL DEFAULT 0, -- Only changed through inventory_movements
+    is_available BOOLEAN NOT NULL DEFAULT TRUE,
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (product_id, options)
+);
+
 -- Product Images Table
 CREATE TABLE product_images (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     product_id UUID REFERENCES products(id) ON DELETE CASCADE,
+    variant_id UUID REFERENCES product_variants(id) ON DELETE CASCADE, -- Set for images of one variant
     image_url VARCHAR(255) NOT NULL,
     is_primary BOOLEAN DEFAULT FALSE,
     display_order INTEGER DEFAULT 0,
@@ -119,19 +205,27 @@ CREATE TABLE product_images (
 CREATE TABLE cart_items (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    guest_id UUID, -- Guest checkout (utils/guests.js), set instead of user_id
     product_id UUID REFERENCES products(id) ON DELETE SET NULL,
+    variant_id UUID REFERENCES product_variants(id) ON DELETE SET NULL, -- Required for products with variants
     store_id UUID REFERENCES stores(id) ON DELETE SET NULL,
     quantity INTEGER NOT NULL DEFAULT 1,
     price DECIMAL(10,2) NOT NULL, -- Price at time of adding to cart (includes delivery fee)
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CHECK (user_id IS NOT NULL OR guest_id IS NOT NULL)
 );
 
+CREATE INDEX cart_items_guest_idx ON cart_items (guest_id) WHERE guest_id IS NOT NULL;
+
 -- Orders Table
 CREATE TABLE orders (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-    order_number VARCHAR(255) NOT NULL UNIQUE, -- Format: SOMAH-XXXXXXXX
+    order_number VARCHAR(255) NOT NULL UNIQUE, -- Format: SOMAH-<sequence><4 random digits>, see generate_order_number()
     customer_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    guest_id UUID, -- Guest checkout; cleared when the order is linked to the account the guest signs up with (customer_id)
+    guest_email VARCHAR(255), -- Guest's email (lowercase), used to link the order to their account
+    guest_phone VARCHAR(32), -- Guest's phone, digits without the 971/0 prefix, used to link the order to their account
     address_id UUID REFERENCES customer_addresses(id) ON DELETE SET NULL,
     -- Copied address details for historical record
     full_name VARCHAR(255) NOT NULL,
@@ -145,23 +239,70 @@ CREATE TABLE orders (
     -- Order details
     subtotal DECIMAL(10,2) NOT NULL, -- Before delivery fee (store owner's amount)
     delivery_fee DECIMAL(10,2) NOT NULL DEFAULT 20.00,
-    total_amount DECIMAL(10,2) NOT NULL, -- subtotal + delivery_fee
+    discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0.00, -- Promo code discount
+    total_amount DECIMAL(10,2) NOT NULL, -- subtotal + delivery_fee - discount_amount
+    promo_code_id UUID, -- References promo_codes(id), added below
+    promo_code VARCHAR(50), -- Copied code for historical record
     status VARCHAR(50) NOT NULL DEFAULT 'pending', -- "pending", "confirmed", "shipped", "delivered", "cancelled"
-    payment_method VARCHAR(50) NOT NULL DEFAULT 'cash_on_delivery',
-    estimated_delivery_date TIMESTAMP WITH TIME ZONE,
+    payment_method VARCHAR(50) NOT NULL DEFAULT 'cash_on_delivery', -- "cash_on_delivery", "card"
+    payment_status VARCHAR(50) NOT NULL DEFAULT 'unpaid', -- "unpaid", "partially_paid" (cash on delivery), "requires_payment", "authorized", "paid", "failed", "voided", "partially_refunded", "refunded"
+    delivery_slot_id UUID, -- References delivery_slots(id), added below
+    delivery_slot_start TIMESTAMP WITH TIME ZONE, -- Delivery window the customer chose
+    delivery_slot_end TIMESTAMP WITH TIME ZONE,
+    handled_by VARCHAR(100), -- Team member who picked the order in the Telegram group
+    handled_at TIMESTAMP WITH TIME ZONE,
+    estimated_delivery_date TIMESTAMP WITH TIME ZONE, -- Recalculated on every status change (utils/eta.js)
     notes TEXT,
+    -- Lifecycle timestamps (set by utils/order-lifecycle.js)
+    confirmed_at TIMESTAMP WITH TIME ZONE,
+    shipped_at TIMESTAMP WITH TIME ZONE,
+    delivered_at TIMESTAMP WITH TIME ZONE,
+    cancelled_at TIMESTAMP WITH TIME ZONE,
+    cancellation_reason TEXT,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Guest orders waiting to be linked to an account
+CREATE INDEX orders_guest_email_idx ON orders (guest_email) WHERE customer_id IS NULL AND guest_id IS NOT NULL;
+CREATE INDEX orders_guest_phone_idx ON orders (guest_phone) WHERE customer_id IS NULL AND guest_id IS NOT NULL;
+CREATE INDEX orders_guest_idx ON orders (guest_id) WHERE guest_id IS NOT NULL;
+
+-- Sub-Orders Table (one fulfilment per store inside an order)
+CREATE TABLE sub_orders (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id UUID REFERENCES orders(id) ON DELETE CASCADE,
+    store_id UUID REFERENCES stores(id) ON DELETE SET NULL,
+    store_name VARCHAR(255) NOT NULL,
+    status VARCHAR(50) NOT NULL DEFAULT 'pending', -- "pending", "preparing", "ready_for_pickup", "picked_up", "delivered", "cancelled"
+    subtotal DECIMAL(10,2) NOT NULL, -- Store owner's prices x quantities
+    discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0.00, -- Store-funded promo discount
+    commission DECIMAL(10,2) NOT NULL, -- Somah commission on the subtotal after the store's discount
+    payout_amount DECIMAL(10,2) NOT NULL, -- subtotal - discount_amount - commission
+    refunded_amount DECIMAL(10,2) NOT NULL DEFAULT 0.00, -- Taken off the payout for refunded returns
+    stock_restored BOOLEAN NOT NULL DEFAULT FALSE, -- Set once reserved stock is returned on cancellation
+    preparing_at TIMESTAMP WITH TIME ZONE,
+    ready_at TIMESTAMP WITH TIME ZONE,
+    picked_up_at TIMESTAMP WITH TIME ZONE,
+    delivered_at TIMESTAMP WITH TIME ZONE,
+    cancelled_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (order_id, store_id)
+);
+
 -- Order Items Table
 CREATE TABLE order_items (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     order_id UUID REFERENCES orders(id) ON DELETE CASCADE,
+    sub_order_id UUID REFERENCES sub_orders(id) ON DELETE SET NULL,
     product_id UUID REFERENCES products(id) ON DELETE SET NULL,
+    variant_id UUID REFERENCES product_variants(id) ON DELETE SET NULL,
     store_id UUID REFERENCES stores(id) ON DELETE SET NULL,
     -- Copied product details for historical record
     product_name VARCHAR(255) NOT NULL,
+    variant_name VARCHAR(255), -- e.g. "M / Red"
+    sku VARCHAR(100),
     store_name VARCHAR(255) NOT NULL,
     quantity INTEGER NOT NULL,
     price DECIMAL(10,2) NOT NULL, -- Final price at time of purchase (includes delivery fee)
@@ -196,7 +337,11 @@ CREATE TABLE telegram_notifications (
 CREATE TABLE order_status_history (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     order_id UUID REFERENCES orders(id) ON DELETE CASCADE,
+    sub_order_id UUID REFERENCES sub_orders(id) ON DELETE CASCADE, -- Set for store fulfilment changes
     status VARCHAR(50) NOT NULL,
+    previous_status VARCHAR(50),
+    changed_by_type VARCHAR(50), -- "customer", "store_owner", "admin", "driver", "system"
+    changed_by UUID, -- users.id, admins.id or drivers.id depending on changed_by_type
     notes TEXT,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
@@ -209,6 +354,287 @@ CREATE TABLE favorites (
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Idempotency Keys Table (safe retries for POST /orders and POST /admin/payouts)
+CREATE TABLE idempotency_keys (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    key VARCHAR(255) NOT NULL, -- Value of the Idempotency-Key header
+    scope VARCHAR(100) NOT NULL, -- "orders.create", "admin.payouts.create"
+    owner_hash VARCHAR(64) NOT NULL, -- Hash of the caller's admin, user or guest ID
+    request_hash VARCHAR(64) NOT NULL, -- Hash of the request body
+    response_status INTEGER, -- NULL while the first request is still running
+    response_body JSONB,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (scope, owner_hash, key)
+);
+
+-- Tracking Lookup Failures Table (failed GET /track lookups per client and order, shared by all server processes)
+CREATE TABLE tracking_lookup_failures (
+    lookup_key VARCHAR(64) PRIMARY KEY, -- Hash of the client IP and order number
+    failures INTEGER NOT NULL DEFAULT 0,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL -- End of the lockout window
+);
+
+-- Return Requests Table (one per returned order_items line)
+CREATE TABLE return_requests (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id UUID REFERENCES orders(id) ON DELETE CASCADE,
+    order_item_id UUID REFERENCES order_items(id) ON DELETE CASCADE,
+    sub_order_id UUID REFERENCES sub_orders(id) ON DELETE SET NULL,
+    store_id UUID REFERENCES stores(id) ON DELETE SET NULL,
+    customer_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    reason TEXT NOT NULL,
+    photos TEXT[] NOT NULL DEFAULT '{}', -- Photo URLs uploaded by the customer
+    status VARCHAR(50) NOT NULL DEFAULT 'requested', -- "requested", "approved", "rejected", "refunded"
+    restock BOOLEAN NOT NULL DEFAULT FALSE, -- Whether the returned units went back into stock
+    admin_notes TEXT,
+    reviewed_by UUID REFERENCES admins(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Refunds Table
+CREATE TABLE refunds (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    return_request_id UUID REFERENCES return_requests(id) ON DELETE SET NULL,
+    order_id UUID REFERENCES orders(id) ON DELETE CASCADE,
+    order_item_id UUID REFERENCES order_items(id) ON DELETE SET NULL,
+    sub_order_id UUID REFERENCES sub_orders(id) ON DELETE SET NULL,
+    store_id UUID REFERENCES stores(id) ON DELETE SET NULL,
+    customer_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    amount DECIMAL(10,2) NOT NULL CHECK (amount > 0), -- Paid back to the customer
+    store_deduction DECIMAL(10,2) NOT NULL, -- Taken off the store's payout
+    method VARCHAR(50) NOT NULL, -- "cash", "store_credit", "card" (back to the card the order was paid with)
+    notes TEXT,
+    created_by UUID REFERENCES admins(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Promo Codes Table
+CREATE TABLE promo_codes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    code VARCHAR(50) NOT NULL UNIQUE, -- Stored uppercase
+    description TEXT,
+    discount_type VARCHAR(50) NOT NULL, -- "percentage", "fixed"
+    discount_value DECIMAL(10,2) NOT NULL CHECK (discount_value > 0),
+    max_discount DECIMAL(10,2), -- Cap for percentage codes
+    store_id UUID REFERENCES stores(id) ON DELETE CASCADE, -- NULL = platform-wide and funded by Somah, otherwise funded by the store and only for its products
+    min_order_amount DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+    usage_limit INTEGER, -- Total redemptions allowed (NULL = unlimited)
+    per_user_limit INTEGER DEFAULT 1, -- Redemptions allowed per customer (NULL = unlimited)
+    first_order_only BOOLEAN NOT NULL DEFAULT FALSE,
+    starts_at TIMESTAMP WITH TIME ZONE,
+    ends_at TIMESTAMP WITH TIME ZONE,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_by UUID REFERENCES admins(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CHECK (discount_type != 'percentage' OR discount_value <= 100)
+);
+
+ALTER TABLE orders
+  ADD CONSTRAINT orders_promo_code_id_fkey
+  FOREIGN KEY (promo_code_id) REFERENCES promo_codes(id) ON DELETE SET NULL;
+
+-- Promo Redemptions Table (one per order that used a code)
+CREATE TABLE promo_redemptions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    promo_code_id UUID REFERENCES promo_codes(id) ON DELETE CASCADE,
+    order_id UUID REFERENCES orders(id) ON DELETE CASCADE,
+    customer_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    discount_amount DECIMAL(10,2) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (promo_code_id, order_id)
+);
+
+-- Cart Promotions Table (code applied to a user's or guest's cart, used at checkout)
+CREATE TABLE cart_promotions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+    guest_id UUID UNIQUE,
+    promo_code_id UUID REFERENCES promo_codes(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CHECK (user_id IS NOT NULL OR guest_id IS NOT NULL)
+);
+
+-- Payments Table (online payments through a provider, see utils/payments)
+CREATE TABLE payments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id UUID REFERENCES orders(id) ON DELETE CASCADE,
+    provider VARCHAR(50) NOT NULL, -- "mock"
+    provider_payment_id VARCHAR(255) NOT NULL, -- Provider's payment intent ID
+    client_secret VARCHAR(255), -- Lets the customer's device complete the payment
+    amount DECIMAL(10,2) NOT NULL,
+    currency VARCHAR(3) NOT NULL DEFAULT 'AED',
+    status VARCHAR(50) NOT NULL DEFAULT 'requires_payment', -- "requires_payment", "authorized", "captured", "failed", "cancelled", "partially_refunded", "refunded"
+    captured_amount DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+    refunded_amount DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+    failure_reason VARCHAR(255),
+    authorized_at TIMESTAMP WITH TIME ZONE,
+    captured_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (provider, provider_payment_id)
+);
+
+-- Payment Events Table (webhook events already received, so each is applied once)
+CREATE TABLE payment_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    provider VARCHAR(50) NOT NULL,
+    event_id VARCHAR(255) NOT NULL,
+    type VARCHAR(100) NOT NULL,
+    payload JSONB NOT NULL,
+    processed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (provider, event_id)
+);
+
+-- COD Collections Table (one row per cash collection attempt)
+CREATE TABLE cod_collections (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id UUID REFERENCES orders(id) ON DELETE CASCADE,
+    handler VARCHAR(100) NOT NULL, -- Team member responsible for the cash
+    expected_amount DECIMAL(10,2) NOT NULL, -- Still owed on the order at this attempt
+    collected_amount DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+    status VARCHAR(50) NOT NULL, -- "collected", "partial", "failed"
+    failure_reason TEXT, -- Why nothing (or not everything) was collected
+    notes TEXT,
+    recorded_via VARCHAR(50) NOT NULL DEFAULT 'telegram', -- "telegram", "admin"
+    recorded_by VARCHAR(255), -- Telegram username or admin ID
+    collected_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    handed_over_at TIMESTAMP WITH TIME ZONE, -- When the cash was handed to Somah
+    handed_over_by UUID REFERENCES admins(id) ON DELETE SET NULL, -- Admin who received it
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Drivers Table (couriers, sign in with a normal user account)
+CREATE TABLE drivers (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID UNIQUE REFERENCES users(id) ON DELETE SET NULL,
+    full_name VARCHAR(255) NOT NULL,
+    phone VARCHAR(255) NOT NULL,
+    vehicle_type VARCHAR(50), -- "car", "motorbike", "van"
+    vehicle_plate VARCHAR(50),
+    status VARCHAR(50) NOT NULL DEFAULT 'active', -- "active", "inactive"
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Deliveries Table (a driver's job for a whole order or one store's sub-order)
+CREATE TABLE deliveries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id UUID REFERENCES orders(id) ON DELETE CASCADE,
+    sub_order_id UUID REFERENCES sub_orders(id) ON DELETE CASCADE, -- NULL = every store in the order
+    driver_id UUID REFERENCES drivers(id) ON DELETE SET NULL,
+    status VARCHAR(50) NOT NULL DEFAULT 'assigned', -- "assigned", "picked_up", "delivered", "failed", "cancelled"
+    assigned_by UUID REFERENCES admins(id) ON DELETE SET NULL,
+    assigned_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    picked_up_at TIMESTAMP WITH TIME ZONE,
+    delivered_at TIMESTAMP WITH TIME ZONE,
+    failed_at TIMESTAMP WITH TIME ZONE,
+    failure_reason TEXT,
+    -- Proof of delivery
+    recipient_name VARCHAR(255),
+    proof_notes TEXT,
+    proof_photos TEXT[] NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Only one open delivery per order (or sub-order) at a time
+CREATE UNIQUE INDEX deliveries_one_open_per_order
+  ON deliveries (order_id, COALESCE(sub_order_id, '00000000-0000-0000-0000-000000000000'::UUID))
+  WHERE status IN ('assigned', 'picked_up');
+
+-- Delivery Slots Table (weekly delivery windows per emirate, UAE time)
+CREATE TABLE delivery_slots (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    emirate VARCHAR(255) NOT NULL,
+    day_of_week SMALLINT NOT NULL CHECK (day_of_week BETWEEN 0 AND 6), -- 0 = Sunday
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    capacity INTEGER NOT NULL CHECK (capacity > 0), -- Orders per date
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CHECK (end_time > start_time)
+);
+
+ALTER TABLE orders
+  ADD CONSTRAINT orders_delivery_slot_id_fkey
+  FOREIGN KEY (delivery_slot_id) REFERENCES delivery_slots(id) ON DELETE SET NULL;
+
+-- Orders booked into a slot on a date (cancelled orders free their place)
+CREATE INDEX orders_delivery_slot_idx ON orders (delivery_slot_id, delivery_slot_start);
+
+-- Stock Reservations Table (short holds on stock while a customer shops or checks out, see utils/reservations.js)
+CREATE TABLE stock_reservations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    variant_id UUID REFERENCES product_variants(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    guest_id UUID, -- Guest checkout, set instead of user_id
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    source VARCHAR(50) NOT NULL DEFAULT 'checkout', -- "checkout", "cart"
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL, -- Expired holds are ignored and swept up
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CHECK (user_id IS NOT NULL OR guest_id IS NOT NULL)
+);
+
+CREATE INDEX stock_reservations_product_idx ON stock_reservations (product_id, expires_at);
+-- One hold per customer and product (or variant)
+CREATE UNIQUE INDEX stock_reservations_user_line_idx
+ON stock_reservations (user_id, product_id, variant_id) NULLS NOT DISTINCT
+WHERE user_id IS NOT NULL;
+CREATE UNIQUE INDEX stock_reservations_guest_line_idx
+ON stock_reservations (guest_id, product_id, variant_id) NULLS NOT DISTINCT
+WHERE guest_id IS NOT NULL;
+
+-- Inventory Movements Table (ledger of every stock change; products.stock is derived from it)
+CREATE TABLE inventory_movements (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    variant_id UUID REFERENCES product_variants(id) ON DELETE SET NULL, -- Required for products with variants
+    store_id UUID REFERENCES stores(id) ON DELETE SET NULL,
+    change INTEGER NOT NULL CHECK (change != 0), -- Units added (positive) or removed (negative)
+    stock_after INTEGER NOT NULL, -- Variant (or product) stock once this movement was applied
+    reason VARCHAR(50) NOT NULL, -- "initial", "sale", "cancellation", "return", "adjustment", "import"
+    order_id UUID REFERENCES orders(id) ON DELETE SET NULL,
+    sub_order_id UUID REFERENCES sub_orders(id) ON DELETE SET NULL,
+    return_request_id UUID REFERENCES return_requests(id) ON DELETE SET NULL,
+    notes TEXT, -- Why the stock was adjusted
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL, -- Store owner, for adjustments and imports
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX inventory_movements_product_idx ON inventory_movements (product_id, created_at DESC);
+
+-- Inventory Alerts Table (low and out of stock alerts for store owners)
+CREATE TABLE inventory_alerts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    store_id UUID REFERENCES stores(id) ON DELETE CASCADE,
+    product_id UUID REFERENCES products(id) ON DELETE CASCADE,
+    variant_id UUID REFERENCES product_variants(id) ON DELETE CASCADE, -- Set for alerts about one variant
+    type VARCHAR(50) NOT NULL, -- "low_stock", "out_of_stock"
+    stock INTEGER NOT NULL, -- Stock when the alert was raised
+    threshold INTEGER, -- Threshold that was crossed (low_stock)
+    read_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX inventory_alerts_store_idx ON inventory_alerts (store_id, created_at DESC);
+
+-- Platform Settings Table (key/value, edited from the admin panel)
+CREATE TABLE platform_settings (
+    key VARCHAR(100) PRIMARY KEY, -- "pricing", "delivery"
+    value JSONB NOT NULL,
+    updated_by UUID REFERENCES admins(id) ON DELETE SET NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Database Triggers
 
 -- Ensure only one default address per user
@@ -230,22 +656,15 @@ FOR EACH ROW
 WHEN (NEW.is_default = TRUE)
 EXECUTE FUNCTION ensure_single_default_address();
 
--- Generate order number
+-- Generate order number: a sequence number, so numbers never repeat, followed
+-- by 4 random digits, so they can't be guessed from one another
+DROP SEQUENCE IF EXISTS order_number_seq;
+CREATE SEQUENCE order_number_seq START WITH 100000;
+
 CREATE OR REPLACE FUNCTION generate_order_number()
 RETURNS TEXT AS $$
-DECLARE
-  timestamp_part TEXT;
-  random_part TEXT;
 BEGIN
-  -- Get timestamp part (last 6 digits of current timestamp)
-  timestamp_part := to_char(extract(epoch from now()), 'FM999999');
-  timestamp_part := right(timestamp_part, 6);
-  
-  -- Get random part (3 random digits)
-  random_part := to_char(floor(random() * 1000), 'FM000');
-  
-  -- Combine into SOMAH-XXXXXXXX format
-  RETURN 'SOMAH-' || timestamp_part || random_part;
+  RETURN 'SOMAH-' || nextval('order_number_seq') || to_char(floor(random() * 10000), 'FM0000');
 END;
 $$ LANGUAGE plpgsql;
 
@@ -270,45 +689,1043 @@ AFTER INSERT ON orders
 FOR EACH ROW
 EXECUTE FUNCTION create_order_notification();
 
--- Update product stock when order is confirmed
-CREATE OR REPLACE FUNCTION update_product_stock()
+-- Stock is now reserved at checkout by checkout_order(), not on confirmation
+DROP FUNCTION IF EXISTS update_product_stock() CASCADE;
+
+-- Stock of a product (or one of its variants) held by active reservations,
+-- leaving out one customer's own holds (pass NULL for both to count every hold)
+DROP FUNCTION IF EXISTS reserved_stock(UUID, UUID, UUID);
+CREATE OR REPLACE FUNCTION reserved_stock(
+  p_product_id UUID,
+  p_user_id UUID DEFAULT NULL,
+  p_guest_id UUID DEFAULT NULL,
+  p_variant_id UUID DEFAULT NULL
+)
+RETURNS INTEGER AS $$
+  SELECT COALESCE(SUM(quantity), 0)::INTEGER
+  FROM stock_reservations
+  WHERE product_id = p_product_id
+    AND (p_variant_id IS NULL OR variant_id = p_variant_id)
+    AND expires_at > NOW()
+    AND NOT (COALESCE(user_id = p_user_id, FALSE) OR COALESCE(guest_id = p_guest_id, FALSE));
+$$ LANGUAGE sql STABLE;
+
+-- Hold stock for a customer for p_minutes. Fails with OUT_OF_STOCK if other
+-- customers' holds leave too little. p_replace_all drops the customer's other
+-- holds (checkout holds the whole cart); otherwise only the given lines'
+-- holds are replaced (add-to-cart).
+-- p_items: [{ "product_id", "variant_id", "quantity" }]
+CREATE OR REPLACE FUNCTION reserve_stock(
+  p_user_id UUID,
+  p_guest_id UUID,
+  p_items JSONB,
+  p_minutes INTEGER,
+  p_source TEXT DEFAULT 'checkout',
+  p_replace_all BOOLEAN DEFAULT TRUE
+)
+RETURNS TIMESTAMP WITH TIME ZONE AS $$
+DECLARE
+  v_expires_at TIMESTAMP WITH TIME ZONE := NOW() + make_interval(mins => p_minutes);
+  v_product RECORD;
+  v_out_of_stock JSONB := '[]'::JSONB;
+BEGIN
+  -- Lock the products in a stable order, like checkout_order()
+  PERFORM 1
+  FROM products
+  WHERE id IN (SELECT (i->>'product_id')::UUID FROM jsonb_array_elements(p_items) i)
+  ORDER BY id
+  FOR UPDATE;
+
+  FOR v_product IN
+    SELECT p.id, p.name, v.id AS variant_id, v.name AS variant_name,
+           COALESCE(v.stock, p.stock) - reserved_stock(p.id, p_user_id, p_guest_id, v.id) AS available,
+           SUM((i->>'quantity')::INTEGER) AS quantity
+    FROM jsonb_array_elements(p_items) i
+    JOIN products p ON p.id = (i->>'product_id')::UUID
+    LEFT JOIN product_variants v ON v.id = (i->>'variant_id')::UUID AND v.product_id = p.id
+    GROUP BY p.id, v.id
+  LOOP
+    IF v_product.available < v_product.quantity THEN
+      v_out_of_stock := v_out_of_stock || jsonb_build_object(
+        'product_id', v_product.id, 'product_name', v_product.name,
+        'variant_id', v_product.variant_id, 'variant_name', v_product.variant_name,
+        'requested', v_product.quantity, 'available', GREATEST(v_product.available, 0));
+    END IF;
+  END LOOP;
+
+  IF jsonb_array_length(v_out_of_stock) > 0 THEN
+    RAISE EXCEPTION 'OUT_OF_STOCK' USING DETAIL = v_out_of_stock::TEXT;
+  END IF;
+
+  DELETE FROM stock_reservations r
+  WHERE (COALESCE(r.user_id = p_user_id, FALSE) OR COALESCE(r.guest_id = p_guest_id, FALSE))
+    AND (p_replace_all OR EXISTS (
+      SELECT 1 FROM jsonb_array_elements(p_items) i
+      WHERE (i->>'product_id')::UUID = r.product_id
+        AND (i->>'variant_id')::UUID IS NOT DISTINCT FROM r.variant_id
+    ));
+
+  INSERT INTO stock_reservations (product_id, variant_id, user_id, guest_id, quantity, source, expires_at)
+  SELECT p.id, v.id, p_user_id, CASE WHEN p_user_id IS NULL THEN p_guest_id END,
+         SUM((i->>'quantity')::INTEGER), p_source, v_expires_at
+  FROM jsonb_array_elements(p_items) i
+  JOIN products p ON p.id = (i->>'product_id')::UUID
+  LEFT JOIN product_variants v ON v.id = (i->>'variant_id')::UUID AND v.product_id = p.id
+  GROUP BY p.id, v.id
+  HAVING SUM((i->>'quantity')::INTEGER) > 0;
+
+  RETURN v_expires_at;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Inventory ledger: a movement is applied to its product as it is recorded,
+-- filling in the store and the resulting stock. This is the only way stock
+-- changes - sync_product_stock() and guard_variant_stock() reject any other
+-- update of products.stock and product_variants.stock. Products with variants
+-- keep their stock on the variants and products.stock is the total, so their
+-- movements must name a variant.
+CREATE OR REPLACE FUNCTION apply_inventory_movement()
 RETURNS TRIGGER AS $$
 BEGIN
-  -- Only reduce stock when order is confirmed
-  IF NEW.status = 'confirmed' AND (OLD.status IS NULL OR OLD.status != 'confirmed') THEN
-    UPDATE products p
-    SET stock = p.stock - oi.quantity
-    FROM order_items oi
-    WHERE oi.order_id = NEW.id AND oi.product_id = p.id;
+  IF NEW.variant_id IS NULL AND EXISTS (
+    SELECT 1 FROM product_variants WHERE product_id = NEW.product_id
+  ) THEN
+    RAISE EXCEPTION 'VARIANT_REQUIRED';
   END IF;
-  
+
+  PERFORM set_config('somah.inventory_movement', 'on', TRUE);
+
+  -- Product first, then variant - the order checkout_order() locks them in.
+  -- Sales and cancellations also count towards the product's popularity.
+  UPDATE products
+  SET stock = stock + NEW.change,
+      sales_count = sales_count - CASE WHEN NEW.reason IN ('sale', 'cancellation') THEN NEW.change ELSE 0 END,
+      updated_at = NOW()
+  WHERE id = NEW.product_id
+  RETURNING store_id, stock INTO NEW.store_id, NEW.stock_after;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'PRODUCT_NOT_FOUND';
+  END IF;
+
+  IF NEW.variant_id IS NOT NULL THEN
+    UPDATE product_variants
+    SET stock = stock + NEW.change,
+        updated_at = NOW()
+    WHERE id = NEW.variant_id AND product_id = NEW.product_id
+    RETURNING stock INTO NEW.stock_after;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'VARIANT_NOT_FOUND';
+    END IF;
+  END IF;
+
+  PERFORM set_config('somah.inventory_movement', 'off', TRUE);
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER inventory_movement_trigger
+BEFORE INSERT ON inventory_movements
+FOR EACH ROW
+EXECUTE FUNCTION apply_inventory_movement();
+
+-- Keep product status in line with stock: sold out products switch to
+-- "out_of_stock" and come back once restocked
+CREATE OR REPLACE FUNCTION sync_product_stock()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'UPDATE' AND NEW.stock IS DISTINCT FROM OLD.stock
+     AND COALESCE(current_setting('somah.inventory_movement', TRUE), 'off') != 'on' THEN
+    RAISE EXCEPTION 'STOCK_CHANGE_NOT_RECORDED'
+      USING HINT = 'Record stock changes in inventory_movements';
+  END IF;
+
+  IF NEW.stock <= 0 AND NEW.status = 'active' THEN
+    NEW.status := 'out_of_stock';
+  ELSIF TG_OP = 'UPDATE' AND NEW.stock > 0 AND OLD.stock <= 0 AND NEW.status = 'out_of_stock' THEN
+    NEW.status := 'active';
+    NEW.is_available := TRUE;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER product_stock_sync_trigger
+BEFORE INSERT OR UPDATE ON products
+FOR EACH ROW
+EXECUTE FUNCTION sync_product_stock();
+
+-- Variant stock only changes through inventory movements too
+CREATE OR REPLACE FUNCTION guard_variant_stock()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF COALESCE(current_setting('somah.inventory_movement', TRUE), 'off') != 'on' THEN
+    RAISE EXCEPTION 'STOCK_CHANGE_NOT_RECORDED'
+      USING HINT = 'Record stock changes in inventory_movements';
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER variant_stock_guard_trigger
+BEFORE UPDATE OF stock ON product_variants
+FOR EACH ROW
+WHEN (NEW.stock IS DISTINCT FROM OLD.stock)
+EXECUTE FUNCTION guard_variant_stock();
+
+-- Alert the store owner when a product's stock falls to its low stock
+-- threshold, and again when it runs out
+CREATE OR REPLACE FUNCTION create_inventory_alert()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_threshold INTEGER;
+BEGIN
+  SELECT COALESCE(NEW.low_stock_threshold, s.low_stock_threshold) INTO v_threshold
+  FROM stores s
+  WHERE s.id = NEW.store_id;
+
+  IF NEW.stock <= 0 AND OLD.stock > 0 THEN
+    INSERT INTO inventory_alerts (store_id, product_id, type, stock, threshold)
+    VALUES (NEW.store_id, NEW.id, 'out_of_stock', NEW.stock, v_threshold);
+  ELSIF v_threshold IS NOT NULL AND NEW.stock <= v_threshold AND OLD.stock > v_threshold THEN
+    INSERT INTO inventory_alerts (store_id, product_id, type, stock, threshold)
+    VALUES (NEW.store_id, NEW.id, 'low_stock', NEW.stock, v_threshold);
+  END IF;
+
   RETURN NEW;
 END;
 $$ LANGUAGE plpgsql;
 
-CREATE TRIGGER update_stock_trigger
-AFTER INSERT OR UPDATE ON orders
+CREATE TRIGGER inventory_alert_trigger
+AFTER UPDATE OF stock ON products
 FOR EACH ROW
-EXECUTE FUNCTION update_product_stock();
+WHEN (NEW.stock < OLD.stock)
+EXECUTE FUNCTION create_inventory_alert();
+
+-- Same alerts for a single variant, against its product's threshold
+CREATE OR REPLACE FUNCTION create_variant_inventory_alert()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_store_id UUID;
+  v_threshold INTEGER;
+BEGIN
+  SELECT p.store_id, COALESCE(p.low_stock_threshold, s.low_stock_threshold)
+  INTO v_store_id, v_threshold
+  FROM products p
+  LEFT JOIN stores s ON s.id = p.store_id
+  WHERE p.id = NEW.product_id;
+
+  IF NEW.stock <= 0 AND OLD.stock > 0 THEN
+    INSERT INTO inventory_alerts (store_id, product_id, variant_id, type, stock, threshold)
+    VALUES (v_store_id, NEW.product_id, NEW.id, 'out_of_stock', NEW.stock, v_threshold);
+  ELSIF v_threshold IS NOT NULL AND NEW.stock <= v_threshold AND OLD.stock > v_threshold THEN
+    INSERT INTO inventory_alerts (store_id, product_id, variant_id, type, stock, threshold)
+    VALUES (v_store_id, NEW.product_id, NEW.id, 'low_stock', NEW.stock, v_threshold);
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER variant_inventory_alert_trigger
+AFTER UPDATE OF stock ON product_variants
+FOR EACH ROW
+WHEN (NEW.stock < OLD.stock)
+EXECUTE FUNCTION create_variant_inventory_alert();
+
+-- Products carry their store's rating so the catalog can sort by it
+CREATE OR REPLACE FUNCTION set_product_store_rating()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.store_rating := COALESCE((SELECT rating FROM stores WHERE id = NEW.store_id), 0);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER product_store_rating_trigger
+BEFORE INSERT OR UPDATE OF store_id ON products
+FOR EACH ROW
+EXECUTE FUNCTION set_product_store_rating();
+
+CREATE OR REPLACE FUNCTION sync_store_rating()
+RETURNS TRIGGER AS $$
+BEGIN
+  UPDATE products
+  SET store_rating = NEW.rating
+  WHERE store_id = NEW.id;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER store_rating_sync_trigger
+AFTER UPDATE OF rating ON stores
+FOR EACH ROW
+WHEN (NEW.rating IS DISTINCT FROM OLD.rating)
+EXECUTE FUNCTION sync_store_rating();
+
+-- Manual stock change by a store owner: either a relative change (p_change) or
+-- a new stock level (p_stock), of the product or one of its variants. Stock
+-- can't go below zero.
+DROP FUNCTION IF EXISTS adjust_product_stock(UUID, INTEGER, INTEGER, TEXT, TEXT, UUID);
+CREATE OR REPLACE FUNCTION adjust_product_stock(
+  p_product_id UUID,
+  p_change INTEGER DEFAULT NULL,
+  p_stock INTEGER DEFAULT NULL,
+  p_reason TEXT DEFAULT 'adjustment',
+  p_notes TEXT DEFAULT NULL,
+  p_created_by UUID DEFAULT NULL,
+  p_variant_id UUID DEFAULT NULL
+)
+RETURNS inventory_movements AS $$
+DECLARE
+  v_product products%ROWTYPE;
+  v_stock INTEGER;
+  v_change INTEGER;
+  v_movement inventory_movements%ROWTYPE;
+BEGIN
+  SELECT * INTO v_product FROM products WHERE id = p_product_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'PRODUCT_NOT_FOUND';
+  END IF;
+
+  IF p_variant_id IS NOT NULL THEN
+    SELECT stock INTO v_stock
+    FROM product_variants
+    WHERE id = p_variant_id AND product_id = p_product_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'VARIANT_NOT_FOUND';
+    END IF;
+  ELSIF EXISTS (SELECT 1 FROM product_variants WHERE product_id = p_product_id) THEN
+    RAISE EXCEPTION 'VARIANT_REQUIRED';
+  ELSE
+    v_stock := v_product.stock;
+  END IF;
+
+  v_change := COALESCE(p_stock - v_stock, p_change);
+
+  IF v_change IS NULL OR v_change = 0 THEN
+    RAISE EXCEPTION 'NO_CHANGE';
+  END IF;
+
+  IF v_stock + v_change < 0 THEN
+    RAISE EXCEPTION 'NEGATIVE_STOCK'
+      USING DETAIL = jsonb_build_object('stock', v_stock)::TEXT;
+  END IF;
+
+  INSERT INTO inventory_movements (product_id, variant_id, change, reason, notes, created_by)
+  VALUES (p_product_id, p_variant_id, v_change, p_reason, p_notes, p_created_by)
+  RETURNING * INTO v_movement;
+
+  RETURN v_movement;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Atomic checkout: locks and reserves stock, checks and redeems the promo code,
+-- books the delivery slot, writes the order and its items, and clears the cart
+-- in a single transaction.
+-- p_items: [{ "product_id", "variant_id", "quantity", "base_price", "unit_price" }] priced by the backend
+-- Guests pass p_customer_id NULL, their p_guest_id and the validated contact and
+-- delivery details in p_guest (see parseGuestDetails() in utils/guests.js).
+DROP FUNCTION IF EXISTS checkout_order(UUID, UUID, JSONB, DECIMAL, DECIMAL, DECIMAL, TEXT, TEXT, DECIMAL);
+DROP FUNCTION IF EXISTS checkout_order(UUID, UUID, JSONB, DECIMAL, DECIMAL, DECIMAL, TEXT, TEXT, DECIMAL, UUID, DECIMAL);
+DROP FUNCTION IF EXISTS checkout_order(UUID, UUID, JSONB, DECIMAL, DECIMAL, DECIMAL, TEXT, TEXT, DECIMAL, UUID, DECIMAL, UUID, TIMESTAMP WITH TIME ZONE, TIMESTAMP WITH TIME ZONE);
+CREATE OR REPLACE FUNCTION checkout_order(
+  p_customer_id UUID,
+  p_address_id UUID,
+  p_items JSONB,
+  p_subtotal DECIMAL,
+  p_delivery_fee DECIMAL,
+  p_total_amount DECIMAL,
+  p_payment_method TEXT DEFAULT 'cash_on_delivery',
+  p_notes TEXT DEFAULT NULL,
+  p_commission_rate DECIMAL DEFAULT 0.05,
+  p_promo_code_id UUID DEFAULT NULL,
+  p_discount_amount DECIMAL DEFAULT 0,
+  p_delivery_slot_id UUID DEFAULT NULL,
+  p_delivery_slot_start TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+  p_delivery_slot_end TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+  p_guest_id UUID DEFAULT NULL,
+  p_guest JSONB DEFAULT NULL
+)
+RETURNS orders AS $$
+DECLARE
+  v_address customer_addresses%ROWTYPE;
+  v_order orders%ROWTYPE;
+  v_promo promo_codes%ROWTYPE;
+  v_slot delivery_slots%ROWTYPE;
+  v_item JSONB;
+  v_product RECORD;
+  v_unavailable JSONB := '[]'::JSONB;
+  v_out_of_stock JSONB := '[]'::JSONB;
+  v_price_changes JSONB := '[]'::JSONB;
+  v_guest_email TEXT := LOWER(p_guest->>'email');
+  -- Same normalisation as normalizePhone() in utils/tracking.js
+  v_guest_phone TEXT := NULLIF(regexp_replace(regexp_replace(p_guest->>'phone', '\D', '', 'g'), '^(00971|971|0)', ''), '');
+BEGIN
+  IF p_customer_id IS NULL THEN
+    -- Guests give their delivery details inline; nothing is saved to customer_addresses
+    IF p_guest_id IS NULL OR p_guest IS NULL THEN
+      RAISE EXCEPTION 'ADDRESS_NOT_FOUND';
+    END IF;
+
+    v_address.full_name := p_guest->>'full_name';
+    v_address.phone := p_guest->>'phone';
+    v_address.address_line1 := p_guest->>'address_line1';
+    v_address.address_line2 := p_guest->>'address_line2';
+    v_address.city := p_guest->>'city';
+    v_address.emirate := p_guest->>'emirate';
+    v_address.postal_code := p_guest->>'postal_code';
+    v_address.country := COALESCE(p_guest->>'country', 'UAE');
+  ELSE
+    SELECT * INTO v_address
+    FROM customer_addresses
+    WHERE id = p_address_id AND user_id = p_customer_id;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'ADDRESS_NOT_FOUND';
+    END IF;
+  END IF;
+
+  -- Lock every product row, then every variant row, in a stable order so
+  -- concurrent checkouts queue up instead of deadlocking
+  PERFORM 1
+  FROM products
+  WHERE id IN (SELECT (i->>'product_id')::UUID FROM jsonb_array_elements(p_items) i)
+  ORDER BY id
+  FOR UPDATE;
+
+  PERFORM 1
+  FROM product_variants
+  WHERE id IN (SELECT (i->>'variant_id')::UUID FROM jsonb_array_elements(p_items) i)
+  ORDER BY id
+  FOR UPDATE;
+
+  -- Validate availability, stock and price against the locked rows, per
+  -- product or variant. Products with variants can only be bought as one of
+  -- them. Stock held by other customers' active reservations is not available.
+  FOR v_product IN
+    SELECT p.id, p.name, v.id AS variant_id, v.name AS variant_name,
+           COALESCE(v.price, p.price) AS price, p.status,
+           p.is_available AND COALESCE(v.is_available, TRUE) AS is_available,
+           v.id IS NULL AND (
+             BOOL_OR(i->>'variant_id' IS NOT NULL)
+             OR EXISTS (SELECT 1 FROM product_variants pv WHERE pv.product_id = p.id)
+           ) AS variant_missing,
+           COALESCE(v.stock, p.stock) - reserved_stock(p.id, p_customer_id, p_guest_id, v.id) AS available,
+           SUM((i->>'quantity')::INTEGER) AS quantity,
+           MAX((i->>'base_price')::DECIMAL) AS base_price
+    FROM jsonb_array_elements(p_items) i
+    JOIN products p ON p.id = (i->>'product_id')::UUID
+    LEFT JOIN product_variants v ON v.id = (i->>'variant_id')::UUID AND v.product_id = p.id
+    GROUP BY p.id, v.id
+  LOOP
+    IF v_product.status != 'active' OR NOT v_product.is_available OR v_product.variant_missing THEN
+      v_unavailable := v_unavailable || jsonb_build_object(
+        'product_id', v_product.id, 'product_name', v_product.name,
+        'variant_id', v_product.variant_id, 'variant_name', v_product.variant_name);
+    ELSIF v_product.available < v_product.quantity THEN
+      v_out_of_stock := v_out_of_stock || jsonb_build_object(
+        'product_id', v_product.id, 'product_name', v_product.name,
+        'variant_id', v_product.variant_id, 'variant_name', v_product.variant_name,
+        'requested', v_product.quantity, 'available', GREATEST(v_product.available, 0));
+    ELSIF v_product.price != v_product.base_price THEN
+      v_price_changes := v_price_changes || jsonb_build_object(
+        'product_id', v_product.id, 'product_name', v_product.name,
+        'variant_id', v_product.variant_id, 'variant_name', v_product.variant_name,
+        'priced_at', v_product.base_price, 'current_price', v_product.price);
+    END IF;
+  END LOOP;
+
+  -- Products deleted since they were priced
+  FOR v_item IN
+    SELECT i FROM jsonb_array_elements(p_items) i
+    WHERE NOT EXISTS (SELECT 1 FROM products p WHERE p.id = (i->>'product_id')::UUID)
+  LOOP
+    v_unavailable := v_unavailable || jsonb_build_object(
+      'product_id', v_item->>'product_id', 'product_name', NULL);
+  END LOOP;
+
+  IF jsonb_array_length(v_unavailable) > 0 THEN
+    RAISE EXCEPTION 'PRODUCT_UNAVAILABLE' USING DETAIL = v_unavailable::TEXT;
+  END IF;
+
+  IF jsonb_array_length(v_out_of_stock) > 0 THEN
+    RAISE EXCEPTION 'OUT_OF_STOCK' USING DETAIL = v_out_of_stock::TEXT;
+  END IF;
+
+  IF jsonb_array_length(v_price_changes) > 0 THEN
+    RAISE EXCEPTION 'PRICE_CHANGED' USING DETAIL = v_price_changes::TEXT;
+  END IF;
+
+  -- Re-check the promo code with its row locked so concurrent checkouts
+  -- can't go over its usage limits
+  IF p_promo_code_id IS NOT NULL THEN
+    SELECT * INTO v_promo FROM promo_codes WHERE id = p_promo_code_id FOR UPDATE;
+
+    IF NOT FOUND OR NOT v_promo.is_active
+       OR (v_promo.starts_at IS NOT NULL AND v_promo.starts_at > NOW())
+       OR (v_promo.ends_at IS NOT NULL AND v_promo.ends_at <= NOW()) THEN
+      RAISE EXCEPTION 'PROMO_INVALID'
+        USING DETAIL = jsonb_build_object('reason', 'This promo code is not valid')::TEXT;
+    END IF;
+
+    IF v_promo.usage_limit IS NOT NULL AND (
+      SELECT COUNT(*) FROM promo_redemptions r
+      JOIN orders o ON o.id = r.order_id
+      WHERE r.promo_code_id = v_promo.id AND o.status != 'cancelled'
+    ) >= v_promo.usage_limit THEN
+      RAISE EXCEPTION 'PROMO_INVALID'
+        USING DETAIL = jsonb_build_object('reason', 'This promo code has reached its usage limit')::TEXT;
+    END IF;
+
+    IF v_promo.per_user_limit IS NOT NULL AND (
+      SELECT COUNT(*) FROM promo_redemptions r
+      JOIN orders o ON o.id = r.order_id
+      WHERE r.promo_code_id = v_promo.id AND o.status != 'cancelled'
+        AND (r.customer_id = p_customer_id
+             OR (p_customer_id IS NULL AND (o.guest_id = p_guest_id OR o.guest_email = v_guest_email)))
+    ) >= v_promo.per_user_limit THEN
+      RAISE EXCEPTION 'PROMO_INVALID'
+        USING DETAIL = jsonb_build_object('reason', 'You have already used this promo code')::TEXT;
+    END IF;
+
+    IF v_promo.first_order_only AND EXISTS (
+      SELECT 1 FROM orders
+      WHERE status != 'cancelled'
+        AND (customer_id = p_customer_id
+             OR (p_customer_id IS NULL AND (guest_id = p_guest_id OR guest_email = v_guest_email)))
+    ) THEN
+      RAISE EXCEPTION 'PROMO_INVALID'
+        USING DETAIL = jsonb_build_object('reason', 'This promo code is only valid on your first order')::TEXT;
+    END IF;
+  END IF;
+
+  -- Book the delivery slot with its row locked so concurrent checkouts
+  -- can't go over its capacity
+  IF p_delivery_slot_id IS NOT NULL THEN
+    SELECT * INTO v_slot FROM delivery_slots WHERE id = p_delivery_slot_id FOR UPDATE;
+
+    IF NOT FOUND OR NOT v_slot.is_active OR LOWER(v_slot.emirate) != LOWER(v_address.emirate) THEN
+      RAISE EXCEPTION 'SLOT_UNAVAILABLE';
+    END IF;
+
+    IF (
+      SELECT COUNT(*) FROM orders
+      WHERE delivery_slot_id = v_slot.id
+        AND delivery_slot_start = p_delivery_slot_start
+        AND status != 'cancelled'
+    ) >= v_slot.capacity THEN
+      RAISE EXCEPTION 'SLOT_FULL';
+    END IF;
+  END IF;
+
+  -- Order row (history and Telegram notification rows are written by triggers)
+  INSERT INTO orders (
+    order_number, customer_id, guest_id, guest_email, guest_phone, address_id,
+    full_name, phone, address_line1, address_line2, city, emirate, postal_code, country,
+    subtotal, delivery_fee, discount_amount, total_amount, promo_code_id, promo_code,
+    delivery_slot_id, delivery_slot_start, delivery_slot_end,
+    status, payment_method, payment_status, notes
+  )
+  VALUES (
+    generate_order_number(), p_customer_id,
+    CASE WHEN p_customer_id IS NULL THEN p_guest_id END,
+    CASE WHEN p_customer_id IS NULL THEN v_guest_email END,
+    CASE WHEN p_customer_id IS NULL THEN v_guest_phone END,
+    v_address.id,
+    v_address.full_name, v_address.phone, v_address.address_line1, v_address.address_line2,
+    v_address.city, v_address.emirate, v_address.postal_code, v_address.country,
+    p_subtotal, p_delivery_fee, COALESCE(p_discount_amount, 0), p_total_amount, v_promo.id, v_promo.code,
+    v_slot.id, CASE WHEN v_slot.id IS NOT NULL THEN p_delivery_slot_start END,
+    CASE WHEN v_slot.id IS NOT NULL THEN p_delivery_slot_end END,
+    'pending', COALESCE(p_payment_method, 'cash_on_delivery'),
+    CASE WHEN p_payment_method = 'card' THEN 'requires_payment' ELSE 'unpaid' END,
+    p_notes
+  )
+  RETURNING * INTO v_order;
+
+  -- One sub-order per store; a store-funded discount comes out of that store's payout
+  INSERT INTO sub_orders (order_id, store_id, store_name, subtotal, discount_amount, commission, payout_amount)
+  SELECT
+    v_order.id, store_totals.id, store_totals.name,
+    store_totals.subtotal,
+    store_totals.discount,
+    ROUND((store_totals.subtotal - store_totals.discount) * p_commission_rate, 2),
+    store_totals.subtotal - store_totals.discount
+      - ROUND((store_totals.subtotal - store_totals.discount) * p_commission_rate, 2)
+  FROM (
+    SELECT s.id, s.name, SUM(COALESCE(v.price, p.price) * (i->>'quantity')::INTEGER) AS subtotal,
+           CASE WHEN s.id = v_promo.store_id THEN COALESCE(p_discount_amount, 0) ELSE 0 END AS discount
+    FROM jsonb_array_elements(p_items) i
+    JOIN products p ON p.id = (i->>'product_id')::UUID
+    LEFT JOIN product_variants v ON v.id = (i->>'variant_id')::UUID
+    JOIN stores s ON s.id = p.store_id
+    GROUP BY s.id, s.name
+  ) store_totals;
+
+  INSERT INTO order_items (
+    order_id, sub_order_id, product_id, variant_id, store_id, product_name, variant_name, sku, store_name,
+    quantity, price, original_price, image_url
+  )
+  SELECT
+    v_order.id, so.id, p.id, v.id, p.store_id, p.name, v.name, v.sku, s.name,
+    (i->>'quantity')::INTEGER, (i->>'unit_price')::DECIMAL, COALESCE(v.price, p.price),
+    -- The variant's own image if it has one
+    (SELECT pi.image_url FROM product_images pi
+     WHERE pi.product_id = p.id AND (pi.variant_id IS NULL OR pi.variant_id = v.id)
+     ORDER BY pi.variant_id IS NOT NULL DESC, pi.is_primary DESC, pi.display_order ASC
+     LIMIT 1)
+  FROM jsonb_array_elements(p_items) i
+  JOIN products p ON p.id = (i->>'product_id')::UUID
+  LEFT JOIN product_variants v ON v.id = (i->>'variant_id')::UUID
+  JOIN stores s ON s.id = p.store_id
+  JOIN sub_orders so ON so.order_id = v_order.id AND so.store_id = p.store_id;
+
+  -- Reserve stock (recorded as sales in the inventory ledger)
+  INSERT INTO inventory_movements (product_id, variant_id, change, reason, order_id, sub_order_id)
+  SELECT product_id, variant_id, -SUM(quantity), 'sale', v_order.id, sub_order_id
+  FROM order_items
+  WHERE order_id = v_order.id
+  GROUP BY product_id, variant_id, sub_order_id;
+
+  IF v_promo.id IS NOT NULL THEN
+    INSERT INTO promo_redemptions (promo_code_id, order_id, customer_id, discount_amount)
+    VALUES (v_promo.id, v_order.id, p_customer_id, COALESCE(p_discount_amount, 0));
+  END IF;
+
+  -- The customer's holds are now real stock deductions
+  IF p_customer_id IS NULL THEN
+    DELETE FROM cart_items WHERE guest_id = p_guest_id;
+    DELETE FROM cart_promotions WHERE guest_id = p_guest_id;
+    DELETE FROM stock_reservations WHERE guest_id = p_guest_id;
+  ELSE
+    DELETE FROM cart_items WHERE user_id = p_customer_id;
+    DELETE FROM cart_promotions WHERE user_id = p_customer_id;
+    DELETE FROM stock_reservations WHERE user_id = p_customer_id;
+  END IF;
+
+  RETURN v_order;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Record a cash-on-delivery collection attempt. The expected amount is what is
+-- still owed on the order; collecting all of it marks the order as paid.
+CREATE OR REPLACE FUNCTION record_cod_collection(
+  p_order_id UUID,
+  p_collected_amount DECIMAL,
+  p_handler TEXT DEFAULT NULL,
+  p_failure_reason TEXT DEFAULT NULL,
+  p_notes TEXT DEFAULT NULL,
+  p_recorded_via TEXT DEFAULT 'telegram',
+  p_recorded_by TEXT DEFAULT NULL
+)
+RETURNS cod_collections AS $$
+DECLARE
+  v_order orders%ROWTYPE;
+  v_collected DECIMAL;
+  v_expected DECIMAL;
+  v_status TEXT;
+  v_collection cod_collections%ROWTYPE;
+BEGIN
+  SELECT * INTO v_order FROM orders WHERE id = p_order_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'ORDER_NOT_FOUND';
+  END IF;
+
+  IF v_order.payment_method != 'cash_on_delivery' THEN
+    RAISE EXCEPTION 'NOT_CASH_ON_DELIVERY';
+  END IF;
+
+  IF v_order.status NOT IN ('confirmed', 'shipped', 'delivered') THEN
+    RAISE EXCEPTION 'ORDER_NOT_COLLECTABLE';
+  END IF;
+
+  SELECT COALESCE(SUM(collected_amount), 0) INTO v_collected
+  FROM cod_collections
+  WHERE order_id = p_order_id;
+
+  v_expected := v_order.total_amount - v_collected;
+
+  IF v_expected <= 0 THEN
+    RAISE EXCEPTION 'ALREADY_COLLECTED';
+  END IF;
+
+  IF p_collected_amount < 0 OR p_collected_amount > v_expected THEN
+    RAISE EXCEPTION 'INVALID_COLLECTION_AMOUNT'
+      USING DETAIL = jsonb_build_object('expected_amount', v_expected)::TEXT;
+  END IF;
+
+  v_status := CASE
+    WHEN p_collected_amount = v_expected THEN 'collected'
+    WHEN p_collected_amount = 0 THEN 'failed'
+    ELSE 'partial'
+  END;
+
+  IF v_status != 'collected' AND COALESCE(TRIM(p_failure_reason), '') = '' THEN
+    RAISE EXCEPTION 'FAILURE_REASON_REQUIRED';
+  END IF;
+
+  INSERT INTO cod_collections (
+    order_id, handler, expected_amount, collected_amount, status,
+    failure_reason, notes, recorded_via, recorded_by
+  )
+  VALUES (
+    p_order_id, COALESCE(p_handler, v_order.handled_by, 'Unassigned'), v_expected, p_collected_amount, v_status,
+    NULLIF(TRIM(p_failure_reason), ''), p_notes, p_recorded_via, p_recorded_by
+  )
+  RETURNING * INTO v_collection;
+
+  UPDATE orders
+  SET payment_status = CASE
+        WHEN v_status = 'collected' THEN 'paid'
+        WHEN v_collected + p_collected_amount > 0 THEN 'partially_paid'
+        ELSE payment_status
+      END,
+      updated_at = NOW()
+  WHERE id = p_order_id;
+
+  RETURN v_collection;
+END;
+$$ LANGUAGE plpgsql;
 
 -- Insert default admin user (password is 'admin123' hashed)
 INSERT INTO admins (username, password_hash, email, full_name, role)
 VALUES ('admin', '$2b$10$fbgHkrg0Hv9gm.Yck3iYj.fQY9nf2ZpCfYLtViDrzkWJChdknAdj2', 'admin@somahland.com', 'Somah Admin', 'super_admin');
 
--- Track order status changes
+-- Default pricing (see utils/pricing.js)
+INSERT INTO platform_settings (key, value)
+VALUES ('pricing', '{"display_markup": 20, "delivery_fee_mode": "per_order", "delivery_fee": 0, "emirate_fees": {}, "free_delivery_threshold": null}'),
+       ('delivery', '{"default_preparation_minutes": 60, "delivery_minutes": 120, "emirate_delivery_minutes": {}, "delivery_hours": {"open": "09:00", "close": "22:00"}}');
+
+-- Track the initial order status
+-- (later changes are written by utils/order-lifecycle.js together with who made them)
 CREATE OR REPLACE FUNCTION track_order_status()
 RETURNS TRIGGER AS $$
 BEGIN
-  IF OLD.status IS NULL OR NEW.status != OLD.status THEN
-    INSERT INTO order_status_history(order_id, status, created_at)
-    VALUES (NEW.id, NEW.status, NOW());
-  END IF;
+  INSERT INTO order_status_history(order_id, status, changed_by_type, changed_by, created_at)
+  VALUES (NEW.id, NEW.status, 'customer', NEW.customer_id, NOW());
   
   RETURN NEW;
 END;
 $$ LANGUAGE plpgsql;
 
 CREATE TRIGGER order_status_history_trigger
-AFTER INSERT OR UPDATE ON orders
+AFTER INSERT ON orders
 FOR EACH ROW
 EXECUTE FUNCTION track_order_status();
+
+-- Return reserved stock of cancelled sub-orders (a whole order or a single store).
+-- Each sub-order is only restocked once.
+CREATE OR REPLACE FUNCTION restore_order_stock(p_order_id UUID, p_sub_order_id UUID DEFAULT NULL)
+RETURNS VOID AS $$
+DECLARE
+  v_sub_order_ids UUID[];
+BEGIN
+  SELECT ARRAY_AGG(id) INTO v_sub_order_ids
+  FROM (
+    SELECT id
+    FROM sub_orders
+    WHERE order_id = p_order_id
+      AND (p_sub_order_id IS NULL OR id = p_sub_order_id)
+      AND status = 'cancelled'
+      AND NOT stock_restored
+    FOR UPDATE
+  ) pending_restock;
+
+  IF v_sub_order_ids IS NULL THEN
+    RETURN;
+  END IF;
+
+  -- Units of variants deleted since the order have nowhere to go back to
+  INSERT INTO inventory_movements (product_id, variant_id, change, reason, order_id, sub_order_id)
+  SELECT oi.product_id, oi.variant_id, SUM(oi.quantity), 'cancellation', p_order_id, oi.sub_order_id
+  FROM order_items oi
+  WHERE oi.sub_order_id = ANY(v_sub_order_ids) AND oi.product_id IS NOT NULL
+    AND (oi.variant_id IS NOT NULL
+         OR NOT EXISTS (SELECT 1 FROM product_variants pv WHERE pv.product_id = oi.product_id))
+  GROUP BY oi.product_id, oi.variant_id, oi.sub_order_id;
+
+  UPDATE sub_orders
+  SET stock_restored = TRUE
+  WHERE id = ANY(v_sub_order_ids);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Approve or reject a return request, optionally putting the units back into stock
+CREATE OR REPLACE FUNCTION review_return_request(
+  p_return_request_id UUID,
+  p_approve BOOLEAN,
+  p_restock BOOLEAN,
+  p_admin_id UUID,
+  p_notes TEXT DEFAULT NULL
+)
+RETURNS return_requests AS $$
+DECLARE
+  v_return return_requests%ROWTYPE;
+  v_product_id UUID;
+  v_variant_id UUID;
+BEGIN
+  SELECT * INTO v_return
+  FROM return_requests
+  WHERE id = p_return_request_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'RETURN_NOT_FOUND';
+  END IF;
+
+  IF v_return.status != 'requested' THEN
+    RAISE EXCEPTION 'RETURN_ALREADY_REVIEWED';
+  END IF;
+
+  UPDATE return_requests
+  SET status = CASE WHEN p_approve THEN 'approved' ELSE 'rejected' END,
+      restock = p_approve AND p_restock,
+      admin_notes = p_notes,
+      reviewed_by = p_admin_id,
+      reviewed_at = NOW(),
+      updated_at = NOW()
+  WHERE id = p_return_request_id
+  RETURNING * INTO v_return;
+
+  IF p_approve AND p_restock THEN
+    SELECT product_id, variant_id INTO v_product_id, v_variant_id
+    FROM order_items
+    WHERE id = v_return.order_item_id;
+
+    IF v_product_id IS NOT NULL AND (v_variant_id IS NOT NULL
+       OR NOT EXISTS (SELECT 1 FROM product_variants WHERE product_id = v_product_id)) THEN
+      INSERT INTO inventory_movements (product_id, variant_id, change, reason, order_id, sub_order_id, return_request_id)
+      VALUES (v_product_id, v_variant_id, v_return.quantity, 'return', v_return.order_id, v_return.sub_order_id, v_return.id);
+    END IF;
+  END IF;
+
+  RETURN v_return;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Record a refund for an approved return and take the store's share off its payout
+CREATE OR REPLACE FUNCTION record_refund(
+  p_return_request_id UUID,
+  p_amount DECIMAL,
+  p_method TEXT,
+  p_admin_id UUID,
+  p_notes TEXT DEFAULT NULL
+)
+RETURNS refunds AS $$
+DECLARE
+  v_return return_requests%ROWTYPE;
+  v_item order_items%ROWTYPE;
+  v_sub_order sub_orders%ROWTYPE;
+  v_refund refunds%ROWTYPE;
+  v_store_deduction DECIMAL;
+  v_discount DECIMAL := 0;
+  v_discounted_subtotal DECIMAL;
+  v_max_amount DECIMAL;
+BEGIN
+  SELECT * INTO v_return
+  FROM return_requests
+  WHERE id = p_return_request_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'RETURN_NOT_FOUND';
+  END IF;
+
+  IF v_return.status != 'approved' THEN
+    RAISE EXCEPTION 'RETURN_NOT_APPROVED';
+  END IF;
+
+  IF p_method NOT IN ('cash', 'store_credit', 'card') THEN
+    RAISE EXCEPTION 'INVALID_REFUND_METHOD';
+  END IF;
+
+  -- Store credit goes on the customer's account
+  IF p_method = 'store_credit' AND v_return.customer_id IS NULL THEN
+    RAISE EXCEPTION 'CUSTOMER_NOT_FOUND';
+  END IF;
+
+  SELECT * INTO v_item FROM order_items WHERE id = v_return.order_item_id;
+  SELECT * INTO v_sub_order FROM sub_orders WHERE id = v_return.sub_order_id FOR UPDATE;
+
+  -- The customer gets back what they paid for the returned units, so their
+  -- share of a promo discount comes off. A store's promo only discounted
+  -- that store's items (its sub-order carries the discount); any other
+  -- promo discounted the whole order.
+  IF COALESCE(v_sub_order.discount_amount, 0) > 0 THEN
+    v_discount := v_sub_order.discount_amount;
+    SELECT SUM(price * quantity) INTO v_discounted_subtotal
+    FROM order_items WHERE sub_order_id = v_sub_order.id;
+  ELSIF NOT EXISTS (
+    SELECT 1 FROM sub_orders WHERE order_id = v_return.order_id AND discount_amount > 0
+  ) THEN
+    SELECT discount_amount INTO v_discount FROM orders WHERE id = v_return.order_id;
+    SELECT SUM(price * quantity) INTO v_discounted_subtotal
+    FROM order_items WHERE order_id = v_return.order_id;
+  END IF;
+
+  v_max_amount := v_item.price * v_return.quantity - COALESCE(ROUND(
+    v_discount * v_item.price * v_return.quantity / NULLIF(v_discounted_subtotal, 0),
+    2
+  ), 0);
+
+  IF p_amount <= 0 OR p_amount > v_max_amount THEN
+    RAISE EXCEPTION 'INVALID_REFUND_AMOUNT'
+      USING DETAIL = jsonb_build_object('max_amount', v_max_amount)::TEXT;
+  END IF;
+
+  -- The store gives back what it earned on the returned units
+  v_store_deduction := ROUND(
+    v_item.original_price * v_return.quantity
+      * COALESCE(v_sub_order.payout_amount / NULLIF(v_sub_order.subtotal, 0), 1),
+    2
+  );
+
+  INSERT INTO refunds (
+    return_request_id, order_id, order_item_id, sub_order_id, store_id, customer_id,
+    amount, store_deduction, method, notes, created_by
+  )
+  VALUES (
+    v_return.id, v_return.order_id, v_return.order_item_id, v_return.sub_order_id,
+    v_return.store_id, v_return.customer_id,
+    p_amount, v_store_deduction, p_method, p_notes, p_admin_id
+  )
+  RETURNING * INTO v_refund;
+
+  IF v_sub_order.id IS NOT NULL THEN
+    UPDATE sub_orders
+    SET refunded_amount = refunded_amount + v_store_deduction,
+        updated_at = NOW()
+    WHERE id = v_sub_order.id;
+  END IF;
+
+  IF p_method = 'store_credit' THEN
+    UPDATE users
+    SET store_credit = store_credit + p_amount,
+        updated_at = NOW()
+    WHERE id = v_return.customer_id;
+  END IF;
+
+  UPDATE return_requests
+  SET status = 'refunded',
+      updated_at = NOW()
+  WHERE id = v_return.id;
+
+  RETURN v_refund;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Count a failed tracking lookup; a new window starts once the last one has expired
+CREATE OR REPLACE FUNCTION record_tracking_failure(p_lookup_key TEXT, p_window_seconds INTEGER)
+RETURNS INTEGER AS $$
+  INSERT INTO tracking_lookup_failures AS f (lookup_key, failures, expires_at)
+  VALUES (p_lookup_key, 1, NOW() + make_interval(secs => p_window_seconds))
+  ON CONFLICT (lookup_key) DO UPDATE
+  SET failures = CASE WHEN f.expires_at <= NOW() THEN 1 ELSE f.failures + 1 END,
+      expires_at = CASE WHEN f.expires_at <= NOW() THEN EXCLUDED.expires_at ELSE f.expires_at END
+  RETURNING f.failures;
+$$ LANGUAGE sql;
+
+-- Escape text for HTML, so search snippets are safe to render with their <mark> tags
+CREATE OR REPLACE FUNCTION escape_html(p_text TEXT)
+RETURNS TEXT AS $$
+  SELECT replace(replace(replace(replace(p_text, '&', '&amp;'), '<', '&lt;'), '>', '&gt;'), '"', '&quot;');
+$$ LANGUAGE sql IMMUTABLE PARALLEL SAFE;
+
+-- Ranked search over products and stores (GET /search). Full-text
+-- matches rank highest; trigram similarity on names catches misspellings.
+-- Products also match on their store's name. Returns one page of mixed
+-- results with highlighted names and description snippets.
+CREATE OR REPLACE FUNCTION search_catalog(
+  p_query TEXT,
+  p_types TEXT[] DEFAULT ARRAY['product', 'store'],
+  p_category TEXT DEFAULT NULL,
+  p_store_id UUID DEFAULT NULL,
+  p_limit INTEGER DEFAULT 20,
+  p_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE (
+  result_type TEXT,
+  result_id UUID,
+  rank REAL,
+  name_highlight TEXT,
+  snippet TEXT,
+  total_count BIGINT
+) AS $$
+  WITH search AS (
+    SELECT normalize_search_text(p_query) AS normalized,
+           websearch_to_tsquery('simple', normalize_search_text(p_query))
+             || websearch_to_tsquery('english', p_query)
+             || websearch_to_tsquery('arabic', normalize_search_text(p_query)) AS terms
+  ),
+  matches AS (
+    SELECT 'product'::TEXT AS result_type,
+           p.id AS result_id,
+           p.name,
+           p.description,
+           ts_rank(p.search_vector, search.terms)
+             + word_similarity(search.normalized, normalize_search_text(p.name))
+             + 0.5 * word_similarity(search.normalized, normalize_search_text(s.name)) AS rank,
+           search.terms
+    FROM products p
+    JOIN stores s ON s.id = p.store_id
+    CROSS JOIN search
+    WHERE 'product' = ANY(p_types)
+      AND p.status IN ('active', 'out_of_stock')
+      AND p.is_available = TRUE
+      AND s.status = 'active'
+      AND (p_category IS NULL OR p.category = p_category)
+      AND (p_store_id IS NULL OR p.store_id = p_store_id)
+      AND (
+        p.search_vector @@ search.terms
+        OR search.normalized <% normalize_search_text(p.name)
+        OR search.normalized <% normalize_search_text(s.name)
+      )
+
+    UNION ALL
+
+    SELECT 'store'::TEXT,
+           s.id,
+           s.name,
+           s.description,
+           ts_rank(s.search_vector, search.terms)
+             + word_similarity(search.normalized, normalize_search_text(s.name)),
+           search.terms
+    FROM stores s
+    CROSS JOIN search
+    WHERE 'store' = ANY(p_types)
+      AND p_store_id IS NULL
+      AND s.status = 'active'
+      AND (p_category IS NULL OR s.category = p_category)
+      AND (
+        s.search_vector @@ search.terms
+        OR search.normalized <% normalize_search_text(s.name)
+      )
+  ),
+  page AS (
+    SELECT matches.*, COUNT(*) OVER () AS total_count
+    FROM matches
+    ORDER BY matches.rank DESC, matches.result_id
+    LIMIT p_limit OFFSET p_offset
+  )
+  SELECT page.result_type,
+         page.result_id,
+         page.rank::REAL,
+         ts_headline('english', escape_html(page.name), page.terms,
+           'StartSel=<mark>, StopSel=</mark>, HighlightAll=true'),
+         ts_headline('english', escape_html(page.description), page.terms,
+           'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MinWords=8, MaxWords=20, FragmentDelimiter=" ... "'),
+         page.total_count
+  FROM page
+  ORDER BY page.rank DESC, page.result_id;
+$$ LANGUAGE sql STABLE
+SET pg_trgm.word_similarity_threshold = 0.3;
@@ -2,6 +2,8 @@ require('dotenv').config();
 
 const TelegramBot = require('node-telegram-bot-api');
 const { supabaseAdmin } = require('./supabase');
+const { COMMISSION_RATE, orderFinancials } = require('./utils/pricing');
+const { recordCodCollection } = require('./utils/cod');
 
 // Load Telegram bot token
 const botToken = process.env.TELEGRAM_BOT_TOKEN;
@@ -61,10 +63,9 @@ async function formatOrderMessage(order, handledBy = null) {
     storeGroups[item.store_name].push(item);
   });
   
-  // Calculate commission (subtract 20 AED delivery fee first, then 5% commission)
-  const amountAfterDeliveryFee = order.total_amount - 20; // Remove delivery fee
-  const commission = (amountAfterDeliveryFee * 0.05).toFixed(2);
-  const storePayout = (amountAfterDeliveryFee - commission).toFixed(2);
+  // Commission is taken from the store prices only - delivery fee and markup go to Somah
+  const { itemsSubtotal, deliveryAndMarkup, discount, storeDiscount, commission, storePayout } = orderFinancials(order);
+  const commissionPercent = Math.round(COMMISSION_RATE * 10000) / 100;
   
   // Build message
   let message = `🛍️ <b>NEW ORDER #${order.order_number}</b>\n`;
@@ -83,17 +84,30 @@ async function formatOrderMessage(order, handledBy = null) {
   Object.entries(storeGroups).forEach(([storeName, items]) => {
     message += `<b>Store: ${storeName}</b>\n`;
     items.forEach(item => {
-      message += `- ${item.quantity}x ${item.product_name} (AED ${item.price})\n`;
+      const variant = item.variant_name ? ` - ${item.variant_name}${item.sku ? ` [${item.sku}]` : ''}` : '';
+      message += `- ${item.quantity}x ${item.product_name}${variant} (AED ${item.price})\n`;
     });
     message += `\n`;
   });
   
   // Financial Breakdown
   message += `💰 <b>FINANCIAL BREAKDOWN:</b>\n`;
-  message += `Total Amount: AED ${order.total_amount} (includes 20 AED delivery fee)\n`;
-  message += `After Delivery Fee: AED ${amountAfterDeliveryFee}\n`;
-  message += `5% Commission: AED ${commission} (Somah)\n`;
-  message += `Store Payout: AED ${storePayout}\n\n`;
+  message += `Total Amount: AED ${order.total_amount}\n`;
+  message += `Store Prices: AED ${itemsSubtotal.toFixed(2)}\n`;
+  message += `Delivery Fee & Markup: AED ${deliveryAndMarkup.toFixed(2)}\n`;
+  if (discount > 0) {
+    const fundedBy = storeDiscount > 0 ? 'store' : 'Somah';
+    message += `Discount (${escapeHtml(order.promo_code || 'promo')}): -AED ${discount.toFixed(2)} (funded by ${fundedBy})\n`;
+  }
+  message += `${commissionPercent}% Commission: AED ${commission.toFixed(2)} (Somah)\n`;
+  message += `Store Payout: AED ${storePayout.toFixed(2)}\n`;
+  
+  // Refunds recorded against returned items
+  const refundedAmount = (order.refunds || []).reduce((sum, refund) => sum + Number(refund.amount), 0);
+  if (refundedAmount > 0) {
+    message += `Refunded: AED ${refundedAmount.toFixed(2)}\n`;
+  }
+  message += `\n`;
   
   // Store Pickup Details (for each store)
   message += `🏪 <b>STORE PICKUP DETAILS:</b>\n`;
@@ -126,6 +140,16 @@ async function formatOrderMessage(order, handledBy = null) {
     
     message += `<b>${storeName}:</b>\n`;
     
+    // Add this store's part of the order
+    const subOrder = (order.sub_orders || []).find(sub => sub.store_id === storeId);
+    if (subOrder) {
+      message += `📋 Status: ${subOrder.status.replace(/_/g, ' ')}\n`;
+      if (Number(subOrder.discount_amount) > 0) {
+        message += `🏷️ Store-Funded Discount: AED ${subOrder.discount_amount}\n`;
+      }
+      message += `💵 Store Payout: AED ${subOrder.payout_amount}\n`;
+    }
+    
     // Add store phone number
     if (storeDetails && storeDetails.phone) {
       message += `📞 Phone: ${storeDetails.phone}\n`;
@@ -159,8 +183,49 @@ async function formatOrderMessage(order, handledBy = null) {
     minute: '2-digit'
   })}\n`;
   
+  // Delivery slot chosen by the customer (UAE time)
+  if (order.delivery_slot_start) {
+    const slotTime = { timeZone: 'Asia/Dubai', hour: '2-digit', minute: '2-digit' };
+    const slotStart = new Date(order.delivery_slot_start);
+    message += `🕒 <b>Delivery Slot:</b> ${slotStart.toLocaleDateString('en-US', {
+      timeZone: 'Asia/Dubai',
+      weekday: 'short',
+      day: 'numeric',
+      month: 'short'
+    })}, ${slotStart.toLocaleTimeString('en-US', slotTime)} - ${new Date(order.delivery_slot_end).toLocaleTimeString('en-US', slotTime)}\n`;
+  }
+  
+  // Estimated delivery (UAE time)
+  if (order.estimated_delivery_date && !['delivered', 'cancelled'].includes(order.status)) {
+    const estimatedDelivery = new Date(order.estimated_delivery_date);
+    message += `🚚 <b>Estimated Delivery:</b> ${estimatedDelivery.toLocaleString('en-US', {
+      timeZone: 'Asia/Dubai',
+      weekday: 'short',
+      day: 'numeric',
+      month: 'short',
+      hour: '2-digit',
+      minute: '2-digit'
+    })}\n`;
+  }
+  
   // Payment Method
-  message += `💳 <b>Payment:</b> ${order.payment_method === 'cash_on_delivery' ? 'Cash on Delivery' : order.payment_method}\n`;
+  const paymentLabels = { cash_on_delivery: 'Cash on Delivery', card: 'Card' };
+  message += `💳 <b>Payment:</b> ${paymentLabels[order.payment_method] || order.payment_method}`;
+  if (order.payment_method === 'card') {
+    message += ` - ${order.payment_status.replace(/_/g, ' ')}`;
+  }
+  message += `\n`;
+  
+  // Cash collected so far (cash on delivery)
+  const collections = order.cod_collections || [];
+  if (collections.length > 0) {
+    const collected = collections.reduce((sum, collection) => sum + Number(collection.collected_amount), 0);
+    message += `💵 <b>Cash Collected:</b> AED ${collected.toFixed(2)} of ${order.total_amount}\n`;
+    const lastAttempt = collections[collections.length - 1];
+    if (lastAttempt.failure_reason && lastAttempt.status !== 'collected') {
+      message += `⚠️ Last attempt (${lastAttempt.handler}): ${escapeHtml(lastAttempt.failure_reason)}\n`;
+    }
+  }
   
   // Add notes if any
   if (order.notes) {
@@ -192,17 +257,94 @@ function createHandlerKeyboard(orderId) {
 }
 
 /**
- * Create disabled keyboard showing who handled it
+ * Create keyboard showing who handled it, with cash collection buttons for
+ * cash-on-delivery orders
  */
-function createHandledKeyboard(handler) {
-  return {
-    inline_keyboard: [
-      [{
-        text: `✅ Handled by ${handler}`,
-        callback_data: 'handled'
-      }]
-    ]
-  };
+function createHandledKeyboard(handler, order = null) {
+  const keyboard = [
+    [{
+      text: `✅ Handled by ${handler}`,
+      callback_data: 'handled'
+    }]
+  ];
+  
+  if (order && order.payment_method === 'cash_on_delivery') {
+    if (order.payment_status === 'paid') {
+      keyboard.push([{ text: '💵 Cash collected', callback_data: 'collected' }]);
+    } else if (order.status !== 'cancelled') {
+      keyboard.push([
+        { text: '💵 Collected', callback_data: `cod_${order.id}_full` },
+        { text: '🪙 Partial', callback_data: `cod_${order.id}_partial` },
+        { text: '❌ Not collected', callback_data: `cod_${order.id}_failed` }
+      ]);
+    }
+  }
+  
+  return { inline_keyboard: keyboard };
+}
+
+/**
+ * Fetch an order with everything the Telegram message shows
+ */
+async function fetchOrderForMessage(orderId) {
+  return supabaseAdmin
+    .from('orders')
+    .select(`
+      *,
+      order_items (
+        product_name,
+        variant_name,
+        sku,
+        quantity,
+        price,
+        original_price,
+        store_name,
+        store_id,
+        image_url
+      ),
+      sub_orders (
+        store_id,
+        status,
+        discount_amount,
+        commission,
+        payout_amount
+      ),
+      refunds (
+        amount
+      ),
+      cod_collections (
+        handler,
+        status,
+        collected_amount,
+        failure_reason,
+        collected_at
+      )
+    `)
+    .eq('id', orderId)
+    .order('collected_at', { foreignTable: 'cod_collections', ascending: true })
+    .single();
+}
+
+/**
+ * Re-render an order message after it changed
+ */
+async function refreshOrderMessage(orderId, chatId, messageId) {
+  const { data: order, error } = await fetchOrderForMessage(orderId);
+  if (error || !order) {
+    console.error('Error fetching order:', error);
+    return null;
+  }
+  
+  await bot.editMessageText(await formatOrderMessage(order, order.handled_by), {
+    chat_id: chatId,
+    message_id: messageId,
+    parse_mode: 'HTML',
+    reply_markup: order.handled_by
+      ? createHandledKeyboard(order.handled_by, order)
+      : createHandlerKeyboard(orderId)
+  });
+  
+  return order;
 }
 
 /**
@@ -223,22 +365,7 @@ async function sendOrderNotification(orderId) {
     }
     
     // Fetch order details with items
-    const { data: order, error } = await supabaseAdmin
-      .from('orders')
-      .select(`
-        *,
-        order_items (
-          product_name,
-          quantity,
-          price,
-          original_price,
-          store_name,
-          store_id,
-          image_url
-        )
-      `)
-      .eq('id', orderId)
-      .single();
+    const { data: order, error } = await fetchOrderForMessage(orderId);
     
     if (error) {
       console.error('Error fetching order:', error);
@@ -261,7 +388,8 @@ async function sendOrderNotification(orderId) {
         sent: true,
         sent_at: new Date().toISOString()
       })
-      .eq('order_id', orderId);
+      .eq('order_id', orderId)
+      .eq('notification_type', 'new_order');
     
     console.log(`✅ Order notification sent for #${order.order_number}`);
     
@@ -271,6 +399,45 @@ async function sendOrderNotification(orderId) {
   }
 }
 
+/**
+ * Escape text for Telegram HTML messages
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Send an order status update (cancellations, confirmations, etc.) to Telegram
+ */
+async function sendOrderUpdate(notification) {
+  try {
+    if (!bot || !CHAT_ID) {
+      return;
+    }
+    
+    const sentMessage = await bot.sendMessage(
+      CHAT_ID,
+      `🔔 <b>ORDER UPDATE</b>\n${escapeHtml(notification.message)}`,
+      { parse_mode: 'HTML' }
+    );
+    
+    await supabaseAdmin
+      .from('telegram_notifications')
+      .update({
+        sent: true,
+        sent_at: new Date().toISOString()
+      })
+      .eq('id', notification.id);
+    
+    return sentMessage;
+  } catch (error) {
+    console.error('Error sending Telegram order update:', error);
+  }
+}
+
 /**
  * Handle incoming messages to capture chat ID
  */
@@ -286,6 +453,37 @@ bot.on('message', (msg) => {
   }
 });
 
+// Collection prompts waiting for a reply: prompt message ID -> { orderId, type, chatId, messageId }
+const pendingCollections = new Map();
+
+/**
+ * Record a collection from the bot and report the result in the group
+ */
+async function recordCollectionFromBot({ orderId, collectedAmount, failureReason, from, chatId, messageId }) {
+  const { collection, error } = await recordCodCollection({
+    orderId,
+    collectedAmount,
+    failureReason,
+    recordedVia: 'telegram',
+    recordedBy: from.username || from.first_name || String(from.id)
+  });
+  
+  if (error) {
+    const expected = error.expectedAmount !== undefined ? ` (still owed: AED ${error.expectedAmount})` : '';
+    return { ok: false, text: `❌ ${error.message}${expected}` };
+  }
+  
+  const order = await refreshOrderMessage(orderId, chatId, messageId);
+  const orderNumber = order ? `#${order.order_number}` : 'the order';
+  const texts = {
+    collected: `💵 AED ${collection.collected_amount} collected for ${orderNumber} by ${collection.handler}`,
+    partial: `🪙 AED ${collection.collected_amount} of ${collection.expected_amount} collected for ${orderNumber} by ${collection.handler}`,
+    failed: `❌ Cash not collected for ${orderNumber} (${collection.handler})`
+  };
+  
+  return { ok: true, text: texts[collection.status] };
+}
+
 /**
  * Handle button clicks (callback queries)
  */
@@ -302,33 +500,42 @@ bot.on('callback_query', async (callbackQuery) => {
       return;
     }
     
-    // Parse callback data: handle_orderId_handler
-    const [action, orderId, handler] = data.split('_');
+    if (data === 'collected') {
+      await bot.answerCallbackQuery(callbackQuery.id, {
+        text: '💵 The cash for this order has been collected',
+        show_alert: false
+      });
+      return;
+    }
+    
+    // Parse callback data: handle_orderId_handler or cod_orderId_type
+    const [action, orderId, option] = data.split('_');
+    const chatId = callbackQuery.message.chat.id;
+    const messageId = callbackQuery.message.message_id;
+    
+    if (action === 'cod') {
+      await handleCollectionButton(callbackQuery, orderId, option, chatId, messageId);
+      return;
+    }
     
     if (action !== 'handle') return;
     
     // Capitalize handler name
-    const handlerName = handler.charAt(0).toUpperCase() + handler.slice(1);
+    const handlerName = option.charAt(0).toUpperCase() + option.slice(1);
     
-    // Fetch order again to update message
-    const { data: order, error } = await supabaseAdmin
+    // Save who picked the order - the first tap wins
+    const { data: claimed, error: claimError } = await supabaseAdmin
       .from('orders')
-      .select(`
-        *,
-        order_items (
-          product_name,
-          quantity,
-          price,
-          original_price,
-          store_name,
-          store_id
-        )
-      `)
+      .update({
+        handled_by: handlerName,
+        handled_at: new Date().toISOString()
+      })
       .eq('id', orderId)
-      .single();
+      .is('handled_by', null)
+      .select('id');
     
-    if (error) {
-      console.error('Error fetching order:', error);
+    if (claimError) {
+      console.error('Error saving order handler:', claimError);
       await bot.answerCallbackQuery(callbackQuery.id, {
         text: '❌ Error updating order',
         show_alert: true
@@ -337,14 +544,15 @@ bot.on('callback_query', async (callbackQuery) => {
     }
     
     // Update the message with handler info
-    const updatedMessage = await formatOrderMessage(order, handlerName);
+    const order = await refreshOrderMessage(orderId, chatId, messageId);
     
-    await bot.editMessageText(updatedMessage, {
-      chat_id: callbackQuery.message.chat.id,
-      message_id: callbackQuery.message.message_id,
-      parse_mode: 'HTML',
-      reply_markup: createHandledKeyboard(handlerName)
-    });
+    if (!claimed || claimed.length === 0) {
+      await bot.answerCallbackQuery(callbackQuery.id, {
+        text: `✅ This order is already assigned to ${order ? order.handled_by : 'someone else'}`,
+        show_alert: false
+      });
+      return;
+    }
     
     // Send confirmation popup
     await bot.answerCallbackQuery(callbackQuery.id, {
@@ -352,7 +560,7 @@ bot.on('callback_query', async (callbackQuery) => {
       show_alert: false
     });
     
-    console.log(`✅ Order ${order.order_number} assigned to ${handlerName}`);
+    console.log(`✅ Order ${order ? order.order_number : orderId} assigned to ${handlerName}`);
     
   } catch (error) {
     console.error('Error handling callback query:', error);
@@ -363,6 +571,97 @@ bot.on('callback_query', async (callbackQuery) => {
   }
 });
 
+/**
+ * Cash collection buttons: full collections are recorded straight away,
+ * partial and failed ones ask for the amount and reason as a reply
+ */
+async function handleCollectionButton(callbackQuery, orderId, type, chatId, messageId) {
+  const { data: order } = await supabaseAdmin
+    .from('orders')
+    .select('order_number, total_amount, cod_collections (collected_amount)')
+    .eq('id', orderId)
+    .single();
+  
+  if (!order) {
+    await bot.answerCallbackQuery(callbackQuery.id, { text: '❌ Order not found', show_alert: true });
+    return;
+  }
+  
+  const collected = (order.cod_collections || []).reduce((sum, row) => sum + Number(row.collected_amount), 0);
+  const owed = Math.round((Number(order.total_amount) - collected) * 100) / 100;
+  
+  if (type === 'full') {
+    const result = await recordCollectionFromBot({
+      orderId,
+      collectedAmount: owed,
+      from: callbackQuery.from,
+      chatId,
+      messageId
+    });
+    await bot.answerCallbackQuery(callbackQuery.id, { text: result.text, show_alert: !result.ok });
+    if (result.ok) {
+      await bot.sendMessage(chatId, result.text);
+    }
+    return;
+  }
+  
+  const prompt = type === 'partial'
+    ? `🪙 How much cash was collected for #${order.order_number}? (AED ${owed.toFixed(2)} owed)\nReply with the amount and the reason, e.g. "50 customer paid the rest by transfer"`
+    : `❌ Why couldn't the cash be collected for #${order.order_number}?\nReply with the reason`;
+  
+  const promptMessage = await bot.sendMessage(chatId, prompt, {
+    reply_markup: { force_reply: true, selective: true },
+    reply_to_message_id: messageId
+  });
+  pendingCollections.set(promptMessage.message_id, { orderId, type, chatId, messageId });
+  
+  await bot.answerCallbackQuery(callbackQuery.id);
+}
+
+/**
+ * Replies to collection prompts
+ */
+bot.on('message', async (msg) => {
+  const pending = msg.reply_to_message && pendingCollections.get(msg.reply_to_message.message_id);
+  if (!pending || !msg.text) {
+    return;
+  }
+  
+  try {
+    let collectedAmount = 0;
+    let failureReason = msg.text.trim();
+    
+    if (pending.type === 'partial') {
+      const match = msg.text.trim().match(/^(\d+(?:\.\d{1,2})?)\s*(.*)$/);
+      if (!match) {
+        await bot.sendMessage(msg.chat.id, '❌ Start your reply with the amount collected, e.g. "50 customer short on cash"', {
+          reply_to_message_id: msg.message_id
+        });
+        return;
+      }
+      collectedAmount = parseFloat(match[1]);
+      failureReason = match[2];
+    }
+    
+    const result = await recordCollectionFromBot({
+      orderId: pending.orderId,
+      collectedAmount,
+      failureReason,
+      from: msg.from,
+      chatId: pending.chatId,
+      messageId: pending.messageId
+    });
+    
+    if (result.ok) {
+      pendingCollections.delete(msg.reply_to_message.message_id);
+    }
+    await bot.sendMessage(msg.chat.id, result.text, { reply_to_message_id: msg.message_id });
+  } catch (error) {
+    console.error('Error recording cash collection:', error);
+    await bot.sendMessage(msg.chat.id, '❌ An error occurred');
+  }
+});
+
 /**
  * Poll for unsent notifications and send them
  */
@@ -372,7 +671,7 @@ async function pollNotifications() {
       .from('telegram_notifications')
       .select('*')
       .eq('sent', false)
-      .eq('notification_type', 'new_order')
+      .in('notification_type', ['new_order', 'order_update'])
       .order('created_at', { ascending: true })
       .limit(10);
     
@@ -382,7 +681,11 @@ async function pollNotifications() {
     }
     
     for (const notification of notifications) {
-      await sendOrderNotification(notification.order_id);
+      if (notification.notification_type === 'order_update') {
+        await sendOrderUpdate(notification);
+      } else {
+        await sendOrderNotification(notification.order_id);
+      }
       // Wait a bit between messages to avoid rate limiting
       await new Promise(resolve => setTimeout(resolve, 1000));
     }
@@ -427,5 +730,6 @@ if (require.main === module) {
 
 module.exports = {
   sendOrderNotification,
+  sendOrderUpdate,
   bot
 };
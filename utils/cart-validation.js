@@ -0,0 +1,218 @@
+const { supabaseAdmin } = require('../config/database');
+const { getPricingSettings, displayPrice, roundAmount } = require('./pricing');
+const { ownedBy } = require('./guests');
+const { getReservedStock } = require('./reservations');
+
+/**
+ * Cart validation
+ * `cart_items.price` is set when a line is added, so it goes stale as stores
+ * edit their products. Each line is checked against the current product:
+ * lines for deleted products are dropped, prices are corrected, and anything
+ * that would stop checkout (unavailable, out of stock - after other
+ * customers' holds, no variant chosen) is flagged. Lines of products with
+ * variants are checked against their variant.
+ */
+
+const CART_ISSUES = {
+  PRODUCT_REMOVED: 'product_removed',
+  VARIANT_REQUIRED: 'variant_required',
+  UNAVAILABLE: 'unavailable',
+  OUT_OF_STOCK: 'out_of_stock',
+  INSUFFICIENT_STOCK: 'insufficient_stock',
+  PRICE_CHANGED: 'price_changed'
+};
+
+/**
+ * Problems with one cart line
+ * @param {object} item - cart_items row with `products` and `product_variants`
+ * @param {object} settings - Pricing settings
+ * @param {{ products: object, variants: object }} reserved - Stock held by other customers, from getReservedStock()
+ * @returns {Array<{ code: string, message: string, blocking: boolean }>}
+ */
+function lineIssues(item, settings, reserved) {
+  const product = item.products;
+  const variant = item.product_variants;
+
+  if (!item.product_id || !product) {
+    return [{ code: CART_ISSUES.PRODUCT_REMOVED, message: 'This product has been removed', blocking: true }];
+  }
+
+  // The variant was deleted, or the product got variants after it was added
+  if ((product.product_variants || []).length > 0 && !variant) {
+    return [{ code: CART_ISSUES.VARIANT_REQUIRED, message: 'Choose one of the options for this product again', blocking: true }];
+  }
+
+  if (product.status !== 'active' || !product.is_available || (variant && !variant.is_available)) {
+    return [{ code: CART_ISSUES.UNAVAILABLE, message: 'This product is not available right now', blocking: true }];
+  }
+
+  const issues = [];
+  const held = variant ? reserved.variants[variant.id] : reserved.products[product.id];
+  const stock = Math.max((Number((variant || product).stock) || 0) - (held || 0), 0);
+
+  if (stock === 0) {
+    issues.push({ code: CART_ISSUES.OUT_OF_STOCK, message: 'This product is out of stock', blocking: true });
+  } else if (stock < item.quantity) {
+    issues.push({
+      code: CART_ISSUES.INSUFFICIENT_STOCK,
+      message: `Only ${stock} left in stock`,
+      blocking: true,
+      available: stock
+    });
+  }
+
+  const currentPrice = displayPrice((variant || product).price, settings);
+  if (roundAmount(item.price) !== currentPrice) {
+    issues.push({
+      code: CART_ISSUES.PRICE_CHANGED,
+      message: currentPrice > roundAmount(item.price) ? 'The price has gone up' : 'The price has gone down',
+      blocking: false,
+      previous_price: roundAmount(item.price),
+      current_price: currentPrice
+    });
+  }
+
+  return issues;
+}
+
+/**
+ * Check a customer's cart against current product data
+ * Lines for deleted products are removed and stale prices are updated in
+ * `cart_items`; every remaining line comes back with its `issues`. Checkout
+ * leaves prices alone, so a price change is rejected rather than charged.
+ * @param {{ userId: string|null, guestId: string|null }} customer - From getCustomer()
+ * @param {object} [options]
+ * @param {boolean} [options.correctPrices] - Update stale prices in `cart_items` (default true)
+ * @returns {Promise<{ items: Array<object>, removed: Array<object>, checkout_ready: boolean, issues_count: number }>}
+ */
+async function validateCart(customer, { correctPrices = true } = {}) {
+  const { data: cartItems, error } = await supabaseAdmin
+    .from('cart_items')
+    .select(`
+      *,
+      products (
+        id,
+        name,
+        price,
+        stock,
+        status,
+        is_available,
+        store_id,
+        product_images (image_url, is_primary),
+        product_variants (id)
+      ),
+      product_variants (
+        id,
+        sku,
+        name,
+        options,
+        price,
+        stock,
+        is_available
+      ),
+      stores (
+        id,
+        name
+      )
+    `)
+    .match(ownedBy(customer, 'user_id'));
+
+  if (error) {
+    throw error;
+  }
+
+  const settings = await getPricingSettings();
+  const reserved = await getReservedStock(
+    (cartItems || []).filter(item => item.product_id).map(item => item.product_id),
+    customer
+  );
+  const items = [];
+  const removed = [];
+
+  for (const item of cartItems || []) {
+    const issues = lineIssues(item, settings, reserved);
+
+    // Deleted products can never come back - drop the line
+    if (issues.some(issue => issue.code === CART_ISSUES.PRODUCT_REMOVED)) {
+      await supabaseAdmin.from('cart_items').delete().eq('id', item.id);
+      removed.push({ id: item.id, product_id: item.product_id, issues });
+      continue;
+    }
+
+    // Re-price the line; the customer sees what changed in the issue
+    const priceChange = issues.find(issue => issue.code === CART_ISSUES.PRICE_CHANGED);
+    if (priceChange && correctPrices) {
+      const { error: updateError } = await supabaseAdmin
+        .from('cart_items')
+        .update({ price: priceChange.current_price, updated_at: new Date().toISOString() })
+        .eq('id', item.id);
+
+      if (updateError) {
+        console.error(`Cart price update error for item ${item.id}:`, updateError);
+      } else {
+        item.price = priceChange.current_price;
+      }
+    }
+
+    items.push({ ...item, issues });
+  }
+
+  const issuesCount = items.reduce((sum, item) => sum + item.issues.length, 0) + removed.length;
+
+  return {
+    items,
+    removed,
+    checkout_ready: items.length > 0 && items.every(item => !item.issues.some(issue => issue.blocking)),
+    issues_count: issuesCount
+  };
+}
+
+/**
+ * Order lines for a validated cart
+ * Orders are placed from the cart the customer reviewed (checkout_order()
+ * empties it afterwards). Clients may still send the `items` they showed;
+ * they have to match the cart line for line, and their prices are only used
+ * to catch a stale checkout page.
+ * @param {Array<object>} cartItems - `items` from validateCart()
+ * @param {Array<object>} [items] - { product_id, variant_id, quantity, price } sent by the client
+ * @returns {{ items: Array<object>|null, error: string|null }}
+ */
+function cartOrderItems(cartItems, items) {
+  const key = item => `${item.product_id}:${item.variant_id || ''}`;
+
+  const orderItems = cartItems.map(item => ({
+    product_id: item.product_id,
+    variant_id: item.variant_id || null,
+    quantity: item.quantity,
+    price: item.price
+  }));
+
+  if (items === undefined) {
+    return { items: orderItems, error: null };
+  }
+
+  const sent = {};
+  for (const item of items) {
+    sent[key(item)] = { quantity: (sent[key(item)]?.quantity || 0) + Number(item.quantity), price: item.price };
+  }
+
+  const matches = Object.keys(sent).length === orderItems.length &&
+    orderItems.every(item => sent[key(item)] && sent[key(item)].quantity === item.quantity);
+  if (!matches) {
+    return { items: null, error: 'Your cart has changed since you reviewed it' };
+  }
+
+  return {
+    items: orderItems.map(item => ({
+      ...item,
+      price: sent[key(item)].price !== undefined ? sent[key(item)].price : item.price
+    })),
+    error: null
+  };
+}
+
+module.exports = {
+  CART_ISSUES,
+  validateCart,
+  cartOrderItems
+};
@@ -0,0 +1,220 @@
+const { isUuid } = require('./ids');
+
+/**
+ * Catalog listing
+ * Cursor pagination, sorting and filters for the public product and store
+ * listings. Each sort is one column with the ID as tie-breaker, and the
+ * cursor carries both values of the last row, so pages don't shift when
+ * new products come in while a customer scrolls. Pagination is opt-in
+ * (`limit` or `cursor`): without it the listings stay a plain array of
+ * every match, as they always were.
+ */
+
+// Popularity and rating are kept on products by triggers (sales_count, store_rating)
+const PRODUCT_SORTS = {
+  newest: { column: 'created_at', ascending: false },
+  price_asc: { column: 'price', ascending: true },
+  price_desc: { column: 'price', ascending: false },
+  popular: { column: 'sales_count', ascending: false },
+  rating: { column: 'store_rating', ascending: false }
+};
+
+const STORE_SORTS = {
+  newest: { column: 'created_at', ascending: false },
+  rating: { column: 'rating', ascending: false },
+  name: { column: 'name', ascending: true }
+};
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Cursor pointing after a row
+ * @param {object} row - Last row of a page
+ * @param {{ column: string }} sort
+ * @returns {string}
+ */
+function encodeCursor(row, sort) {
+  return Buffer.from(JSON.stringify([row[sort.column], row.id])).toString('base64url');
+}
+
+/**
+ * @param {string} cursor - From encodeCursor()
+ * @returns {Array|null} [sort value, id], or null if the cursor is invalid
+ */
+function decodeCursor(cursor) {
+  try {
+    const after = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    // The ID goes into an .or() filter string unquoted
+    if (Array.isArray(after) && after.length === 2 && after[0] !== null && isUuid(after[1])) {
+      return after;
+    }
+  } catch (error) {
+    // Falls through to invalid
+  }
+  return null;
+}
+
+/**
+ * Read `sort`, `limit` and `cursor` from the query string
+ * @param {object} query - req.query
+ * @param {object} sorts - PRODUCT_SORTS or STORE_SORTS
+ * @returns {{ page: { sortName: string, sort: object, paginated: boolean, limit: number, after: Array|null }|null, error: string|null }}
+ */
+function parsePageQuery(query, sorts) {
+  const sortName = query.sort || 'newest';
+  const sort = sorts[sortName];
+  if (!sort) {
+    return { page: null, error: `sort must be one of ${Object.keys(sorts).join(', ')}` };
+  }
+
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  let after = null;
+  if (query.cursor) {
+    after = decodeCursor(query.cursor);
+    if (!after) {
+      return { page: null, error: 'Invalid cursor' };
+    }
+  }
+
+  const paginated = query.limit !== undefined || query.cursor !== undefined;
+
+  return { page: { sortName, sort, paginated, limit, after }, error: null };
+}
+
+/**
+ * Read the product filters from the query string
+ * Prices are display prices (what customers see), like the listing itself.
+ * @param {object} query - req.query
+ * @returns {{ filters: { category?: string, query?: string, minPrice: number|null, maxPrice: number|null, inStock: boolean }|null, error: string|null }}
+ */
+function parseProductFilters(query) {
+  const prices = {};
+  for (const field of ['min_price', 'max_price']) {
+    if (query[field] === undefined || query[field] === '') {
+      prices[field] = null;
+      continue;
+    }
+
+    const price = Number(query[field]);
+    if (!Number.isFinite(price) || price < 0) {
+      return { filters: null, error: `${field} must be a non-negative number` };
+    }
+    prices[field] = price;
+  }
+
+  if (prices.min_price !== null && prices.max_price !== null && prices.min_price > prices.max_price) {
+    return { filters: null, error: 'min_price cannot be more than max_price' };
+  }
+
+  return {
+    filters: {
+      category: query.category,
+      query: query.query,
+      minPrice: prices.min_price,
+      maxPrice: prices.max_price,
+      inStock: query.in_stock === 'true'
+    },
+    error: null
+  };
+}
+
+/**
+ * Apply product filters to a products query
+ * Sold out products are listed unless `inStock` is set.
+ * @param {object} productQuery - Supabase query on `products`
+ * @param {object} filters - From parseProductFilters()
+ * @param {object} settings - Pricing settings, to turn display prices back into store prices
+ * @returns {object}
+ */
+function applyProductFilters(productQuery, filters, settings) {
+  const markup = Number(settings.display_markup || 0);
+
+  productQuery = productQuery
+    .in('status', filters.inStock ? ['active'] : ['active', 'out_of_stock'])
+    .eq('is_available', true);
+
+  if (filters.inStock) {
+    productQuery = productQuery.gt('stock', 0);
+  }
+
+  if (filters.category) {
+    productQuery = productQuery.eq('category', filters.category);
+  }
+
+  if (filters.query) {
+    productQuery = productQuery.ilike('name', `%${filters.query}%`);
+  }
+
+  if (filters.minPrice !== null) {
+    productQuery = productQuery.gte('price', filters.minPrice - markup);
+  }
+
+  if (filters.maxPrice !== null) {
+    productQuery = productQuery.lte('price', filters.maxPrice - markup);
+  }
+
+  return productQuery;
+}
+
+/**
+ * Sort a query and start it after the cursor row
+ * One extra row is fetched to tell whether there is a next page. Unpaginated
+ * listings are only sorted.
+ * @param {object} query - Supabase query
+ * @param {object} page - From parsePageQuery()
+ * @returns {object}
+ */
+function applyPage(query, { sort, paginated, limit, after }) {
+  const direction = sort.ascending ? 'gt' : 'lt';
+
+  if (after) {
+    const [value, id] = after;
+    const quoted = `"${String(value).replace(/"/g, '\\"')}"`;
+    query = query.or(`${sort.column}.${direction}.${quoted},and(${sort.column}.eq.${quoted},id.${direction}.${id})`);
+  }
+
+  query = query
+    .order(sort.column, { ascending: sort.ascending })
+    .order('id', { ascending: sort.ascending });
+
+  return paginated ? query.limit(limit + 1) : query;
+}
+
+/**
+ * Trim the extra row fetched by applyPage() and build the pagination metadata
+ * @param {Array<object>} rows
+ * @param {object} page - From parsePageQuery()
+ * @param {number} totalItems - Matching rows across all pages
+ * @returns {{ items: Array<object>, pagination: { sort: string, limit: number, totalItems: number, hasMore: boolean, nextCursor: string|null }|null }}
+ */
+function pageResult(rows, { sortName, sort, paginated, limit }, totalItems) {
+  if (!paginated) {
+    return { items: rows || [], pagination: null };
+  }
+
+  const items = (rows || []).slice(0, limit);
+  const hasMore = (rows || []).length > limit;
+
+  return {
+    items,
+    pagination: {
+      sort: sortName,
+      limit,
+      totalItems: totalItems || 0,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(items[items.length - 1], sort) : null
+    }
+  };
+}
+
+module.exports = {
+  PRODUCT_SORTS,
+  STORE_SORTS,
+  parsePageQuery,
+  parseProductFilters,
+  applyProductFilters,
+  applyPage,
+  pageResult
+};
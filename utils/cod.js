@@ -0,0 +1,177 @@
+const { supabaseAdmin } = require('../config/database');
+const { roundAmount } = require('./pricing');
+
+/**
+ * Cash on delivery
+ * Every collection attempt is recorded against the team member who picked the
+ * order in the Telegram group (`orders.handled_by`), from the bot or the
+ * admin panel, and later marked as handed over to Somah.
+ */
+
+// Reconciliation days follow UAE time
+const COD_TIMEZONE = 'Asia/Dubai';
+const COD_UTC_OFFSET = '+04:00';
+
+const COLLECTION_ERRORS = {
+  ORDER_NOT_FOUND: { status: 404, error: 'Order not found' },
+  NOT_CASH_ON_DELIVERY: { status: 409, error: 'This order is not cash on delivery' },
+  ORDER_NOT_COLLECTABLE: { status: 409, error: 'Cash can only be collected for confirmed, shipped or delivered orders' },
+  ALREADY_COLLECTED: { status: 409, error: 'The cash for this order has already been collected' },
+  INVALID_COLLECTION_AMOUNT: { status: 400, error: 'Collected amount must be between 0 and the amount still owed' },
+  FAILURE_REASON_REQUIRED: { status: 400, error: 'A reason is required when not all of the cash was collected' }
+};
+
+/**
+ * Record a collection attempt for an order
+ * @param {object} params
+ * @param {string} params.orderId
+ * @param {number} params.collectedAmount - 0 for a failed collection
+ * @param {string} [params.handler] - Defaults to the order's handler
+ * @param {string} [params.failureReason] - Required unless everything was collected
+ * @param {string} [params.notes]
+ * @param {string} params.recordedVia - "telegram" or "admin"
+ * @param {string} [params.recordedBy] - Telegram username or admin ID
+ * @returns {Promise<{ collection: object|null, error: { status: number, message: string, expectedAmount?: number }|null }>}
+ */
+async function recordCodCollection({
+  orderId,
+  collectedAmount,
+  handler = null,
+  failureReason = null,
+  notes = null,
+  recordedVia,
+  recordedBy = null
+}) {
+  const amount = Number(collectedAmount);
+  if (!Number.isFinite(amount)) {
+    return { collection: null, error: { status: 400, message: 'Collected amount must be a number' } };
+  }
+
+  const { data: collection, error } = await supabaseAdmin
+    .rpc('record_cod_collection', {
+      p_order_id: orderId,
+      p_collected_amount: roundAmount(amount),
+      p_handler: handler,
+      p_failure_reason: failureReason,
+      p_notes: notes,
+      p_recorded_via: recordedVia,
+      p_recorded_by: recordedBy
+    });
+
+  if (error) {
+    const known = COLLECTION_ERRORS[error.message];
+    if (!known) {
+      console.error(`COD collection error for order ${orderId}:`, error);
+      return { collection: null, error: { status: 500, message: 'Failed to record the collection' } };
+    }
+
+    const result = { status: known.status, message: known.error };
+    if (error.details) {
+      try {
+        result.expectedAmount = JSON.parse(error.details).expected_amount;
+      } catch (parseError) {
+        // No detail to add
+      }
+    }
+    return { collection: null, error: result };
+  }
+
+  return { collection, error: null };
+}
+
+/**
+ * Calendar day (YYYY-MM-DD) of a timestamp in UAE time
+ * @param {string} timestamp
+ * @returns {string}
+ */
+function codDay(timestamp) {
+  return new Date(timestamp).toLocaleDateString('en-CA', { timeZone: COD_TIMEZONE });
+}
+
+/**
+ * Start and end (exclusive) of a range of UAE days as ISO timestamps
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {{ start: string, end: string }}
+ */
+function codDayRange(from, to) {
+  const start = new Date(`${from}T00:00:00${COD_UTC_OFFSET}`);
+  const end = new Date(`${to}T00:00:00${COD_UTC_OFFSET}`);
+  end.setUTCDate(end.getUTCDate() + 1);
+  return { start: start.toISOString(), end: end.toISOString() };
+}
+
+/**
+ * Expected vs collected cash per team member per day
+ * Each attempt stores what was still owed at that point, so an order with
+ * retries or partial collections is only expected once: on its first attempt.
+ * @param {Array<object>} collections - cod_collections rows (with order_id)
+ * @param {Array<object>} unrecordedOrders - Delivered COD orders with no collection recorded
+ * @param {Set<string>} [earlierOrderIds] - Orders whose first attempt was before the range (already expected then)
+ * @returns {Array<object>}
+ */
+function buildReconciliation(collections, unrecordedOrders = [], earlierOrderIds = new Set()) {
+  const rows = {};
+  const rowFor = (date, handler) => {
+    const key = `${date}|${handler}`;
+    if (!rows[key]) {
+      rows[key] = {
+        date,
+        handler,
+        attempts: 0,
+        collected_count: 0,
+        partial_count: 0,
+        failed_count: 0,
+        expected: 0,
+        collected: 0,
+        handed_over: 0,
+        unrecorded_orders: []
+      };
+    }
+    return rows[key];
+  };
+
+  const expectedOrders = new Set(earlierOrderIds);
+
+  [...collections]
+    .sort((a, b) => new Date(a.collected_at) - new Date(b.collected_at))
+    .forEach(collection => {
+      const row = rowFor(codDay(collection.collected_at), collection.handler);
+      row.attempts += 1;
+      row[`${collection.status}_count`] += 1;
+      if (!expectedOrders.has(collection.order_id)) {
+        expectedOrders.add(collection.order_id);
+        row.expected += Number(collection.expected_amount);
+      }
+      row.collected += Number(collection.collected_amount);
+      if (collection.handed_over_at) {
+        row.handed_over += Number(collection.collected_amount);
+      }
+    });
+
+  // Delivered orders nobody recorded a collection for are still expected
+  unrecordedOrders.forEach(order => {
+    const row = rowFor(codDay(order.delivered_at), order.handled_by || 'Unassigned');
+    row.expected += Number(order.total_amount);
+    row.unrecorded_orders.push(order.order_number);
+  });
+
+  return Object.values(rows)
+    .map(row => ({
+      ...row,
+      expected: roundAmount(row.expected),
+      collected: roundAmount(row.collected),
+      shortfall: roundAmount(row.expected - row.collected),
+      handed_over: roundAmount(row.handed_over),
+      pending_handover: roundAmount(row.collected - row.handed_over)
+    }))
+    .sort((a, b) => b.date.localeCompare(a.date) || a.handler.localeCompare(b.handler));
+}
+
+module.exports = {
+  COD_TIMEZONE,
+  recordCodCollection,
+  codDay,
+  codDayRange,
+  buildReconciliation
+};
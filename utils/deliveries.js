@@ -0,0 +1,271 @@
+const { supabaseAdmin } = require('../config/database');
+const { ACTORS, queueNotification, transitionOrder, transitionSubOrder } = require('./order-lifecycle');
+
+/**
+ * Deliveries
+ * A delivery is a driver's job for a whole order or for one store's
+ * sub-order. Drivers advance their jobs and the matching order and sub-order
+ * statuses follow through utils/order-lifecycle.js:
+ *
+ *   assigned -> picked_up -> delivered
+ *   assigned / picked_up -> failed (reassign with a new delivery)
+ *   assigned / picked_up -> cancelled (admin)
+ */
+
+const DELIVERY_STATUSES = ['assigned', 'picked_up', 'delivered', 'failed', 'cancelled'];
+
+const OPEN_DELIVERY_STATUSES = ['assigned', 'picked_up'];
+
+// from status -> statuses a driver may move the job to
+const DRIVER_DELIVERY_TRANSITIONS = {
+  assigned: ['picked_up', 'failed'],
+  picked_up: ['delivered', 'failed']
+};
+
+/**
+ * Sub-orders a delivery covers that are still active
+ */
+async function getDeliverySubOrders(delivery) {
+  let query = supabaseAdmin
+    .from('sub_orders')
+    .select('id, store_name, status')
+    .eq('order_id', delivery.order_id)
+    .neq('status', 'cancelled');
+
+  if (delivery.sub_order_id) {
+    query = query.eq('id', delivery.sub_order_id);
+  }
+
+  const { data: subOrders } = await query;
+  return subOrders || [];
+}
+
+/**
+ * Move the sub-orders of a delivery (or the order itself for orders placed
+ * before sub-orders existed) to a new status as the driver
+ */
+async function advanceFulfilment(delivery, subOrderStatus, orderStatus, actor) {
+  const subOrders = await getDeliverySubOrders(delivery);
+
+  if (subOrders.length === 0 && !delivery.sub_order_id) {
+    const { error } = await transitionOrder({ orderId: delivery.order_id, status: orderStatus, actor });
+    return error;
+  }
+
+  for (const subOrder of subOrders.filter(sub => sub.status !== subOrderStatus)) {
+    const { error } = await transitionSubOrder({ subOrderId: subOrder.id, status: subOrderStatus, actor });
+    if (error) {
+      return { status: error.status, message: `${subOrder.store_name}: ${error.message}` };
+    }
+  }
+
+  return null;
+}
+
+async function updateDelivery(delivery, updates) {
+  const { data: updated, error } = await supabaseAdmin
+    .from('deliveries')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', delivery.id)
+    .eq('status', delivery.status)
+    .select()
+    .single();
+
+  if (error || !updated) {
+    if (error && error.code !== 'PGRST116') {
+      console.error('Delivery update error:', error);
+      return { delivery: null, error: { status: 500, message: 'Failed to update delivery' } };
+    }
+    return { delivery: null, error: { status: 409, message: 'Delivery was changed by someone else, please retry' } };
+  }
+
+  return { delivery: updated, error: null };
+}
+
+/**
+ * Assign an order or one of its sub-orders to a driver
+ * @param {object} params
+ * @param {string} params.orderId
+ * @param {string|null} [params.subOrderId] - Leave empty to deliver every store's items
+ * @param {string} params.driverId
+ * @param {string} params.adminId
+ * @returns {Promise<{ delivery: object|null, error: { status: number, message: string }|null }>}
+ */
+async function assignDelivery({ orderId, subOrderId = null, driverId, adminId }) {
+  const { data: order } = await supabaseAdmin
+    .from('orders')
+    .select('id, order_number, status')
+    .eq('id', orderId)
+    .single();
+
+  if (!order) {
+    return { delivery: null, error: { status: 404, message: 'Order not found' } };
+  }
+
+  if (['delivered', 'cancelled'].includes(order.status)) {
+    return { delivery: null, error: { status: 409, message: `Cannot assign a driver to a ${order.status} order` } };
+  }
+
+  if (subOrderId) {
+    const { data: subOrder } = await supabaseAdmin
+      .from('sub_orders')
+      .select('id, status')
+      .eq('id', subOrderId)
+      .eq('order_id', orderId)
+      .single();
+
+    if (!subOrder) {
+      return { delivery: null, error: { status: 404, message: 'Sub-order not found' } };
+    }
+
+    if (['delivered', 'cancelled'].includes(subOrder.status)) {
+      return { delivery: null, error: { status: 409, message: `Cannot assign a driver to a ${subOrder.status} sub-order` } };
+    }
+  }
+
+  const { data: driver } = await supabaseAdmin
+    .from('drivers')
+    .select('id, full_name, status')
+    .eq('id', driverId)
+    .single();
+
+  if (!driver || driver.status !== 'active') {
+    return { delivery: null, error: { status: 404, message: 'Active driver not found' } };
+  }
+
+  // A whole-order job can't run alongside jobs for its sub-orders
+  const { data: openDeliveries } = await supabaseAdmin
+    .from('deliveries')
+    .select('id, sub_order_id')
+    .eq('order_id', orderId)
+    .in('status', OPEN_DELIVERY_STATUSES);
+
+  const overlapping = (openDeliveries || []).find(open =>
+    !subOrderId || !open.sub_order_id || open.sub_order_id === subOrderId
+  );
+  if (overlapping) {
+    return { delivery: null, error: { status: 409, message: 'A driver is already assigned to this delivery' } };
+  }
+
+  const { data: delivery, error } = await supabaseAdmin
+    .from('deliveries')
+    .insert({
+      order_id: orderId,
+      sub_order_id: subOrderId,
+      driver_id: driverId,
+      assigned_by: adminId
+    })
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === '23505') {
+      return { delivery: null, error: { status: 409, message: 'A driver is already assigned to this delivery' } };
+    }
+    console.error('Delivery assignment error:', error);
+    return { delivery: null, error: { status: 500, message: 'Failed to assign driver' } };
+  }
+
+  await queueNotification(orderId, `Order #${order.order_number} has been assigned to driver ${driver.full_name}.`);
+
+  return { delivery, error: null };
+}
+
+/**
+ * Move a driver's job to its next status
+ * @param {object} params
+ * @param {string} params.deliveryId
+ * @param {object} params.driver - drivers row of the signed-in driver
+ * @param {string} params.status - "picked_up", "delivered" or "failed"
+ * @param {object} [params.proof] - { recipient_name, notes, photos } when delivered
+ * @param {string} [params.reason] - Why the delivery failed
+ * @returns {Promise<{ delivery: object|null, error: { status: number, message: string }|null }>}
+ */
+async function advanceDelivery({ deliveryId, driver, status, proof = {}, reason = null }) {
+  const { data: current } = await supabaseAdmin
+    .from('deliveries')
+    .select('*, orders (order_number)')
+    .eq('id', deliveryId)
+    .eq('driver_id', driver.id)
+    .single();
+
+  if (!current) {
+    return { delivery: null, error: { status: 404, message: 'Delivery not found' } };
+  }
+
+  if (!DELIVERY_STATUSES.includes(status)) {
+    return { delivery: null, error: { status: 400, message: 'Invalid status value' } };
+  }
+
+  if (!(DRIVER_DELIVERY_TRANSITIONS[current.status] || []).includes(status)) {
+    return { delivery: null, error: { status: 409, message: `Cannot move a delivery from ${current.status} to ${status}` } };
+  }
+
+  const { orders: order, ...delivery } = current;
+  const actor = { type: ACTORS.DRIVER, id: driver.id };
+  const now = new Date().toISOString();
+
+  if (status === 'failed') {
+    if (typeof reason !== 'string' || !reason.trim()) {
+      return { delivery: null, error: { status: 400, message: 'A reason is required when a delivery fails' } };
+    }
+
+    const result = await updateDelivery(delivery, { status, failed_at: now, failure_reason: reason.trim() });
+    if (!result.error) {
+      await queueNotification(delivery.order_id, `Delivery of order #${order.order_number} by ${driver.full_name} failed. Reason: ${reason.trim()}`);
+    }
+    return result;
+  }
+
+  if (status === 'picked_up') {
+    const subOrders = await getDeliverySubOrders(delivery);
+    const notReady = subOrders.filter(sub => !['ready_for_pickup', 'picked_up'].includes(sub.status));
+    if (notReady.length > 0) {
+      return {
+        delivery: null,
+        error: { status: 409, message: `Not ready for pickup yet: ${notReady.map(sub => sub.store_name).join(', ')}` }
+      };
+    }
+
+    const fulfilmentError = await advanceFulfilment(delivery, 'picked_up', 'shipped', actor);
+    if (fulfilmentError) {
+      return { delivery: null, error: fulfilmentError };
+    }
+
+    return updateDelivery(delivery, { status, picked_up_at: now });
+  }
+
+  // Delivered - some proof is required
+  const photos = proof.photos || [];
+  for (const field of ['recipient_name', 'notes']) {
+    if (proof[field] !== undefined && proof[field] !== null && typeof proof[field] !== 'string') {
+      return { delivery: null, error: { status: 400, message: `${field} must be text` } };
+    }
+  }
+  if (!Array.isArray(photos) || photos.some(photo => typeof photo !== 'string')) {
+    return { delivery: null, error: { status: 400, message: 'Photos must be a list of image URLs' } };
+  }
+  if (photos.length === 0 && !(proof.notes && proof.notes.trim())) {
+    return { delivery: null, error: { status: 400, message: 'Proof of delivery (notes or photos) is required' } };
+  }
+
+  const fulfilmentError = await advanceFulfilment(delivery, 'delivered', 'delivered', actor);
+  if (fulfilmentError) {
+    return { delivery: null, error: fulfilmentError };
+  }
+
+  return updateDelivery(delivery, {
+    status,
+    delivered_at: now,
+    recipient_name: proof.recipient_name ? proof.recipient_name.trim() || null : null,
+    proof_notes: proof.notes ? proof.notes.trim() : null,
+    proof_photos: photos
+  });
+}
+
+module.exports = {
+  DELIVERY_STATUSES,
+  OPEN_DELIVERY_STATUSES,
+  assignDelivery,
+  advanceDelivery
+};
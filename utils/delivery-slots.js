@@ -0,0 +1,245 @@
+const { supabaseAdmin } = require('../config/database');
+
+/**
+ * Delivery slots
+ * Weekly delivery windows per emirate (e.g. Dubai, Sunday 14:00-16:00) with a
+ * number of orders each window can take per date. Customers pick a slot date
+ * at checkout; checkout_order() books it with the slot row locked so it can't
+ * be overbooked. Cancelled orders free their place.
+ *
+ * Slot times are UAE local time.
+ */
+
+const UAE_TIMEZONE = 'Asia/Dubai';
+const UAE_UTC_OFFSET = '+04:00';
+
+// How many days ahead customers can book
+const SLOT_BOOKING_DAYS = parseInt(process.env.DELIVERY_SLOT_DAYS || '7', 10);
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)(:00)?$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * UAE calendar date (YYYY-MM-DD) a number of days from a time
+ */
+function uaeDate(from, daysAhead = 0) {
+  const date = new Date(from.getTime() + daysAhead * 24 * 60 * 60 * 1000);
+  return date.toLocaleDateString('en-CA', { timeZone: UAE_TIMEZONE });
+}
+
+function dayOfWeek(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+function toTime(time) {
+  return time.length === 5 ? `${time}:00` : time;
+}
+
+/**
+ * Start and end of a slot on a date
+ * @param {object} slot - delivery_slots row
+ * @param {string} date - YYYY-MM-DD
+ * @returns {{ start: string, end: string }} ISO timestamps
+ */
+function slotWindow(slot, date) {
+  return {
+    start: new Date(`${date}T${toTime(slot.start_time)}${UAE_UTC_OFFSET}`).toISOString(),
+    end: new Date(`${date}T${toTime(slot.end_time)}${UAE_UTC_OFFSET}`).toISOString()
+  };
+}
+
+/**
+ * Orders booked per slot window (not counting cancelled orders)
+ * @returns {Promise<object>} `${slot_id}|${start}` -> count
+ */
+async function countBookings(slotIds, from, to) {
+  if (slotIds.length === 0) {
+    return {};
+  }
+
+  const { data: orders, error } = await supabaseAdmin
+    .from('orders')
+    .select('delivery_slot_id, delivery_slot_start')
+    .in('delivery_slot_id', slotIds)
+    .gte('delivery_slot_start', from)
+    .lt('delivery_slot_start', to)
+    .neq('status', 'cancelled');
+
+  if (error) {
+    throw error;
+  }
+
+  const counts = {};
+  (orders || []).forEach(order => {
+    const key = `${order.delivery_slot_id}|${new Date(order.delivery_slot_start).toISOString()}`;
+    counts[key] = (counts[key] || 0) + 1;
+  });
+  return counts;
+}
+
+/**
+ * Slot windows an order to an emirate can be delivered in over the coming days
+ * @param {object} params
+ * @param {string} params.emirate
+ * @param {Date} [params.earliest] - Earliest possible delivery; windows ending before it are left out
+ * @param {number} [params.days]
+ * @param {Date} [params.now]
+ * @returns {Promise<Array<object>>}
+ */
+async function listDeliverySlots({ emirate, earliest = null, days = SLOT_BOOKING_DAYS, now = new Date() }) {
+  const { data: slots, error } = await supabaseAdmin
+    .from('delivery_slots')
+    .select('*')
+    .ilike('emirate', emirate)
+    .eq('is_active', true)
+    .order('start_time', { ascending: true });
+
+  if (error) {
+    throw error;
+  }
+
+  const cutoff = earliest && earliest > now ? earliest : now;
+  const windows = [];
+
+  for (let day = 0; day < days; day++) {
+    const date = uaeDate(now, day);
+    (slots || [])
+      .filter(slot => slot.day_of_week === dayOfWeek(date))
+      .forEach(slot => {
+        const { start, end } = slotWindow(slot, date);
+        if (new Date(end) > cutoff) {
+          windows.push({ slot, date, start, end });
+        }
+      });
+  }
+
+  if (windows.length === 0) {
+    return [];
+  }
+
+  const counts = await countBookings(
+    [...new Set(windows.map(window => window.slot.id))],
+    windows[0].start,
+    windows[windows.length - 1].end
+  );
+
+  return windows.map(({ slot, date, start, end }) => {
+    const remaining = Math.max(slot.capacity - (counts[`${slot.id}|${start}`] || 0), 0);
+    return {
+      slot_id: slot.id,
+      date,
+      start_time: slot.start_time.slice(0, 5),
+      end_time: slot.end_time.slice(0, 5),
+      start,
+      end,
+      capacity: slot.capacity,
+      remaining,
+      available: remaining > 0
+    };
+  });
+}
+
+/**
+ * Check a slot the customer chose at checkout
+ * @param {object} params
+ * @param {string} params.slotId
+ * @param {string} params.date - YYYY-MM-DD
+ * @param {string} params.emirate - Delivery emirate
+ * @param {Date} [params.earliest] - Earliest possible delivery of the order
+ * @returns {Promise<{ slot: { id: string, start: string, end: string }|null, error: { status: number, message: string }|null }>}
+ */
+async function resolveDeliverySlot({ slotId, date, emirate, earliest = null }) {
+  if (!DATE_PATTERN.test(date || '')) {
+    return { slot: null, error: { status: 400, message: 'delivery_date must be a date (YYYY-MM-DD)' } };
+  }
+
+  const { data: slot } = await supabaseAdmin
+    .from('delivery_slots')
+    .select('*')
+    .eq('id', slotId)
+    .single();
+
+  if (!slot || !slot.is_active || slot.emirate.toLowerCase() !== String(emirate).toLowerCase()) {
+    return { slot: null, error: { status: 422, message: 'This delivery slot is not available for your address' } };
+  }
+
+  if (slot.day_of_week !== dayOfWeek(date)) {
+    return { slot: null, error: { status: 422, message: 'This delivery slot is not available on that date' } };
+  }
+
+  const now = new Date();
+  const { start, end } = slotWindow(slot, date);
+  if (date > uaeDate(now, SLOT_BOOKING_DAYS - 1)) {
+    return { slot: null, error: { status: 422, message: `Delivery slots can be booked up to ${SLOT_BOOKING_DAYS} days ahead` } };
+  }
+  if (new Date(end) <= (earliest && earliest > now ? earliest : now)) {
+    return { slot: null, error: { status: 422, message: 'This delivery slot is too early for your order' } };
+  }
+
+  const counts = await countBookings([slot.id], start, end);
+  if ((counts[`${slot.id}|${start}`] || 0) >= slot.capacity) {
+    return { slot: null, error: { status: 409, message: 'This delivery slot is full' } };
+  }
+
+  return { slot: { id: slot.id, start, end }, error: null };
+}
+
+/**
+ * Validate delivery slot fields sent by an admin
+ * @param {object} body - Request body
+ * @param {boolean} partial - Only check the fields that are present (updates)
+ * @returns {{ values: object, error: string|null }}
+ */
+function parseDeliverySlot(body, partial = false) {
+  const values = {};
+
+  if (body.emirate !== undefined || !partial) {
+    if (!body.emirate || typeof body.emirate !== 'string') {
+      return { values, error: 'emirate is required' };
+    }
+    values.emirate = body.emirate.trim();
+  }
+
+  if (body.day_of_week !== undefined || !partial) {
+    const day = Number(body.day_of_week);
+    if (!Number.isInteger(day) || day < 0 || day > 6) {
+      return { values, error: 'day_of_week must be 0 (Sunday) to 6 (Saturday)' };
+    }
+    values.day_of_week = day;
+  }
+
+  for (const field of ['start_time', 'end_time']) {
+    if (body[field] !== undefined || !partial) {
+      if (!TIME_PATTERN.test(body[field] || '')) {
+        return { values, error: `${field} must be a time as HH:MM` };
+      }
+      values[field] = toTime(body[field]);
+    }
+  }
+
+  if (values.start_time && values.end_time && values.end_time <= values.start_time) {
+    return { values, error: 'end_time must be after start_time' };
+  }
+
+  if (body.capacity !== undefined || !partial) {
+    const capacity = Number(body.capacity);
+    if (!Number.isInteger(capacity) || capacity <= 0) {
+      return { values, error: 'capacity must be a positive whole number' };
+    }
+    values.capacity = capacity;
+  }
+
+  if (body.is_active !== undefined) {
+    values.is_active = Boolean(body.is_active);
+  }
+
+  return { values, error: null };
+}
+
+module.exports = {
+  SLOT_BOOKING_DAYS,
+  slotWindow,
+  listDeliverySlots,
+  resolveDeliverySlot,
+  parseDeliverySlot
+};
@@ -0,0 +1,451 @@
+const { supabaseAdmin } = require('../config/database');
+const { cache } = require('../config/cache');
+
+/**
+ * Estimated delivery
+ * Works out `orders.estimated_delivery_date` from each store's preparation
+ * time and opening hours, the delivery time to the customer's emirate and
+ * the `delivery` row in `platform_settings`. Recalculated whenever the order
+ * or one of its sub-orders changes status.
+ *
+ * All hours are UAE local time (UTC+4, no daylight saving).
+ */
+
+const UAE_UTC_OFFSET_MS = 4 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const DAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// How far ahead to look for opening hours before giving up on them
+const MAX_LOOKAHEAD_DAYS = 60;
+
+// Used until settings are saved, or if they can't be loaded
+const DEFAULT_DELIVERY_SETTINGS = {
+  default_preparation_minutes: 60, // For stores without their own preparation time
+  delivery_minutes: 120, // From pickup to the customer's door
+  emirate_delivery_minutes: {}, // { "Abu Dhabi": 240 }, falls back to delivery_minutes
+  delivery_hours: { open: '09:00', close: '22:00' } // When drivers deliver, every day
+};
+
+const DELIVERY_CACHE_KEY = 'settings:delivery';
+const DELIVERY_CACHE_TTL = 60; // seconds
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Check an { open, close } pair of "HH:MM" times
+ * @returns {string|null} Error message
+ */
+function checkWindow(window, label) {
+  if (!window || typeof window !== 'object' || !TIME_PATTERN.test(window.open) || !TIME_PATTERN.test(window.close)) {
+    return `${label} must have open and close times as HH:MM`;
+  }
+  if (toMinutes(window.close) <= toMinutes(window.open)) {
+    return `${label} must close after it opens`;
+  }
+  return null;
+}
+
+/**
+ * Validate store opening hours: { "sun": { "open": "09:00", "close": "22:00" }, "fri": null, ... }
+ * Days left out or set to null are closed. null means always open.
+ * @param {object|null} openingHours
+ * @returns {{ openingHours: object|null, error: string|null }}
+ */
+function parseOpeningHours(openingHours) {
+  if (openingHours === null) {
+    return { openingHours: null, error: null };
+  }
+
+  if (typeof openingHours !== 'object' || Array.isArray(openingHours)) {
+    return { openingHours: null, error: 'Opening hours must be an object of day to { open, close }' };
+  }
+
+  const parsed = {};
+  for (const [day, window] of Object.entries(openingHours)) {
+    if (!DAY_KEYS.includes(day)) {
+      return { openingHours: null, error: `Unknown day "${day}", use ${DAY_KEYS.join(', ')}` };
+    }
+    if (window === null) {
+      continue;
+    }
+    const windowError = checkWindow(window, `Opening hours for ${day}`);
+    if (windowError) {
+      return { openingHours: null, error: windowError };
+    }
+    parsed[day] = { open: window.open, close: window.close };
+  }
+
+  if (Object.keys(parsed).length === 0) {
+    return { openingHours: null, error: 'The store must be open at least one day a week' };
+  }
+
+  return { openingHours: parsed, error: null };
+}
+
+/**
+ * Validate a preparation time in minutes (null to use the platform default)
+ * @returns {{ preparationMinutes: number|null, error: string|null }}
+ */
+function parsePreparationMinutes(value) {
+  if (value === null) {
+    return { preparationMinutes: null, error: null };
+  }
+
+  const minutes = Number(value);
+  if (!Number.isInteger(minutes) || minutes < 0 || minutes > 7 * 24 * 60) {
+    return { preparationMinutes: null, error: 'Preparation time must be a whole number of minutes up to a week' };
+  }
+
+  return { preparationMinutes: minutes, error: null };
+}
+
+/**
+ * Validate the preparation fields of a store form. Fields left out are not changed.
+ * @param {object} body
+ * @param {number|null} [body.preparationMinutes]
+ * @param {object|null} [body.openingHours]
+ * @returns {{ preparation: object, error: string|null }} Store columns to save
+ */
+function parseStorePreparation({ preparationMinutes, openingHours }) {
+  const preparation = {};
+
+  if (preparationMinutes !== undefined) {
+    const { preparationMinutes: minutes, error } = parsePreparationMinutes(preparationMinutes);
+    if (error) {
+      return { preparation, error };
+    }
+    preparation.preparation_minutes = minutes;
+  }
+
+  if (openingHours !== undefined) {
+    const { openingHours: hours, error } = parseOpeningHours(openingHours);
+    if (error) {
+      return { preparation, error };
+    }
+    preparation.opening_hours = hours;
+  }
+
+  return { preparation, error: null };
+}
+
+/**
+ * Load the delivery settings (cached for a minute)
+ * @returns {Promise<object>}
+ */
+async function getDeliverySettings() {
+  const cached = cache.get(DELIVERY_CACHE_KEY);
+  if (cached) {
+    return cached;
+  }
+
+  const { data, error } = await supabaseAdmin
+    .from('platform_settings')
+    .select('value')
+    .eq('key', 'delivery')
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    console.error('Delivery settings fetch error:', error);
+  }
+
+  const settings = { ...DEFAULT_DELIVERY_SETTINGS, ...(data?.value || {}) };
+  cache.set(DELIVERY_CACHE_KEY, settings, DELIVERY_CACHE_TTL);
+  return settings;
+}
+
+/**
+ * Validate and save new delivery settings
+ * @param {object} changes - Settings to change
+ * @param {string|null} adminId - Admin making the change
+ * @returns {Promise<{ settings: object|null, error: string|null }>}
+ */
+async function updateDeliverySettings(changes, adminId = null) {
+  const settings = { ...(await getDeliverySettings()) };
+
+  for (const field of ['default_preparation_minutes', 'delivery_minutes']) {
+    if (changes[field] !== undefined) {
+      const value = Number(changes[field]);
+      if (!Number.isInteger(value) || value < 0) {
+        return { settings: null, error: `${field} must be a non-negative whole number` };
+      }
+      settings[field] = value;
+    }
+  }
+
+  if (changes.emirate_delivery_minutes !== undefined) {
+    const emirateMinutes = changes.emirate_delivery_minutes;
+    if (!emirateMinutes || typeof emirateMinutes !== 'object' || Array.isArray(emirateMinutes)) {
+      return { settings: null, error: 'emirate_delivery_minutes must be an object of emirate to minutes' };
+    }
+    for (const [emirate, minutes] of Object.entries(emirateMinutes)) {
+      if (!Number.isInteger(Number(minutes)) || Number(minutes) < 0) {
+        return { settings: null, error: `Delivery time for ${emirate} must be a non-negative whole number` };
+      }
+    }
+    settings.emirate_delivery_minutes = Object.fromEntries(
+      Object.entries(emirateMinutes).map(([emirate, minutes]) => [emirate, Number(minutes)])
+    );
+  }
+
+  if (changes.delivery_hours !== undefined) {
+    const windowError = checkWindow(changes.delivery_hours, 'delivery_hours');
+    if (windowError) {
+      return { settings: null, error: windowError };
+    }
+    settings.delivery_hours = { open: changes.delivery_hours.open, close: changes.delivery_hours.close };
+  }
+
+  const { error } = await supabaseAdmin
+    .from('platform_settings')
+    .upsert({
+      key: 'delivery',
+      value: settings,
+      updated_by: adminId,
+      updated_at: new Date().toISOString()
+    });
+
+  if (error) {
+    console.error('Delivery settings update error:', error);
+    return { settings: null, error: 'Failed to save delivery settings' };
+  }
+
+  cache.delete(DELIVERY_CACHE_KEY);
+  return { settings, error: null };
+}
+
+/**
+ * Add working minutes to a time, only counting minutes inside the opening
+ * hours (a store that closes mid-preparation finishes the next day it opens)
+ * @param {object|null} hours - Opening hours by day, null for always open
+ * @param {Date} start
+ * @param {number} minutes
+ * @returns {Date}
+ */
+function addOpenMinutes(hours, start, minutes) {
+  if (!hours) {
+    return new Date(start.getTime() + minutes * MINUTE_MS);
+  }
+
+  // Work in UAE local time, shifted onto the UTC clock
+  let cursor = start.getTime() + UAE_UTC_OFFSET_MS;
+  let remaining = minutes * MINUTE_MS;
+
+  for (let day = 0; day < MAX_LOOKAHEAD_DAYS; day++) {
+    const dayStart = cursor - (cursor % DAY_MS);
+    const window = hours[DAY_KEYS[new Date(dayStart).getUTCDay()]];
+
+    if (window) {
+      const open = dayStart + toMinutes(window.open) * MINUTE_MS;
+      const close = dayStart + toMinutes(window.close) * MINUTE_MS;
+      const from = Math.max(cursor, open);
+
+      if (from <= close && from + remaining <= close) {
+        return new Date(from + remaining - UAE_UTC_OFFSET_MS);
+      }
+      if (from < close) {
+        remaining -= close - from;
+      }
+    }
+
+    cursor = dayStart + DAY_MS;
+  }
+
+  // Hours too short to ever fit the preparation - ignore them
+  return new Date(start.getTime() + minutes * MINUTE_MS);
+}
+
+/**
+ * Delivery window for departures, so that a driver setting off arrives
+ * before delivery hours end
+ */
+function departureHours(settings, transitMinutes) {
+  const { open, close } = settings.delivery_hours || DEFAULT_DELIVERY_SETTINGS.delivery_hours;
+  const lastDeparture = Math.max(toMinutes(open), toMinutes(close) - transitMinutes);
+  const lastTime = `${String(Math.floor(lastDeparture / 60)).padStart(2, '0')}:${String(lastDeparture % 60).padStart(2, '0')}`;
+  return Object.fromEntries(DAY_KEYS.map(day => [day, { open, close: lastTime }]));
+}
+
+function latest(dates) {
+  return new Date(Math.max(...dates.map(date => date.getTime())));
+}
+
+// Orders booked into a delivery slot aren't delivered before it starts
+function withinSlot(order, estimate) {
+  return order.delivery_slot_start ? latest([estimate, new Date(order.delivery_slot_start)]) : estimate;
+}
+
+/**
+ * Estimate when an order will be delivered
+ * @param {object} params
+ * @param {object} params.order - orders row (status, emirate, delivery slot and status timestamps)
+ * @param {Array<object>} params.subOrders - sub_orders rows (store_id, status, preparing_at, ready_at, picked_up_at)
+ * @param {Array<object>} params.stores - stores rows (id, preparation_minutes, opening_hours)
+ * @param {object} params.settings - Delivery settings
+ * @param {Date} [params.now]
+ * @returns {Date|null} null for cancelled orders
+ */
+function estimateDelivery({ order, subOrders, stores, settings, now = new Date() }) {
+  if (order.status === 'cancelled') {
+    return null;
+  }
+  if (order.status === 'delivered') {
+    return new Date(order.delivered_at || now);
+  }
+
+  const storesById = {};
+  stores.forEach(store => {
+    storesById[store.id] = store;
+  });
+
+  const transitMinutes = Number(
+    settings.emirate_delivery_minutes?.[order.emirate] ?? settings.delivery_minutes
+  );
+
+  // Out for delivery: only the drive is left
+  if (order.status === 'shipped') {
+    const departedAt = new Date(order.shipped_at || now);
+    return withinSlot(order, latest([new Date(departedAt.getTime() + transitMinutes * MINUTE_MS), now]));
+  }
+
+  const active = subOrders.filter(subOrder => !['cancelled', 'delivered'].includes(subOrder.status));
+  const readyTimes = active.map(subOrder => {
+    if (['ready_for_pickup', 'picked_up'].includes(subOrder.status)) {
+      return now;
+    }
+
+    const store = storesById[subOrder.store_id] || {};
+    const preparationMinutes = store.preparation_minutes ?? settings.default_preparation_minutes;
+    const startedAt = subOrder.status === 'preparing' && subOrder.preparing_at ? new Date(subOrder.preparing_at) : now;
+    const readyAt = addOpenMinutes(store.opening_hours || null, startedAt, preparationMinutes);
+
+    // Running late - assume it's nearly ready
+    return latest([readyAt, now]);
+  });
+
+  const pickupAt = readyTimes.length > 0 ? latest(readyTimes) : now;
+  const departAt = addOpenMinutes(departureHours(settings, transitMinutes), pickupAt, 0);
+
+  return withinSlot(order, new Date(departAt.getTime() + transitMinutes * MINUTE_MS));
+}
+
+async function getStoreSchedules(storeIds) {
+  if (storeIds.length === 0) {
+    return [];
+  }
+
+  const { data: stores, error } = await supabaseAdmin
+    .from('stores')
+    .select('id, preparation_minutes, opening_hours')
+    .in('id', storeIds);
+
+  if (error) {
+    console.error('Store schedules fetch error:', error);
+  }
+
+  return stores || [];
+}
+
+/**
+ * Earliest delivery for items not ordered yet (e.g. a cart), as if the
+ * order was placed now
+ * @param {object} params
+ * @param {Array<string>} params.storeIds - Stores the items come from
+ * @param {string} params.emirate - Delivery emirate
+ * @returns {Promise<Date>}
+ */
+async function estimateCartDelivery({ storeIds, emirate }) {
+  const uniqueStoreIds = [...new Set(storeIds.filter(Boolean))];
+
+  return estimateDelivery({
+    order: { status: 'pending', emirate },
+    subOrders: uniqueStoreIds.map(storeId => ({ store_id: storeId, status: 'pending' })),
+    stores: await getStoreSchedules(uniqueStoreIds),
+    settings: await getDeliverySettings()
+  });
+}
+
+/**
+ * Recalculate and save an order's estimated delivery date
+ * @param {string} orderId
+ * @returns {Promise<string|null>} The new estimate (ISO timestamp), or null if there is none
+ */
+async function refreshEstimatedDelivery(orderId) {
+  try {
+    const { data: order, error } = await supabaseAdmin
+      .from('orders')
+      .select(`
+        id,
+        status,
+        emirate,
+        shipped_at,
+        delivered_at,
+        delivery_slot_start,
+        estimated_delivery_date,
+        sub_orders (store_id, status, preparing_at, ready_at, picked_up_at),
+        order_items (store_id)
+      `)
+      .eq('id', orderId)
+      .single();
+
+    if (error || !order) {
+      console.error(`ETA order fetch error for order ${orderId}:`, error);
+      return null;
+    }
+
+    // Orders placed before sub-orders existed are treated as one pending part per store
+    const subOrders = order.sub_orders && order.sub_orders.length > 0
+      ? order.sub_orders
+      : [...new Set((order.order_items || []).map(item => item.store_id))]
+          .map(storeId => ({ store_id: storeId, status: order.status === 'pending' ? 'pending' : 'preparing' }));
+
+    const storeIds = [...new Set(subOrders.map(subOrder => subOrder.store_id).filter(Boolean))];
+    const estimate = estimateDelivery({
+      order,
+      subOrders,
+      stores: await getStoreSchedules(storeIds),
+      settings: await getDeliverySettings()
+    });
+
+    if (!estimate) {
+      return order.estimated_delivery_date;
+    }
+
+    const estimatedDeliveryDate = estimate.toISOString();
+    const { error: updateError } = await supabaseAdmin
+      .from('orders')
+      .update({ estimated_delivery_date: estimatedDeliveryDate })
+      .eq('id', orderId);
+
+    if (updateError) {
+      console.error(`ETA update error for order ${orderId}:`, updateError);
+      return order.estimated_delivery_date;
+    }
+
+    return estimatedDeliveryDate;
+  } catch (error) {
+    // The estimate is informative only - never fail the status change over it
+    console.error(`ETA error for order ${orderId}:`, error);
+    return null;
+  }
+}
+
+module.exports = {
+  DAY_KEYS,
+  DEFAULT_DELIVERY_SETTINGS,
+  parseOpeningHours,
+  parsePreparationMinutes,
+  parseStorePreparation,
+  getDeliverySettings,
+  updateDeliverySettings,
+  addOpenMinutes,
+  estimateDelivery,
+  estimateCartDelivery,
+  refreshEstimatedDelivery
+};
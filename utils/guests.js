@@ -0,0 +1,258 @@
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../config/database');
+const { normalizePhone } = require('./tracking');
+const { isUuid } = require('./ids');
+
+/**
+ * Guest checkout
+ * Shoppers without an account get a signed guest token (`X-Guest-Token`
+ * header or `somah_guest` cookie) from `POST /auth/guest`. Their cart rows
+ * and orders carry the guest ID instead of a user, and their orders are
+ * linked to the account they later sign up with (same verified email or phone).
+ * Tokens carry their expiry in the signed part, so a leaked one stops working.
+ */
+
+const GUEST_TOKEN_HEADER = 'x-guest-token';
+const GUEST_COOKIE = 'somah_guest';
+const GUEST_TOKEN_DAYS = 30;
+
+// No quotes, so an email can be used in a quoted PostgREST filter
+const EMAIL_PATTERN = /^[^\s@"]+@[^\s@"]+\.[^\s@"]+$/;
+
+// Anyone knowing the secret can act as any guest, so there is no default
+if (!process.env.GUEST_TOKEN_SECRET) {
+  console.error('❌ ERROR: Missing GUEST_TOKEN_SECRET environment variable!');
+  process.exit(1);
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', process.env.GUEST_TOKEN_SECRET).update(payload).digest('base64url');
+}
+
+/**
+ * Start a new guest session, or reissue the token of an existing one
+ * Each token is valid for GUEST_TOKEN_DAYS from when it was issued.
+ * @param {string} [guestId]
+ * @returns {{ guestId: string, token: string }}
+ */
+function createGuestToken(guestId = crypto.randomUUID()) {
+  const expiresAt = Math.floor(Date.now() / 1000) + GUEST_TOKEN_DAYS * 24 * 60 * 60;
+  const payload = `${guestId}.${expiresAt}`;
+  return { guestId, token: `${payload}.${sign(payload)}` };
+}
+
+/**
+ * Cookie options for the guest token
+ * @returns {object} Options for res.cookie()
+ */
+function guestCookieOptions() {
+  return {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    maxAge: GUEST_TOKEN_DAYS * 24 * 60 * 60 * 1000
+  };
+}
+
+function readCookie(req, name) {
+  const cookies = req.headers.cookie || '';
+  const match = cookies.split(';').map(part => part.trim()).find(part => part.startsWith(`${name}=`));
+  return match ? decodeURIComponent(match.slice(name.length + 1)) : null;
+}
+
+/**
+ * Guest ID of a request, if it carries a valid guest token
+ * @param {object} req - Express request
+ * @returns {string|null}
+ */
+function getGuestId(req) {
+  const token = req.headers[GUEST_TOKEN_HEADER] || readCookie(req, GUEST_COOKIE);
+  if (!token) {
+    return null;
+  }
+
+  // Guest IDs are always UUIDs (they end up in PostgREST filters)
+  const [guestId, expiresAt, signature] = String(token).split('.');
+  if (!isUuid(guestId) || !/^\d+$/.test(expiresAt || '') || !signature) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(`${guestId}.${expiresAt}`));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+
+  if (Number(expiresAt) * 1000 <= Date.now()) {
+    return null;
+  }
+
+  return guestId;
+}
+
+/**
+ * Who is making a request: a signed-in user (a bearer token always wins) or a guest
+ * @param {object} req - Express request
+ * @returns {Promise<{ customer: { userId: string|null, guestId: string|null }|null, error: { status: number, message: string }|null }>}
+ */
+async function getCustomer(req) {
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader) {
+    const guestId = getGuestId(req);
+    if (!guestId) {
+      return { customer: null, error: { status: 401, message: 'Unauthorized' } };
+    }
+    return { customer: { userId: null, guestId }, error: null };
+  }
+
+  const token = authHeader.replace('Bearer ', '');
+  const { data: { user }, error } = await supabaseAdmin.auth.getUser(token);
+
+  if (error || !user) {
+    return { customer: null, error: { status: 401, message: 'Unauthorized' } };
+  }
+
+  // Get user profile
+  const { data: userProfile } = await supabaseAdmin
+    .from('users')
+    .select('id')
+    .eq('auth_id', user.id)
+    .single();
+
+  if (!userProfile) {
+    return { customer: null, error: { status: 404, message: 'User profile not found' } };
+  }
+
+  return { customer: { userId: userProfile.id, guestId: null }, error: null };
+}
+
+/**
+ * Column filter for rows owned by a customer, for .match() and inserts
+ * @param {{ userId: string|null, guestId: string|null }} customer
+ * @param {string} userColumn - Column holding users.id ("user_id" or "customer_id")
+ * @returns {object}
+ */
+function ownedBy(customer, userColumn) {
+  return customer.userId ? { [userColumn]: customer.userId } : { guest_id: customer.guestId };
+}
+
+/**
+ * Validate the contact and delivery details of a guest checkout
+ * @param {object} guest - { email, full_name, phone, address_line1, address_line2, city, emirate, postal_code }
+ * @returns {{ details: object|null, error: string|null }}
+ */
+function parseGuestDetails(guest) {
+  if (!guest || typeof guest !== 'object') {
+    return { details: null, error: 'Guest checkout needs your contact and delivery details' };
+  }
+
+  const missing = ['email', 'full_name', 'phone', 'address_line1', 'city', 'emirate']
+    .filter(field => !guest[field] || !String(guest[field]).trim());
+  if (missing.length > 0) {
+    return { details: null, error: `Missing required fields: ${missing.join(', ')}` };
+  }
+
+  const email = String(guest.email).trim().toLowerCase();
+  if (!EMAIL_PATTERN.test(email)) {
+    return { details: null, error: 'Enter a valid email address' };
+  }
+
+  if (String(guest.phone).replace(/\D/g, '').length < 7) {
+    return { details: null, error: 'Enter a valid phone number' };
+  }
+
+  return {
+    details: {
+      email,
+      full_name: String(guest.full_name).trim(),
+      phone: String(guest.phone).trim(),
+      address_line1: String(guest.address_line1).trim(),
+      address_line2: guest.address_line2 ? String(guest.address_line2).trim() : null,
+      city: String(guest.city).trim(),
+      emirate: String(guest.emirate).trim(),
+      postal_code: guest.postal_code ? String(guest.postal_code).trim() : null,
+      country: 'UAE'
+    },
+    error: null
+  };
+}
+
+/**
+ * Link guest orders placed with a user's email or phone to their account
+ * Only contact details Supabase has verified count - otherwise anyone could
+ * sign up with someone else's email or phone and take over their orders.
+ * @param {object} authUser - Supabase auth user (from auth.getUser())
+ * @param {object} userProfile - users row of the same user
+ * @returns {Promise<number>} Number of orders linked
+ */
+async function linkGuestOrders(authUser, userProfile) {
+  try {
+    const orderIds = new Set();
+
+    // Guest emails are saved lowercased
+    if (authUser.email && authUser.email_confirmed_at) {
+      const { data: byEmail } = await supabaseAdmin
+        .from('orders')
+        .select('id')
+        .is('customer_id', null)
+        .not('guest_id', 'is', null)
+        .eq('guest_email', String(authUser.email).toLowerCase());
+
+      (byEmail || []).forEach(order => orderIds.add(order.id));
+    }
+
+    // Guest phones are saved normalised (see normalizePhone())
+    const phone = authUser.phone && authUser.phone_confirmed_at ? normalizePhone(authUser.phone) : '';
+    if (phone.length >= 7) {
+      const { data: byPhone } = await supabaseAdmin
+        .from('orders')
+        .select('id')
+        .is('customer_id', null)
+        .not('guest_id', 'is', null)
+        .eq('guest_phone', phone);
+
+      (byPhone || []).forEach(order => orderIds.add(order.id));
+    }
+
+    if (orderIds.size === 0) {
+      return 0;
+    }
+
+    // The guest token no longer opens these orders - only the account does
+    const { data: linked, error } = await supabaseAdmin
+      .from('orders')
+      .update({ customer_id: userProfile.id, guest_id: null, updated_at: new Date().toISOString() })
+      .in('id', [...orderIds])
+      .is('customer_id', null)
+      .select('id');
+
+    if (error) {
+      throw error;
+    }
+
+    // Their promo redemptions now count towards the account's limits
+    await supabaseAdmin
+      .from('promo_redemptions')
+      .update({ customer_id: userProfile.id })
+      .in('order_id', [...orderIds])
+      .is('customer_id', null);
+
+    return (linked || []).length;
+  } catch (error) {
+    // Never fail a sign-up over this - the orders stay trackable by number
+    console.error(`Guest order linking error for user ${userProfile.id}:`, error);
+    return 0;
+  }
+}
+
+module.exports = {
+  GUEST_COOKIE,
+  createGuestToken,
+  guestCookieOptions,
+  getGuestId,
+  getCustomer,
+  ownedBy,
+  parseGuestDetails,
+  linkGuestOrders
+};
@@ -0,0 +1,20 @@
+/**
+ * IDs
+ * Row IDs are UUIDs. IDs that come from clients are checked before they go
+ * into a query, so a malformed one is a 400 rather than a database error,
+ * and never ends up inside a PostgREST `.or()` filter string.
+ */
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * @param {*} value
+ * @returns {boolean} Whether the value is a UUID string
+ */
+function isUuid(value) {
+  return typeof value === 'string' && UUID_PATTERN.test(value);
+}
+
+module.exports = {
+  isUuid
+};
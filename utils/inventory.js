@@ -0,0 +1,85 @@
+const { supabaseAdmin } = require('../config/database');
+
+/**
+ * Inventory ledger
+ * Every stock change is a row in `inventory_movements` and `products.stock`
+ * is derived from it by a trigger - sales and cancellations are recorded by
+ * checkout_order() and restore_order_stock(), restocked returns by
+ * review_return_request(). Store owners record adjustments and imports here.
+ * Products with variants keep their stock on the variants (`products.stock`
+ * is the total), so their movements name the variant.
+ */
+
+const MOVEMENT_REASONS = ['initial', 'sale', 'cancellation', 'return', 'adjustment', 'import'];
+
+// Reasons a store owner can record by hand
+const OWNER_MOVEMENT_REASONS = ['adjustment', 'import'];
+
+/**
+ * Validate a low stock threshold sent by a store owner
+ * @param {*} value - Non-negative integer, or null to clear it (products fall back to the store's)
+ * @returns {{ threshold: number|null, error: string|null }}
+ */
+function parseLowStockThreshold(value) {
+  if (value === null) {
+    return { threshold: null, error: null };
+  }
+
+  const threshold = Number(value);
+  if (!Number.isInteger(threshold) || threshold < 0) {
+    return { threshold: null, error: 'low_stock_threshold must be a non-negative whole number' };
+  }
+
+  return { threshold, error: null };
+}
+
+/**
+ * Record a stock change for a product
+ * @param {object} params
+ * @param {string} params.productId
+ * @param {string} [params.variantId] - Required for products with variants
+ * @param {number} [params.change] - Units added (positive) or removed (negative)
+ * @param {number} [params.stock] - New stock level, instead of a change
+ * @param {string} [params.reason] - One of MOVEMENT_REASONS
+ * @param {string} [params.notes] - Why the stock changed
+ * @param {string} [params.userId] - users.id of the store owner
+ * @returns {Promise<{ movement: object|null, error: { status: number, message: string }|null }>}
+ */
+async function adjustStock({ productId, variantId = null, change = null, stock = null, reason = 'adjustment', notes = null, userId = null }) {
+  const { data: movement, error } = await supabaseAdmin
+    .rpc('adjust_product_stock', {
+      p_product_id: productId,
+      p_change: change,
+      p_stock: stock,
+      p_reason: reason,
+      p_notes: notes,
+      p_created_by: userId,
+      p_variant_id: variantId
+    });
+
+  if (error) {
+    const adjustErrors = {
+      PRODUCT_NOT_FOUND: { status: 404, message: 'Product not found' },
+      VARIANT_NOT_FOUND: { status: 404, message: 'Variant not found' },
+      VARIANT_REQUIRED: { status: 400, message: 'This product has variants - change the stock of a variant' },
+      NO_CHANGE: { status: 400, message: 'The stock would not change' },
+      NEGATIVE_STOCK: { status: 422, message: 'Stock cannot go below zero' }
+    };
+
+    if (adjustErrors[error.message]) {
+      return { movement: null, error: adjustErrors[error.message] };
+    }
+
+    console.error(`Stock adjustment error for product ${productId}:`, error);
+    return { movement: null, error: { status: 500, message: 'Failed to update stock' } };
+  }
+
+  return { movement, error: null };
+}
+
+module.exports = {
+  MOVEMENT_REASONS,
+  OWNER_MOVEMENT_REASONS,
+  parseLowStockThreshold,
+  adjustStock
+};
@@ -0,0 +1,554 @@
+const { supabaseAdmin } = require('../config/database');
+const { refreshEstimatedDelivery } = require('./eta');
+
+/**
+ * Order lifecycle
+ * Single source of truth for order and sub-order status transitions, who may
+ * perform them and what happens when they do. Every status endpoint goes
+ * through transitionOrder() / transitionSubOrder() instead of updating
+ * `orders.status` or `sub_orders.status` directly.
+ *
+ * Each store in an order has its own sub-order. The parent order status is
+ * derived from its sub-orders, and a status set on the parent is pushed down
+ * to them.
+ */
+
+// How long after confirmation a customer may still cancel
+const CUSTOMER_CANCEL_GRACE_MINUTES = parseInt(process.env.ORDER_CANCEL_GRACE_MINUTES || '15', 10);
+
+const ORDER_STATUSES = ['pending', 'confirmed', 'shipped', 'delivered', 'cancelled'];
+
+const SUB_ORDER_STATUSES = ['pending', 'preparing', 'ready_for_pickup', 'picked_up', 'delivered', 'cancelled'];
+
+const ACTORS = {
+  CUSTOMER: 'customer',
+  STORE_OWNER: 'store_owner',
+  ADMIN: 'admin',
+  DRIVER: 'driver',
+  SYSTEM: 'system'
+};
+
+// from status -> to status -> actors allowed to make the change
+const ORDER_TRANSITIONS = {
+  pending: {
+    confirmed: [ACTORS.STORE_OWNER, ACTORS.ADMIN, ACTORS.SYSTEM],
+    cancelled: [ACTORS.CUSTOMER, ACTORS.STORE_OWNER, ACTORS.ADMIN, ACTORS.SYSTEM]
+  },
+  confirmed: {
+    shipped: [ACTORS.STORE_OWNER, ACTORS.ADMIN, ACTORS.DRIVER, ACTORS.SYSTEM],
+    cancelled: [ACTORS.CUSTOMER, ACTORS.ADMIN, ACTORS.SYSTEM] // Customers only within the grace period
+  },
+  shipped: {
+    delivered: [ACTORS.ADMIN, ACTORS.DRIVER, ACTORS.SYSTEM]
+  },
+  delivered: {},
+  cancelled: {}
+};
+
+const SUB_ORDER_TRANSITIONS = {
+  pending: {
+    preparing: [ACTORS.STORE_OWNER, ACTORS.ADMIN, ACTORS.SYSTEM],
+    cancelled: [ACTORS.STORE_OWNER, ACTORS.ADMIN, ACTORS.SYSTEM]
+  },
+  preparing: {
+    ready_for_pickup: [ACTORS.STORE_OWNER, ACTORS.ADMIN, ACTORS.SYSTEM],
+    cancelled: [ACTORS.ADMIN, ACTORS.SYSTEM]
+  },
+  ready_for_pickup: {
+    picked_up: [ACTORS.ADMIN, ACTORS.DRIVER, ACTORS.SYSTEM],
+    cancelled: [ACTORS.ADMIN, ACTORS.SYSTEM]
+  },
+  picked_up: {
+    delivered: [ACTORS.ADMIN, ACTORS.DRIVER, ACTORS.SYSTEM]
+  },
+  delivered: {},
+  cancelled: {}
+};
+
+// Timestamp column set when an order enters a status
+const STATUS_TIMESTAMPS = {
+  confirmed: 'confirmed_at',
+  shipped: 'shipped_at',
+  delivered: 'delivered_at',
+  cancelled: 'cancelled_at'
+};
+
+const SUB_ORDER_TIMESTAMPS = {
+  preparing: 'preparing_at',
+  ready_for_pickup: 'ready_at',
+  picked_up: 'picked_up_at',
+  delivered: 'delivered_at',
+  cancelled: 'cancelled_at'
+};
+
+// Sub-order status a parent status is pushed down as, and the sub-order
+// statuses that come before it
+const SUB_ORDER_CASCADE = {
+  confirmed: { status: 'preparing', from: ['pending'] },
+  shipped: { status: 'picked_up', from: ['pending', 'preparing', 'ready_for_pickup'] },
+  delivered: { status: 'delivered', from: ['pending', 'preparing', 'ready_for_pickup', 'picked_up'] },
+  cancelled: { status: 'cancelled', from: ['pending', 'preparing', 'ready_for_pickup', 'picked_up'] }
+};
+
+// Forward path used when a derived parent status skips a step
+const ORDER_PATH = ['pending', 'confirmed', 'shipped', 'delivered'];
+
+// Telegram group update for each status
+const STATUS_NOTIFICATIONS = {
+  confirmed: order => `Order #${order.order_number} has been confirmed and is being prepared for delivery.`,
+  shipped: order => `Order #${order.order_number} is out for delivery.`,
+  delivered: order => `Order #${order.order_number} has been delivered.`,
+  cancelled: (order, actor, notes) => {
+    const by = actor.type === ACTORS.CUSTOMER ? ' by the customer' : '';
+    return `Order #${order.order_number} has been cancelled${by}.${notes ? ` Reason: ${notes}` : ''}`;
+  }
+};
+
+const SUB_ORDER_NOTIFICATIONS = {
+  ready_for_pickup: (order, subOrder) => `${subOrder.store_name} has order #${order.order_number} ready for pickup.`,
+  cancelled: (order, subOrder) => `${subOrder.store_name} items in order #${order.order_number} have been cancelled.`
+};
+
+function checkTransition(transitions, statuses, from, to, actorType) {
+  if (!statuses.includes(to)) {
+    return { allowed: false, reason: 'Invalid status value' };
+  }
+
+  const allowedActors = (transitions[from] || {})[to];
+  if (!allowedActors) {
+    return { allowed: false, reason: `Cannot move from ${from} to ${to}` };
+  }
+
+  if (!allowedActors.includes(actorType)) {
+    return { allowed: false, reason: `Not allowed to move from ${from} to ${to}` };
+  }
+
+  return { allowed: true, reason: null };
+}
+
+/**
+ * Rules that depend on the order itself rather than just its status
+ * @returns {string|null} Reason the change is refused, or null
+ */
+function checkOrderGuards(order, status, actor) {
+  if (status === 'cancelled' && order.status === 'confirmed' && actor.type === ACTORS.CUSTOMER) {
+    const confirmedAt = new Date(order.confirmed_at || order.updated_at).getTime();
+    if (Date.now() - confirmedAt > CUSTOMER_CANCEL_GRACE_MINUTES * 60 * 1000) {
+      return 'Confirmed orders can no longer be cancelled, please contact support';
+    }
+  }
+
+  // Card orders are confirmed by their payment capture
+  if (status === 'confirmed' && order.payment_method === 'card' && order.payment_status !== 'paid') {
+    return 'This order will be confirmed once its card payment has been captured';
+  }
+
+  return null;
+}
+
+/**
+ * Check whether an actor may move an order between two statuses
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @param {string} actorType - One of ACTORS
+ * @returns {{ allowed: boolean, reason: string|null }}
+ */
+function canTransition(from, to, actorType) {
+  return checkTransition(ORDER_TRANSITIONS, ORDER_STATUSES, from, to, actorType);
+}
+
+/**
+ * Check whether an actor may move a sub-order between two statuses
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @param {string} actorType - One of ACTORS
+ * @returns {{ allowed: boolean, reason: string|null }}
+ */
+function canTransitionSubOrder(from, to, actorType) {
+  return checkTransition(SUB_ORDER_TRANSITIONS, SUB_ORDER_STATUSES, from, to, actorType);
+}
+
+/**
+ * Derive the parent order status from its sub-orders
+ * @param {Array<{ status: string }>} subOrders
+ * @returns {string}
+ */
+function deriveOrderStatus(subOrders) {
+  const active = subOrders.filter(subOrder => subOrder.status !== 'cancelled');
+
+  if (active.length === 0) {
+    return 'cancelled';
+  }
+  if (active.every(subOrder => subOrder.status === 'delivered')) {
+    return 'delivered';
+  }
+  if (active.every(subOrder => ['picked_up', 'delivered'].includes(subOrder.status))) {
+    return 'shipped';
+  }
+  if (active.some(subOrder => subOrder.status !== 'pending')) {
+    return 'confirmed';
+  }
+  return 'pending';
+}
+
+/**
+ * Queue a Telegram group update for an order
+ * @param {string} orderId
+ * @param {string} message
+ */
+async function queueNotification(orderId, message) {
+  const { error } = await supabaseAdmin
+    .from('telegram_notifications')
+    .insert({
+      order_id: orderId,
+      notification_type: 'order_update',
+      message,
+      sent: false
+    });
+
+  if (error) {
+    console.error(`Notification error for order ${orderId}:`, error);
+  }
+}
+
+async function restoreStock(orderId, subOrderId = null) {
+  const { error } = await supabaseAdmin
+    .rpc('restore_order_stock', { p_order_id: orderId, p_sub_order_id: subOrderId });
+
+  if (error) {
+    console.error(`Stock restore error for order ${orderId}:`, error);
+  }
+}
+
+/**
+ * Void or refund the card payment of a cancelled order or sub-order
+ */
+async function releasePayment(orderId, options) {
+  // Required here because the payments module confirms orders through this one
+  const { releaseOrderPayment } = require('./payments');
+
+  try {
+    await releaseOrderPayment(orderId, options);
+  } catch (error) {
+    console.error(`Payment release error for order ${orderId}:`, error);
+  }
+}
+
+/**
+ * Recalculate the delivery estimate of an order after its status changed
+ */
+async function updateEstimate(order) {
+  const estimate = await refreshEstimatedDelivery(order.id);
+  if (estimate) {
+    order.estimated_delivery_date = estimate;
+  }
+}
+
+/**
+ * Push a parent status down to the sub-orders that have not reached it yet
+ */
+async function cascadeToSubOrders(order, actor, notes) {
+  const cascade = SUB_ORDER_CASCADE[order.status];
+  if (!cascade) {
+    return;
+  }
+
+  const now = new Date().toISOString();
+  const { data: subOrders, error } = await supabaseAdmin
+    .from('sub_orders')
+    .update({
+      status: cascade.status,
+      [SUB_ORDER_TIMESTAMPS[cascade.status]]: now,
+      updated_at: now
+    })
+    .eq('order_id', order.id)
+    .in('status', cascade.from)
+    .select();
+
+  if (error) {
+    console.error(`Sub-order cascade error for order ${order.id}:`, error);
+    return;
+  }
+
+  if (subOrders && subOrders.length > 0) {
+    await supabaseAdmin
+      .from('order_status_history')
+      .insert(subOrders.map(subOrder => ({
+        order_id: order.id,
+        sub_order_id: subOrder.id,
+        status: cascade.status,
+        changed_by_type: actor.type,
+        changed_by: actor.id || null,
+        notes
+      })));
+  }
+}
+
+/**
+ * Run the side effects of entering a status. Failures are logged, not thrown,
+ * because the status change itself has already been committed.
+ */
+async function runSideEffects(order, actor, notes, { cascade }) {
+  if (cascade) {
+    await cascadeToSubOrders(order, actor, notes);
+  }
+
+  if (order.status === 'cancelled') {
+    await restoreStock(order.id);
+
+    if (order.payment_method === 'card') {
+      await releasePayment(order.id);
+    }
+  }
+
+  const buildMessage = STATUS_NOTIFICATIONS[order.status];
+  if (buildMessage) {
+    await queueNotification(order.id, buildMessage(order, actor, notes));
+  }
+}
+
+async function applyOrderTransition(current, status, actor, notes, { cascade }) {
+  const now = new Date().toISOString();
+  const updates = { status, updated_at: now };
+  if (STATUS_TIMESTAMPS[status]) {
+    updates[STATUS_TIMESTAMPS[status]] = now;
+  }
+  if (status === 'cancelled') {
+    updates.cancellation_reason = notes;
+  }
+
+  // Only update if nobody changed the status in the meantime
+  const { data: order, error: updateError } = await supabaseAdmin
+    .from('orders')
+    .update(updates)
+    .eq('id', current.id)
+    .eq('status', current.status)
+    .select()
+    .single();
+
+  if (updateError || !order) {
+    if (updateError && updateError.code !== 'PGRST116') {
+      console.error('Order status update error:', updateError);
+      return { order: null, error: { status: 500, message: 'Failed to update order status' } };
+    }
+    return { order: null, error: { status: 409, message: 'Order status was changed by someone else, please retry' } };
+  }
+
+  const { error: historyError } = await supabaseAdmin
+    .from('order_status_history')
+    .insert({
+      order_id: order.id,
+      status,
+      previous_status: current.status,
+      changed_by_type: actor.type,
+      changed_by: actor.id || null,
+      notes
+    });
+
+  if (historyError) {
+    console.error('Order status history error:', historyError);
+  }
+
+  await runSideEffects(order, actor, notes, { cascade });
+
+  return { order, error: null };
+}
+
+/**
+ * Move an order to a new status, enforcing the transition rules.
+ * The change is pushed down to the order's sub-orders.
+ * @param {object} params
+ * @param {string} params.orderId - Order ID
+ * @param {string} params.status - Requested status
+ * @param {{ type: string, id: string|null }} params.actor - Who is making the change
+ * @param {string} [params.notes] - Note stored in the status history
+ * @returns {Promise<{ order: object|null, error: { status: number, message: string }|null }>}
+ */
+async function transitionOrder({ orderId, status, actor, notes = null }) {
+  const { data: current, error: fetchError } = await supabaseAdmin
+    .from('orders')
+    .select('*')
+    .eq('id', orderId)
+    .single();
+
+  if (fetchError || !current) {
+    return { order: null, error: { status: 404, message: 'Order not found' } };
+  }
+
+  const { allowed, reason } = canTransition(current.status, status, actor.type);
+  if (!allowed) {
+    const httpStatus = ORDER_STATUSES.includes(status) ? 409 : 400;
+    return { order: null, error: { status: httpStatus, message: reason } };
+  }
+
+  const guardReason = checkOrderGuards(current, status, actor);
+  if (guardReason) {
+    return { order: null, error: { status: 409, message: guardReason } };
+  }
+
+  const result = await applyOrderTransition(current, status, actor, notes, { cascade: true });
+  if (result.order) {
+    await updateEstimate(result.order);
+  }
+
+  return result;
+}
+
+/**
+ * Bring the parent order status in line with its sub-orders
+ * @param {string} orderId - Order ID
+ * @returns {Promise<object|null>} The order after syncing
+ */
+async function syncOrderStatus(orderId) {
+  const { data: order } = await supabaseAdmin
+    .from('orders')
+    .select('*, sub_orders (status)')
+    .eq('id', orderId)
+    .single();
+
+  if (!order || !order.sub_orders || order.sub_orders.length === 0) {
+    return order;
+  }
+
+  const { sub_orders: subOrders, ...current } = order;
+  const derived = deriveOrderStatus(subOrders);
+  const actor = { type: ACTORS.SYSTEM, id: null };
+
+  if (derived === current.status) {
+    return current;
+  }
+
+  // Walk forward one step at a time so every status gets its history and side effects
+  const steps = derived === 'cancelled'
+    ? [derived]
+    : ORDER_PATH.slice(ORDER_PATH.indexOf(current.status) + 1, ORDER_PATH.indexOf(derived) + 1);
+
+  let latest = current;
+  for (const step of steps) {
+    const { order: updated, error } = await applyOrderTransition(latest, step, actor, null, { cascade: false });
+    if (error) {
+      console.error(`Order status sync error for order ${orderId}:`, error.message);
+      break;
+    }
+    latest = updated;
+  }
+
+  return latest;
+}
+
+/**
+ * Move a single store's sub-order to a new status and re-derive the parent order status
+ * @param {object} params
+ * @param {string} params.subOrderId - Sub-order ID
+ * @param {string} params.status - Requested status
+ * @param {{ type: string, id: string|null }} params.actor - Who is making the change
+ * @param {string} [params.notes] - Note stored in the status history
+ * @returns {Promise<{ subOrder: object|null, order: object|null, error: { status: number, message: string }|null }>}
+ */
+async function transitionSubOrder({ subOrderId, status, actor, notes = null }) {
+  const { data: current, error: fetchError } = await supabaseAdmin
+    .from('sub_orders')
+    .select('*, orders (id, order_number, status, payment_method, payment_status)')
+    .eq('id', subOrderId)
+    .single();
+
+  if (fetchError || !current) {
+    return { subOrder: null, order: null, error: { status: 404, message: 'Sub-order not found' } };
+  }
+
+  const { allowed, reason } = canTransitionSubOrder(current.status, status, actor.type);
+  if (!allowed) {
+    const httpStatus = SUB_ORDER_STATUSES.includes(status) ? 409 : 400;
+    return { subOrder: null, order: null, error: { status: httpStatus, message: reason } };
+  }
+
+  const parent = current.orders;
+  if (status !== 'cancelled' && parent.payment_method === 'card' && parent.payment_status !== 'paid') {
+    return { subOrder: null, order: null, error: { status: 409, message: 'Waiting for the card payment to be captured' } };
+  }
+
+  const now = new Date().toISOString();
+  const updates = { status, updated_at: now };
+  if (SUB_ORDER_TIMESTAMPS[status]) {
+    updates[SUB_ORDER_TIMESTAMPS[status]] = now;
+  }
+
+  const { data: subOrder, error: updateError } = await supabaseAdmin
+    .from('sub_orders')
+    .update(updates)
+    .eq('id', subOrderId)
+    .eq('status', current.status)
+    .select()
+    .single();
+
+  if (updateError || !subOrder) {
+    if (updateError && updateError.code !== 'PGRST116') {
+      console.error('Sub-order status update error:', updateError);
+      return { subOrder: null, order: null, error: { status: 500, message: 'Failed to update sub-order status' } };
+    }
+    return { subOrder: null, order: null, error: { status: 409, message: 'Sub-order status was changed by someone else, please retry' } };
+  }
+
+  const { error: historyError } = await supabaseAdmin
+    .from('order_status_history')
+    .insert({
+      order_id: subOrder.order_id,
+      sub_order_id: subOrder.id,
+      status,
+      previous_status: current.status,
+      changed_by_type: actor.type,
+      changed_by: actor.id || null,
+      notes
+    });
+
+  if (historyError) {
+    console.error('Sub-order status history error:', historyError);
+  }
+
+  if (status === 'cancelled') {
+    await restoreStock(subOrder.order_id, subOrder.id);
+  }
+
+  const buildMessage = SUB_ORDER_NOTIFICATIONS[status];
+  if (buildMessage) {
+    await queueNotification(subOrder.order_id, buildMessage(current.orders, subOrder));
+  }
+
+  const order = await syncOrderStatus(subOrder.order_id);
+  if (order) {
+    await updateEstimate(order);
+  }
+
+  // A cancelled parent gives back the whole payment; otherwise refund this store's part
+  if (status === 'cancelled' && parent.payment_method === 'card' && order && order.status !== 'cancelled') {
+    const { data: items } = await supabaseAdmin
+      .from('order_items')
+      .select('price, quantity')
+      .eq('sub_order_id', subOrder.id);
+
+    const itemsTotal = (items || []).reduce((sum, item) => sum + Number(item.price) * item.quantity, 0);
+    const amount = Math.round((itemsTotal - Number(subOrder.discount_amount || 0)) * 100) / 100;
+
+    if (amount > 0) {
+      await releasePayment(subOrder.order_id, { amount, reference: `cancelled:${subOrder.id}` });
+    }
+  }
+
+  return { subOrder, order, error: null };
+}
+
+module.exports = {
+  CUSTOMER_CANCEL_GRACE_MINUTES,
+  ORDER_STATUSES,
+  SUB_ORDER_STATUSES,
+  ACTORS,
+  ORDER_TRANSITIONS,
+  SUB_ORDER_TRANSITIONS,
+  canTransition,
+  canTransitionSubOrder,
+  deriveOrderStatus,
+  queueNotification,
+  transitionOrder,
+  transitionSubOrder,
+  syncOrderStatus
+};
@@ -0,0 +1,467 @@
+const { supabaseAdmin } = require('../../config/database');
+const { ACTORS, transitionOrder } = require('../order-lifecycle');
+
+/**
+ * Payments
+ * Online payments go through a provider with an
+ * intent -> authorize -> capture -> refund lifecycle. Providers report changes
+ * through signed webhooks (POST /payments/webhook/:provider); results of our
+ * own calls are applied straight away too, so a late webhook is a no-op.
+ *
+ * Card payments are captured as soon as they are authorized, and a card
+ * order is only confirmed once its payment has been captured.
+ *
+ * A provider module exports `name`, `createIntent`, `capture`, `cancel`,
+ * `refund` and `verifyWebhook` (see ./mock.js).
+ */
+
+const PAYMENT_METHODS = ['cash_on_delivery', 'card'];
+
+// No default - card payments are off until a provider is configured
+const PAYMENT_PROVIDER = process.env.PAYMENT_PROVIDER || null;
+
+const providers = {
+  // Test cards pay for real orders, so the mock never runs in production
+  ...(process.env.NODE_ENV !== 'production' && { mock: require('./mock') })
+};
+
+if (PAYMENT_PROVIDER) {
+  if (!providers[PAYMENT_PROVIDER]) {
+    console.error(`❌ ERROR: Payment provider "${PAYMENT_PROVIDER}" is not available${PAYMENT_PROVIDER === 'mock' ? ' in production' : ''}!`);
+    process.exit(1);
+  }
+
+  // Anyone knowing the secret could forge payment events
+  if (!process.env.PAYMENT_WEBHOOK_SECRET) {
+    console.error('❌ ERROR: Missing PAYMENT_WEBHOOK_SECRET environment variable!');
+    process.exit(1);
+  }
+}
+
+/**
+ * Whether customers can pay by card
+ * @returns {boolean}
+ */
+function cardPaymentsEnabled() {
+  return Boolean(PAYMENT_PROVIDER);
+}
+
+// payments.status -> statuses it can move to
+const PAYMENT_TRANSITIONS = {
+  requires_payment: ['authorized', 'failed', 'cancelled'],
+  failed: ['authorized', 'failed', 'cancelled'],
+  authorized: ['captured', 'failed', 'cancelled'],
+  captured: ['partially_refunded', 'refunded'],
+  partially_refunded: ['partially_refunded', 'refunded'],
+  refunded: [],
+  cancelled: []
+};
+
+// orders.payment_status for each payments.status ("unpaid" is cash on delivery)
+const ORDER_PAYMENT_STATUSES = {
+  requires_payment: 'requires_payment',
+  failed: 'failed',
+  authorized: 'authorized',
+  captured: 'paid',
+  partially_refunded: 'partially_refunded',
+  refunded: 'refunded',
+  cancelled: 'voided'
+};
+
+// An unfinished claim older than this is taken to be from a crashed process
+const EVENT_CLAIM_MINUTES = 5;
+
+/**
+ * Get a payment provider module
+ * @param {string} [name] - Provider name, defaults to PAYMENT_PROVIDER
+ * @returns {object|null}
+ */
+function getPaymentProvider(name = PAYMENT_PROVIDER) {
+  return providers[name] || null;
+}
+
+/**
+ * Payment fields that are safe to return to the customer
+ */
+function publicPayment(payment) {
+  return {
+    id: payment.id,
+    provider: payment.provider,
+    status: payment.status,
+    amount: payment.amount,
+    currency: payment.currency,
+    client_secret: ['requires_payment', 'failed'].includes(payment.status) ? payment.client_secret : null,
+    failure_reason: payment.failure_reason
+  };
+}
+
+/**
+ * Move a payment to a new status and mirror it on the order.
+ * Moves that aren't allowed (duplicate or out-of-order events) are ignored.
+ * @returns {Promise<object|null>} The updated payment, or null if nothing changed
+ */
+async function updatePaymentStatus(payment, status, changes = {}) {
+  if (!(PAYMENT_TRANSITIONS[payment.status] || []).includes(status)) {
+    return null;
+  }
+
+  const now = new Date().toISOString();
+  const { data: updated, error } = await supabaseAdmin
+    .from('payments')
+    .update({ ...changes, status, updated_at: now })
+    .eq('id', payment.id)
+    .eq('updated_at', payment.updated_at)
+    .select()
+    .single();
+
+  if (error || !updated) {
+    if (error && error.code !== 'PGRST116') {
+      console.error(`Payment ${payment.id} update error:`, error);
+    }
+    return null;
+  }
+
+  const { error: orderError } = await supabaseAdmin
+    .from('orders')
+    .update({ payment_status: ORDER_PAYMENT_STATUSES[status], updated_at: now })
+    .eq('id', payment.order_id);
+
+  if (orderError) {
+    console.error(`Order ${payment.order_id} payment status error:`, orderError);
+  }
+
+  return updated;
+}
+
+/**
+ * Start (or resume) the card payment for an order
+ * @param {object} order - orders row
+ * @returns {Promise<{ payment: object|null, error: { status: number, message: string }|null }>}
+ */
+async function createPaymentIntent(order) {
+  if (order.payment_method !== 'card') {
+    return { payment: null, error: { status: 400, message: 'This order is not paid by card' } };
+  }
+
+  if (order.status !== 'pending' || !['requires_payment', 'failed'].includes(order.payment_status)) {
+    return { payment: null, error: { status: 409, message: 'This order does not need a payment' } };
+  }
+
+  // Retry with the open intent rather than starting a second one
+  const { data: existing } = await supabaseAdmin
+    .from('payments')
+    .select('*')
+    .eq('order_id', order.id)
+    .in('status', ['requires_payment', 'failed'])
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (existing) {
+    return { payment: existing, error: null };
+  }
+
+  const provider = getPaymentProvider();
+  if (!provider) {
+    console.error(`Unknown payment provider: ${PAYMENT_PROVIDER}`);
+    return { payment: null, error: { status: 500, message: 'Card payments are not available' } };
+  }
+
+  const intent = await provider.createIntent({
+    amount: order.total_amount,
+    currency: 'AED',
+    reference: order.id
+  });
+
+  const { data: payment, error } = await supabaseAdmin
+    .from('payments')
+    .insert({
+      order_id: order.id,
+      provider: provider.name,
+      provider_payment_id: intent.id,
+      client_secret: intent.client_secret,
+      amount: order.total_amount,
+      currency: 'AED',
+      status: intent.status
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error(`Payment creation error for order ${order.id}:`, error);
+    return { payment: null, error: { status: 500, message: 'Failed to start the payment' } };
+  }
+
+  return { payment, error: null };
+}
+
+/**
+ * Record a capture and confirm the order. Money captured for an order that
+ * was cancelled in the meantime is refunded straight away.
+ */
+async function markCaptured(payment, capturedAmount) {
+  const captured = await updatePaymentStatus(payment, 'captured', {
+    captured_amount: capturedAmount,
+    captured_at: new Date().toISOString()
+  });
+
+  if (!captured) {
+    return;
+  }
+
+  const { order, error } = await transitionOrder({
+    orderId: captured.order_id,
+    status: 'confirmed',
+    actor: { type: ACTORS.SYSTEM, id: null },
+    notes: 'Card payment captured'
+  });
+
+  if (error) {
+    const { data: current } = await supabaseAdmin
+      .from('orders')
+      .select('status')
+      .eq('id', captured.order_id)
+      .single();
+
+    if (current && current.status === 'cancelled') {
+      await refundPayment(captured, Number(captured.captured_amount), `cancelled:${captured.order_id}`);
+    } else {
+      console.error(`Order ${captured.order_id} confirmation after capture failed:`, error.message);
+    }
+  }
+
+  return order;
+}
+
+/**
+ * Capture an authorized payment
+ */
+async function capturePayment(payment) {
+  const provider = getPaymentProvider(payment.provider);
+
+  try {
+    const result = await provider.capture(payment.provider_payment_id, Number(payment.amount));
+    await markCaptured(payment, result.captured_amount);
+  } catch (error) {
+    console.error(`Payment ${payment.id} capture error:`, error.message);
+  }
+}
+
+/**
+ * Refund part or all of a captured payment
+ * @param {object} payment - payments row
+ * @param {number} amount - Amount to refund
+ * @param {string} [reference] - Refunds with the same reference are only made once
+ * @returns {Promise<{ payment: object|null, error: string|null }>}
+ */
+async function refundPayment(payment, amount, reference = null) {
+  const provider = getPaymentProvider(payment.provider);
+
+  try {
+    const result = await provider.refund(payment.provider_payment_id, amount, reference);
+    const updated = await updatePaymentStatus(payment, result.status, {
+      refunded_amount: result.refunded_amount
+    });
+    return { payment: updated || payment, error: null };
+  } catch (error) {
+    console.error(`Payment ${payment.id} refund error:`, error.message);
+    return { payment: null, error: error.message };
+  }
+}
+
+/**
+ * Get the order's current card payment
+ * @param {string} orderId
+ * @returns {Promise<object|null>}
+ */
+async function getOrderPayment(orderId) {
+  const { data: payment } = await supabaseAdmin
+    .from('payments')
+    .select('*')
+    .eq('order_id', orderId)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  return payment || null;
+}
+
+/**
+ * Give back a card payment when (part of) an order is cancelled: voids it
+ * before capture, refunds it after
+ * @param {string} orderId
+ * @param {object} [options]
+ * @param {number|null} [options.amount] - Part to refund, defaults to everything left
+ * @param {string} [options.reference] - Refund reference
+ */
+async function releaseOrderPayment(orderId, { amount = null, reference = null } = {}) {
+  const payment = await getOrderPayment(orderId);
+  if (!payment) {
+    return;
+  }
+
+  if (['requires_payment', 'failed', 'authorized'].includes(payment.status)) {
+    // Part of an order can only be given back once the payment is captured
+    if (amount !== null) {
+      return;
+    }
+
+    try {
+      await getPaymentProvider(payment.provider).cancel(payment.provider_payment_id);
+      await updatePaymentStatus(payment, 'cancelled');
+    } catch (error) {
+      console.error(`Payment ${payment.id} cancel error:`, error.message);
+    }
+    return;
+  }
+
+  if (['captured', 'partially_refunded'].includes(payment.status)) {
+    const remaining = Math.round((Number(payment.captured_amount) - Number(payment.refunded_amount)) * 100) / 100;
+    const refundAmount = Math.min(amount === null ? remaining : amount, remaining);
+
+    if (refundAmount > 0) {
+      await refundPayment(payment, refundAmount, reference || `cancelled:${orderId}`);
+    }
+  }
+}
+
+/**
+ * Update a payment from a webhook event
+ * @param {string} providerName
+ * @param {object} event - { id, type, data: { payment_id, ... } }
+ */
+async function applyPaymentEvent(providerName, event) {
+  const { data: payment } = await supabaseAdmin
+    .from('payments')
+    .select('*')
+    .eq('provider', providerName)
+    .eq('provider_payment_id', event.data.payment_id)
+    .single();
+
+  if (!payment) {
+    console.error(`Payment event ${event.id} for unknown payment ${event.data.payment_id}`);
+    return;
+  }
+
+  switch (event.type) {
+    case 'payment.authorized': {
+      const authorized = await updatePaymentStatus(payment, 'authorized', {
+        failure_reason: null,
+        authorized_at: new Date().toISOString()
+      });
+      if (authorized) {
+        await capturePayment(authorized);
+      }
+      break;
+    }
+    case 'payment.failed':
+      await updatePaymentStatus(payment, 'failed', { failure_reason: event.data.failure_reason });
+      break;
+    case 'payment.captured':
+      await markCaptured(payment, event.data.captured_amount);
+      break;
+    case 'payment.cancelled':
+      await updatePaymentStatus(payment, 'cancelled');
+      break;
+    case 'payment.refunded':
+      await updatePaymentStatus(payment, event.data.status, { refunded_amount: event.data.refunded_amount });
+      break;
+    default:
+      console.log(`Ignoring payment event ${event.type}`);
+  }
+}
+
+/**
+ * Claim a webhook event for processing
+ * @param {string} providerName
+ * @param {object} event
+ * @returns {Promise<boolean>} false if the event was already processed
+ */
+async function claimPaymentEvent(providerName, event) {
+  const { error: claimError } = await supabaseAdmin
+    .from('payment_events')
+    .insert({
+      provider: providerName,
+      event_id: event.id,
+      type: event.type,
+      payload: event
+    });
+
+  if (!claimError) {
+    return true;
+  }
+  if (claimError.code !== '23505') {
+    throw claimError;
+  }
+
+  const { data: existing } = await supabaseAdmin
+    .from('payment_events')
+    .select('processed_at')
+    .eq('provider', providerName)
+    .eq('event_id', event.id)
+    .single();
+
+  if (existing && existing.processed_at) {
+    return false; // Already processed
+  }
+
+  // Take over a stale claim; a fresh one is still being processed, so the
+  // provider has to retry later
+  const { data: reclaimed } = await supabaseAdmin
+    .from('payment_events')
+    .update({ created_at: new Date().toISOString() })
+    .eq('provider', providerName)
+    .eq('event_id', event.id)
+    .is('processed_at', null)
+    .lt('created_at', new Date(Date.now() - EVENT_CLAIM_MINUTES * 60 * 1000).toISOString())
+    .select('id');
+
+  if (!reclaimed || reclaimed.length === 0) {
+    throw new Error(`Payment event ${event.id} is already being processed`);
+  }
+  return true;
+}
+
+/**
+ * Apply a verified webhook event. Each event is only processed once; if
+ * processing fails the claim is dropped so the provider's retry runs it again.
+ * @param {string} providerName
+ * @param {object} event - { id, type, data: { payment_id, ... } }
+ */
+async function handlePaymentEvent(providerName, event) {
+  if (!(await claimPaymentEvent(providerName, event))) {
+    return;
+  }
+
+  try {
+    await applyPaymentEvent(providerName, event);
+  } catch (error) {
+    await supabaseAdmin
+      .from('payment_events')
+      .delete()
+      .eq('provider', providerName)
+      .eq('event_id', event.id)
+      .is('processed_at', null);
+    throw error;
+  }
+
+  await supabaseAdmin
+    .from('payment_events')
+    .update({ processed_at: new Date().toISOString() })
+    .eq('provider', providerName)
+    .eq('event_id', event.id);
+}
+
+module.exports = {
+  PAYMENT_METHODS,
+  PAYMENT_PROVIDER,
+  ORDER_PAYMENT_STATUSES,
+  cardPaymentsEnabled,
+  getPaymentProvider,
+  publicPayment,
+  createPaymentIntent,
+  getOrderPayment,
+  refundPayment,
+  releaseOrderPayment,
+  handlePaymentEvent
+};
@@ -0,0 +1,240 @@
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+
+/**
+ * Mock payment provider
+ * Keeps payment intents in memory so card checkout can be tested end-to-end
+ * without network access. Like a real provider, every change is reported
+ * back to our webhook route as a signed event. Development only: intents are
+ * lost on restart and aren't shared between cluster workers, and it is never
+ * loaded in production (see ./index.js).
+ *
+ * Test cards:
+ * - 4242 4242 4242 4242: authorized
+ * - 4000 0000 0000 0002: declined
+ * - 4000 0000 0000 9995: insufficient funds
+ */
+
+const TEST_CARDS = {
+  '4242424242424242': null,
+  '4000000000000002': 'card_declined',
+  '4000000000009995': 'insufficient_funds'
+};
+
+const SIGNATURE_HEADER = 'x-mock-signature';
+
+// Signatures older than this are rejected
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+const intents = new Map();
+
+function randomId(prefix) {
+  return `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+function sign(timestamp, rawBody) {
+  if (!process.env.PAYMENT_WEBHOOK_SECRET) {
+    throw new Error('PAYMENT_WEBHOOK_SECRET is not set');
+  }
+
+  return crypto
+    .createHmac('sha256', process.env.PAYMENT_WEBHOOK_SECRET)
+    .update(`${timestamp}.${rawBody}`)
+    .digest('hex');
+}
+
+function getIntent(intentId) {
+  const intent = intents.get(intentId);
+  if (!intent) {
+    throw new Error(`Unknown payment intent: ${intentId}`);
+  }
+  return intent;
+}
+
+/**
+ * Send a signed event to our webhook route, the way a provider would
+ */
+function sendWebhook(type, intent, extra = {}) {
+  const rawBody = JSON.stringify({
+    id: randomId('evt'),
+    type,
+    created_at: new Date().toISOString(),
+    data: {
+      payment_id: intent.id,
+      reference: intent.reference,
+      amount: intent.amount,
+      captured_amount: intent.captured_amount,
+      refunded_amount: intent.refunded_amount,
+      status: intent.status,
+      failure_reason: intent.failure_reason,
+      ...extra
+    }
+  });
+  const timestamp = Math.floor(Date.now() / 1000);
+  const url = process.env.PAYMENT_WEBHOOK_URL ||
+    `http://localhost:${process.env.PORT || 3001}/payments/webhook/mock`;
+
+  // Delivered after the current request has finished, like a real callback
+  setImmediate(() => {
+    fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        [SIGNATURE_HEADER]: `t=${timestamp},v1=${sign(timestamp, rawBody)}`
+      },
+      body: rawBody
+    })
+      .then(response => {
+        if (!response.ok) {
+          console.error(`Mock payment webhook ${type} returned ${response.status}`);
+        }
+      })
+      .catch(error => console.error(`Mock payment webhook ${type} error:`, error.message));
+  });
+}
+
+async function createIntent({ amount, currency, reference }) {
+  const intent = {
+    id: randomId('mock_pi'),
+    client_secret: randomId('mock_secret'),
+    reference,
+    amount: Number(amount),
+    currency,
+    status: 'requires_payment',
+    captured_amount: 0,
+    refunded_amount: 0,
+    failure_reason: null,
+    refunds: {}
+  };
+  intents.set(intent.id, intent);
+
+  return {
+    id: intent.id,
+    client_secret: intent.client_secret,
+    status: intent.status
+  };
+}
+
+/**
+ * Customer enters their card (stands in for the provider's payment page)
+ */
+async function authorize(intentId, { client_secret, card_number }) {
+  const intent = getIntent(intentId);
+
+  if (intent.client_secret !== client_secret) {
+    throw new Error('Invalid client secret');
+  }
+
+  if (!['requires_payment', 'failed'].includes(intent.status)) {
+    return { id: intent.id, status: intent.status, failure_reason: intent.failure_reason };
+  }
+
+  const card = String(card_number || '').replace(/\s/g, '');
+  const failureReason = card in TEST_CARDS ? TEST_CARDS[card] : 'card_declined';
+
+  intent.status = failureReason ? 'failed' : 'authorized';
+  intent.failure_reason = failureReason;
+  sendWebhook(failureReason ? 'payment.failed' : 'payment.authorized', intent);
+
+  return { id: intent.id, status: intent.status, failure_reason: intent.failure_reason };
+}
+
+async function capture(intentId, amount) {
+  const intent = getIntent(intentId);
+
+  if (intent.status !== 'authorized') {
+    throw new Error(`Cannot capture a ${intent.status} payment`);
+  }
+
+  intent.status = 'captured';
+  intent.captured_amount = Number(amount || intent.amount);
+  sendWebhook('payment.captured', intent);
+
+  return { id: intent.id, status: intent.status, captured_amount: intent.captured_amount };
+}
+
+async function cancel(intentId) {
+  const intent = getIntent(intentId);
+
+  if (!['requires_payment', 'failed', 'authorized'].includes(intent.status)) {
+    throw new Error(`Cannot cancel a ${intent.status} payment`);
+  }
+
+  intent.status = 'cancelled';
+  sendWebhook('payment.cancelled', intent);
+
+  return { id: intent.id, status: intent.status };
+}
+
+/**
+ * Refund part or all of a captured payment. Refunds with the same reference
+ * are only made once.
+ */
+async function refund(intentId, amount, reference) {
+  const intent = getIntent(intentId);
+
+  if (reference && intent.refunds[reference]) {
+    return intent.refunds[reference];
+  }
+
+  const refundable = Math.round((intent.captured_amount - intent.refunded_amount) * 100) / 100;
+  if (!['captured', 'partially_refunded'].includes(intent.status) || Number(amount) > refundable) {
+    throw new Error(`Cannot refund ${amount} of a ${intent.status} payment`);
+  }
+
+  intent.refunded_amount = Math.round((intent.refunded_amount + Number(amount)) * 100) / 100;
+  intent.status = intent.refunded_amount >= intent.captured_amount ? 'refunded' : 'partially_refunded';
+
+  const result = {
+    id: randomId('mock_re'),
+    amount: Number(amount),
+    status: intent.status,
+    refunded_amount: intent.refunded_amount
+  };
+  if (reference) {
+    intent.refunds[reference] = result;
+  }
+  sendWebhook('payment.refunded', intent, { refund_id: result.id });
+
+  return result;
+}
+
+/**
+ * Check a webhook's signature and return its event
+ * @param {Buffer} rawBody - Request body exactly as received
+ * @param {object} headers - Request headers
+ * @returns {object} The event
+ * @throws {Error} If the signature is missing, wrong or too old
+ */
+function verifyWebhook(rawBody, headers) {
+  const header = headers[SIGNATURE_HEADER] || '';
+  const parts = Object.fromEntries(header.split(',').map(part => part.split('=')));
+  const timestamp = parseInt(parts.t, 10);
+
+  if (!rawBody || !timestamp || !parts.v1) {
+    throw new Error('Missing webhook signature');
+  }
+
+  if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+    throw new Error('Webhook signature has expired');
+  }
+
+  const expected = Buffer.from(sign(timestamp, rawBody.toString('utf8')), 'hex');
+  const received = Buffer.from(parts.v1, 'hex');
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw new Error('Invalid webhook signature');
+  }
+
+  return JSON.parse(rawBody.toString('utf8'));
+}
+
+module.exports = {
+  name: 'mock',
+  TEST_CARDS,
+  createIntent,
+  authorize,
+  capture,
+  cancel,
+  refund,
+  verifyWebhook
+};
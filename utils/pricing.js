@@ -0,0 +1,359 @@
+const { supabaseAdmin } = require('../config/database');
+const { cache } = require('../config/cache');
+
+/**
+ * Pricing engine
+ * Display prices, delivery fees and checkout totals, driven by the `pricing`
+ * row in `platform_settings`. Prices sent by the client are never trusted -
+ * every order line is re-priced from the current `products.price` (or the
+ * chosen variant's price).
+ */
+
+// Somah commission taken from each store's subtotal
+const COMMISSION_RATE = parseFloat(process.env.COMMISSION_RATE || '0.05');
+
+const DELIVERY_FEE_MODES = ['per_order', 'per_store', 'per_emirate'];
+
+// Used until settings are saved, or if they can't be loaded
+const DEFAULT_PRICING_SETTINGS = {
+  display_markup: parseFloat(process.env.DELIVERY_FEE || '20'), // Added to every unit price for display (AED)
+  delivery_fee_mode: 'per_order', // "per_order", "per_store", "per_emirate"
+  delivery_fee: 0, // Per order, or per store in "per_store" mode (stores.delivery_fee overrides it)
+  emirate_fees: {}, // { "Dubai": 15 } for "per_emirate" mode, falls back to delivery_fee
+  free_delivery_threshold: null // Subtotal at which the delivery fee is waived
+};
+
+const PRICING_CACHE_KEY = 'settings:pricing';
+const PRICING_CACHE_TTL = 60; // seconds
+
+/**
+ * Round an amount to 2 decimal places (fils)
+ * @param {number} amount
+ * @returns {number}
+ */
+function roundAmount(amount) {
+  return Math.round(Number(amount) * 100) / 100;
+}
+
+/**
+ * Load the pricing settings (cached for a minute)
+ * @returns {Promise<object>}
+ */
+async function getPricingSettings() {
+  const cached = cache.get(PRICING_CACHE_KEY);
+  if (cached) {
+    return cached;
+  }
+
+  const { data, error } = await supabaseAdmin
+    .from('platform_settings')
+    .select('value')
+    .eq('key', 'pricing')
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    console.error('Pricing settings fetch error:', error);
+  }
+
+  const settings = { ...DEFAULT_PRICING_SETTINGS, ...(data?.value || {}) };
+  cache.set(PRICING_CACHE_KEY, settings, PRICING_CACHE_TTL);
+  return settings;
+}
+
+/**
+ * Validate and save new pricing settings
+ * @param {object} changes - Settings to change
+ * @param {string|null} adminId - Admin making the change
+ * @returns {Promise<{ settings: object|null, error: string|null }>}
+ */
+async function updatePricingSettings(changes, adminId = null) {
+  const settings = { ...(await getPricingSettings()) };
+
+  for (const field of ['display_markup', 'delivery_fee']) {
+    if (changes[field] !== undefined) {
+      const value = Number(changes[field]);
+      if (!Number.isFinite(value) || value < 0) {
+        return { settings: null, error: `${field} must be a non-negative number` };
+      }
+      settings[field] = roundAmount(value);
+    }
+  }
+
+  if (changes.delivery_fee_mode !== undefined) {
+    if (!DELIVERY_FEE_MODES.includes(changes.delivery_fee_mode)) {
+      return { settings: null, error: `delivery_fee_mode must be one of ${DELIVERY_FEE_MODES.join(', ')}` };
+    }
+    settings.delivery_fee_mode = changes.delivery_fee_mode;
+  }
+
+  if (changes.emirate_fees !== undefined) {
+    if (!changes.emirate_fees || typeof changes.emirate_fees !== 'object' || Array.isArray(changes.emirate_fees)) {
+      return { settings: null, error: 'emirate_fees must be an object of emirate to fee' };
+    }
+    const emirateFees = {};
+    for (const [emirate, fee] of Object.entries(changes.emirate_fees)) {
+      if (!Number.isFinite(Number(fee)) || Number(fee) < 0) {
+        return { settings: null, error: `Fee for ${emirate} must be a non-negative number` };
+      }
+      emirateFees[emirate] = roundAmount(fee);
+    }
+    settings.emirate_fees = emirateFees;
+  }
+
+  if (changes.free_delivery_threshold !== undefined) {
+    if (changes.free_delivery_threshold === null) {
+      settings.free_delivery_threshold = null;
+    } else {
+      const threshold = Number(changes.free_delivery_threshold);
+      if (!Number.isFinite(threshold) || threshold < 0) {
+        return { settings: null, error: 'free_delivery_threshold must be a non-negative number or null' };
+      }
+      settings.free_delivery_threshold = roundAmount(threshold);
+    }
+  }
+
+  const { error } = await supabaseAdmin
+    .from('platform_settings')
+    .upsert({
+      key: 'pricing',
+      value: settings,
+      updated_by: adminId,
+      updated_at: new Date().toISOString()
+    });
+
+  if (error) {
+    console.error('Pricing settings update error:', error);
+    return { settings: null, error: 'Failed to save pricing settings' };
+  }
+
+  cache.delete(PRICING_CACHE_KEY);
+  return { settings, error: null };
+}
+
+/**
+ * Price shown to customers for a product (store price + display markup)
+ * @param {number} basePrice - Store owner's price
+ * @param {object} settings - Pricing settings
+ * @returns {number}
+ */
+function displayPrice(basePrice, settings) {
+  return roundAmount(Number(basePrice) + Number(settings.display_markup || 0));
+}
+
+/**
+ * Replace store prices with display prices on a list of products (and their
+ * `product_variants`, when loaded)
+ * @param {Array<object>} products
+ * @param {object} settings - Pricing settings
+ * @returns {Array<object>}
+ */
+function withDisplayPrices(products, settings) {
+  return (products || []).map(product => ({
+    ...product,
+    price: displayPrice(product.price, settings),
+    ...(product.product_variants && {
+      product_variants: product.product_variants.map(variant => ({
+        ...variant,
+        price: displayPrice(variant.price, settings)
+      }))
+    })
+  }));
+}
+
+/**
+ * Delivery fee for an order
+ * @param {object} params
+ * @param {Array<object>} params.lines - Priced lines ({ store_id, store_delivery_fee })
+ * @param {string} params.emirate - Delivery emirate
+ * @param {number} params.subtotal - Items subtotal in display prices
+ * @param {object} settings - Pricing settings
+ * @returns {number}
+ */
+function calculateDeliveryFee({ lines, emirate, subtotal }, settings) {
+  if (lines.length === 0) {
+    return 0;
+  }
+
+  const threshold = settings.free_delivery_threshold;
+  if (threshold !== null && threshold !== undefined && subtotal >= Number(threshold)) {
+    return 0;
+  }
+
+  if (settings.delivery_fee_mode === 'per_store') {
+    const storeFees = {};
+    lines.forEach(line => {
+      storeFees[line.store_id] = line.store_delivery_fee !== null && line.store_delivery_fee !== undefined
+        ? Number(line.store_delivery_fee)
+        : Number(settings.delivery_fee);
+    });
+    return roundAmount(Object.values(storeFees).reduce((sum, fee) => sum + fee, 0));
+  }
+
+  if (settings.delivery_fee_mode === 'per_emirate') {
+    const emirateFee = (settings.emirate_fees || {})[emirate];
+    return roundAmount(emirateFee !== undefined ? emirateFee : settings.delivery_fee);
+  }
+
+  return roundAmount(settings.delivery_fee);
+}
+
+/**
+ * Price checkout lines against the current product data
+ * Lines for products with variants are priced from the chosen variant.
+ * @param {Array<object>} items - Lines from the client ({ product_id, variant_id, quantity, price })
+ * @param {Array<object>} products - Current product rows for those lines, with `product_variants`
+ * @param {object} options
+ * @param {object} options.settings - Pricing settings
+ * @param {string} [options.emirate] - Delivery emirate
+ * @returns {{ lines: Array<object>, unavailable: Array<object>, priceChanges: Array<object>, breakdown: object }}
+ */
+function priceOrderItems(items, products, { settings, emirate = null }) {
+  const productsById = {};
+  (products || []).forEach(product => {
+    productsById[product.id] = product;
+  });
+
+  const lines = [];
+  const unavailable = [];
+  const priceChanges = [];
+  const markup = roundAmount(settings.display_markup || 0);
+
+  items.forEach(item => {
+    const product = productsById[item.product_id];
+    const variants = product?.product_variants || [];
+    const variant = variants.find(candidate => candidate.id === item.variant_id) || null;
+
+    let reason = null;
+    if (!product) {
+      reason = 'Product not found';
+    } else if ((variants.length > 0 || item.variant_id) && !variant) {
+      reason = 'Choose one of the options for this product';
+    } else if (product.status !== 'active' || !product.is_available || (variant && !variant.is_available)) {
+      reason = 'Product is not available';
+    }
+
+    if (reason) {
+      unavailable.push({
+        product_id: item.product_id,
+        variant_id: item.variant_id || null,
+        product_name: product ? product.name : null,
+        reason
+      });
+      return;
+    }
+
+    const quantity = parseInt(item.quantity, 10);
+    const basePrice = roundAmount((variant || product).price);
+    const unitPrice = displayPrice(basePrice, settings);
+
+    // Client price is only used to detect a stale cart, never to charge
+    if (item.price !== undefined && item.price !== null && roundAmount(item.price) !== unitPrice) {
+      priceChanges.push({
+        product_id: product.id,
+        variant_id: variant ? variant.id : null,
+        product_name: product.name,
+        variant_name: variant ? variant.name : null,
+        cart_price: roundAmount(item.price),
+        current_price: unitPrice,
+        difference: roundAmount(unitPrice - item.price)
+      });
+    }
+
+    lines.push({
+      product_id: product.id,
+      variant_id: variant ? variant.id : null,
+      store_id: product.store_id,
+      product_name: product.name,
+      variant_name: variant ? variant.name : null,
+      sku: variant ? variant.sku : null,
+      store_name: product.stores?.name || '',
+      store_delivery_fee: product.stores?.delivery_fee ?? null,
+      image_url: product.product_images?.find(image => image.is_primary)?.image_url ||
+        product.product_images?.[0]?.image_url || null,
+      quantity,
+      base_price: basePrice,
+      delivery_markup: markup,
+      unit_price: unitPrice,
+      line_total: roundAmount(unitPrice * quantity)
+    });
+  });
+
+  const itemsSubtotal = roundAmount(lines.reduce((sum, line) => sum + (line.base_price * line.quantity), 0));
+  const deliveryMarkupTotal = roundAmount(lines.reduce((sum, line) => sum + (line.delivery_markup * line.quantity), 0));
+  const subtotal = roundAmount(itemsSubtotal + deliveryMarkupTotal);
+  const deliveryFee = calculateDeliveryFee({ lines, emirate, subtotal }, settings);
+  const discount = 0;
+
+  return {
+    lines,
+    unavailable,
+    priceChanges,
+    breakdown: {
+      items: lines.map(line => ({
+        product_id: line.product_id,
+        variant_id: line.variant_id,
+        product_name: line.product_name,
+        variant_name: line.variant_name,
+        store_id: line.store_id,
+        quantity: line.quantity,
+        base_price: line.base_price,
+        delivery_markup: line.delivery_markup,
+        unit_price: line.unit_price,
+        line_total: line.line_total
+      })),
+      items_subtotal: itemsSubtotal,
+      delivery_markup_total: deliveryMarkupTotal,
+      subtotal,
+      delivery_fee: deliveryFee,
+      delivery_fee_mode: settings.delivery_fee_mode,
+      discount,
+      total: roundAmount(subtotal + deliveryFee - discount),
+      currency: 'AED'
+    }
+  };
+}
+
+/**
+ * Financial breakdown of a placed order for the team (commission and store payout)
+ * @param {object} order - Order with `order_items` (original_price, quantity) and `sub_orders`
+ * @returns {{ itemsSubtotal: number, deliveryAndMarkup: number, discount: number, storeDiscount: number, commission: number, storePayout: number }}
+ */
+function orderFinancials(order) {
+  const itemsSubtotal = roundAmount((order.order_items || [])
+    .reduce((sum, item) => sum + (Number(item.original_price) * item.quantity), 0));
+  const discount = roundAmount(order.discount_amount || 0);
+  const subOrders = order.sub_orders || [];
+
+  // Sub-orders hold the commission and payout fixed at checkout, including
+  // any store-funded discount; older orders fall back to the flat rate
+  const storeDiscount = roundAmount(subOrders.reduce((sum, sub) => sum + Number(sub.discount_amount || 0), 0));
+  const commission = subOrders.length > 0
+    ? roundAmount(subOrders.reduce((sum, sub) => sum + Number(sub.commission), 0))
+    : roundAmount(itemsSubtotal * COMMISSION_RATE);
+  const storePayout = subOrders.length > 0
+    ? roundAmount(subOrders.reduce((sum, sub) => sum + Number(sub.payout_amount), 0))
+    : roundAmount(itemsSubtotal - commission);
+
+  return {
+    itemsSubtotal,
+    deliveryAndMarkup: roundAmount(Number(order.total_amount) + discount - itemsSubtotal),
+    discount,
+    storeDiscount,
+    commission,
+    storePayout
+  };
+}
+
+module.exports = {
+  COMMISSION_RATE,
+  DELIVERY_FEE_MODES,
+  DEFAULT_PRICING_SETTINGS,
+  roundAmount,
+  getPricingSettings,
+  updatePricingSettings,
+  displayPrice,
+  withDisplayPrices,
+  calculateDeliveryFee,
+  priceOrderItems,
+  orderFinancials
+};
@@ -0,0 +1,271 @@
+const { supabaseAdmin } = require('../config/database');
+const { roundAmount } = require('./pricing');
+const { isUuid } = require('./ids');
+
+/**
+ * Promo codes
+ * Codes are either platform-wide (funded by Somah) or belong to a store
+ * (funded by the store and only valid on its products). Limits are checked
+ * here for friendly errors and again in checkout_order() with the code locked.
+ */
+
+const DISCOUNT_TYPES = ['percentage', 'fixed'];
+
+/**
+ * Normalise a code the way it is stored
+ * @param {string} code
+ * @returns {string}
+ */
+function normalizeCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+/**
+ * Find a promo code by its code
+ * @param {string} code
+ * @returns {Promise<object|null>}
+ */
+async function findPromoCode(code) {
+  const normalized = normalizeCode(code);
+  if (!normalized) {
+    return null;
+  }
+
+  const { data: promo } = await supabaseAdmin
+    .from('promo_codes')
+    .select('*')
+    .eq('code', normalized)
+    .single();
+
+  return promo || null;
+}
+
+/**
+ * Discount a code gives on a set of priced lines
+ * Platform codes apply to the whole subtotal. Store codes apply to that
+ * store's lines and never exceed what the store is paid for them.
+ * @param {object} promo - promo_codes row
+ * @param {Array<object>} lines - Lines from priceOrderItems()
+ * @returns {{ discount: number, eligibleSubtotal: number }}
+ */
+function calculateDiscount(promo, lines) {
+  const eligibleLines = promo.store_id
+    ? lines.filter(line => line.store_id === promo.store_id)
+    : lines;
+
+  const eligibleSubtotal = roundAmount(eligibleLines.reduce((sum, line) => sum + line.line_total, 0));
+  const maxDiscount = promo.store_id
+    ? roundAmount(eligibleLines.reduce((sum, line) => sum + (line.base_price * line.quantity), 0))
+    : eligibleSubtotal;
+
+  let discount = promo.discount_type === 'percentage'
+    ? eligibleSubtotal * Number(promo.discount_value) / 100
+    : Number(promo.discount_value);
+
+  if (promo.max_discount !== null && promo.max_discount !== undefined) {
+    discount = Math.min(discount, Number(promo.max_discount));
+  }
+
+  return {
+    discount: roundAmount(Math.max(Math.min(discount, maxDiscount), 0)),
+    eligibleSubtotal
+  };
+}
+
+/**
+ * Check a promo code against a customer and their priced lines
+ * @param {object} promo - promo_codes row
+ * @param {object} params
+ * @param {string|null} params.customerId - users.id, null for guests
+ * @param {string} [params.guestId] - Guest ID (guests only)
+ * @param {string} [params.guestEmail] - Email given at guest checkout, lowercase (guests only)
+ * @param {Array<object>} params.lines - Lines from priceOrderItems()
+ * @returns {Promise<{ discount: number, error: string|null }>}
+ */
+async function validatePromoCode(promo, { customerId, guestId = null, guestEmail = null, lines }) {
+  const now = new Date();
+
+  if (!promo || !promo.is_active ||
+    (promo.starts_at && new Date(promo.starts_at) > now) ||
+    (promo.ends_at && new Date(promo.ends_at) <= now)) {
+    return { discount: 0, error: 'This promo code is not valid' };
+  }
+
+  const { discount, eligibleSubtotal } = calculateDiscount(promo, lines);
+
+  if (eligibleSubtotal === 0) {
+    return { discount: 0, error: 'This promo code does not apply to the items in your cart' };
+  }
+
+  if (eligibleSubtotal < Number(promo.min_order_amount || 0)) {
+    return { discount: 0, error: `This promo code needs a minimum order of AED ${Number(promo.min_order_amount).toFixed(2)}` };
+  }
+
+  // Redemptions on cancelled orders don't count towards the limits
+  if (promo.usage_limit !== null || promo.per_user_limit !== null) {
+    const { data: redemptions, error } = await supabaseAdmin
+      .from('promo_redemptions')
+      .select('customer_id, orders!inner (status, guest_id, guest_email)')
+      .eq('promo_code_id', promo.id)
+      .neq('orders.status', 'cancelled');
+
+    if (error) {
+      console.error('Promo redemptions fetch error:', error);
+      throw error;
+    }
+
+    const used = (redemptions || []).length;
+    // Guests are recognised by their guest ID or the email they check out with
+    const usedByCustomer = (redemptions || []).filter(row => customerId
+      ? row.customer_id === customerId
+      : (guestId && row.orders.guest_id === guestId) || (guestEmail && row.orders.guest_email === guestEmail)
+    ).length;
+
+    if (promo.usage_limit !== null && used >= promo.usage_limit) {
+      return { discount: 0, error: 'This promo code has reached its usage limit' };
+    }
+
+    if (promo.per_user_limit !== null && usedByCustomer >= promo.per_user_limit) {
+      return { discount: 0, error: 'You have already used this promo code' };
+    }
+  }
+
+  if (promo.first_order_only) {
+    // Both go into an .or() filter string
+    if (!customerId && !isUuid(guestId)) {
+      return { discount: 0, error: 'This promo code is only valid on your first order' };
+    }
+
+    let ordersQuery = supabaseAdmin
+      .from('orders')
+      .select('id', { count: 'exact', head: true })
+      .neq('status', 'cancelled');
+
+    ordersQuery = customerId
+      ? ordersQuery.eq('customer_id', customerId)
+      : ordersQuery.or(guestEmail ? `guest_id.eq.${guestId},guest_email.eq."${guestEmail}"` : `guest_id.eq.${guestId}`);
+
+    const { count } = await ordersQuery;
+
+    if (count > 0) {
+      return { discount: 0, error: 'This promo code is only valid on your first order' };
+    }
+  }
+
+  return { discount, error: null };
+}
+
+/**
+ * Apply a discount to a pricing breakdown from priceOrderItems()
+ * @param {object} breakdown
+ * @param {object} promo - promo_codes row
+ * @param {number} discount
+ * @returns {object}
+ */
+function applyDiscount(breakdown, promo, discount) {
+  return {
+    ...breakdown,
+    discount,
+    promo_code: promo.code,
+    discount_funded_by: promo.store_id ? 'store' : 'platform',
+    total: roundAmount(breakdown.subtotal + breakdown.delivery_fee - discount)
+  };
+}
+
+/**
+ * Validate promo code fields sent by an admin
+ * @param {object} body - Request body
+ * @param {boolean} partial - Only check the fields that are present (updates)
+ * @returns {{ values: object, error: string|null }}
+ */
+function parsePromoCode(body, partial = false) {
+  const values = {};
+
+  if (body.code !== undefined || !partial) {
+    const code = normalizeCode(body.code);
+    if (!/^[A-Z0-9_-]{3,50}$/.test(code)) {
+      return { values, error: 'code must be 3-50 letters, numbers, dashes or underscores' };
+    }
+    values.code = code;
+  }
+
+  if (body.discount_type !== undefined || !partial) {
+    if (!DISCOUNT_TYPES.includes(body.discount_type)) {
+      return { values, error: `discount_type must be one of ${DISCOUNT_TYPES.join(', ')}` };
+    }
+    values.discount_type = body.discount_type;
+  }
+
+  if (body.discount_value !== undefined || !partial) {
+    const value = Number(body.discount_value);
+    if (!Number.isFinite(value) || value <= 0) {
+      return { values, error: 'discount_value must be a positive number' };
+    }
+    if ((values.discount_type || body.discount_type) === 'percentage' && value > 100) {
+      return { values, error: 'A percentage discount can be at most 100' };
+    }
+    values.discount_value = roundAmount(value);
+  }
+
+  for (const field of ['max_discount', 'min_order_amount']) {
+    if (body[field] !== undefined) {
+      if (body[field] === null) {
+        values[field] = field === 'min_order_amount' ? 0 : null;
+        continue;
+      }
+      const value = Number(body[field]);
+      if (!Number.isFinite(value) || value < 0) {
+        return { values, error: `${field} must be a non-negative number` };
+      }
+      values[field] = roundAmount(value);
+    }
+  }
+
+  for (const field of ['usage_limit', 'per_user_limit']) {
+    if (body[field] !== undefined) {
+      if (body[field] !== null && (!Number.isInteger(Number(body[field])) || Number(body[field]) <= 0)) {
+        return { values, error: `${field} must be a positive whole number or null` };
+      }
+      values[field] = body[field] === null ? null : Number(body[field]);
+    }
+  }
+
+  for (const field of ['starts_at', 'ends_at']) {
+    if (body[field] !== undefined) {
+      if (body[field] !== null && Number.isNaN(new Date(body[field]).getTime())) {
+        return { values, error: `${field} must be a date` };
+      }
+      values[field] = body[field] === null ? null : new Date(body[field]).toISOString();
+    }
+  }
+
+  if (values.starts_at && values.ends_at && new Date(values.ends_at) <= new Date(values.starts_at)) {
+    return { values, error: 'ends_at must be after starts_at' };
+  }
+
+  for (const field of ['first_order_only', 'is_active']) {
+    if (body[field] !== undefined) {
+      values[field] = Boolean(body[field]);
+    }
+  }
+
+  if (body.description !== undefined) {
+    values.description = body.description || null;
+  }
+
+  if (body.store_id !== undefined) {
+    values.store_id = body.store_id || null;
+  }
+
+  return { values, error: null };
+}
+
+module.exports = {
+  DISCOUNT_TYPES,
+  normalizeCode,
+  findPromoCode,
+  calculateDiscount,
+  validatePromoCode,
+  applyDiscount,
+  parsePromoCode
+};
@@ -0,0 +1,170 @@
+const { supabaseAdmin } = require('../config/database');
+const { ownedBy } = require('./guests');
+
+/**
+ * Stock reservations
+ * Short holds on stock so popular items aren't sold twice while customers
+ * check out. Checkout holds the whole cart (POST /cart/reserve); holds at
+ * add-to-cart are optional. Products with variants are held per variant.
+ * Available stock is stock minus other customers' active holds, and
+ * checkout_order() turns the customer's own holds into a real stock
+ * deduction. Expired holds are ignored and swept up below.
+ */
+
+// How long a checkout hold lasts
+const CHECKOUT_RESERVATION_MINUTES = parseInt(process.env.CHECKOUT_RESERVATION_MINUTES || '15', 10);
+
+// How long an add-to-cart hold lasts (0 = no holds at add-to-cart)
+const CART_RESERVATION_MINUTES = parseInt(process.env.CART_RESERVATION_MINUTES || '0', 10);
+
+/**
+ * Hold stock for a customer
+ * @param {{ userId: string|null, guestId: string|null }} customer - From getCustomer()
+ * @param {Array<{ product_id: string, variant_id?: string|null, quantity: number }>} items
+ * @param {object} [options]
+ * @param {string} [options.source] - "checkout" (replaces all the customer's holds) or "cart" (replaces the given products' holds)
+ * @returns {Promise<{ expiresAt: string|null, error: { status: number, message: string, out_of_stock?: Array<object> }|null }>}
+ */
+async function reserveStock(customer, items, { source = 'checkout' } = {}) {
+  const minutes = source === 'cart' ? CART_RESERVATION_MINUTES : CHECKOUT_RESERVATION_MINUTES;
+
+  const { data: expiresAt, error } = await supabaseAdmin
+    .rpc('reserve_stock', {
+      p_user_id: customer.userId,
+      p_guest_id: customer.guestId,
+      p_items: items.map(item => ({
+        product_id: item.product_id,
+        variant_id: item.variant_id || null,
+        quantity: item.quantity
+      })),
+      p_minutes: minutes,
+      p_source: source,
+      p_replace_all: source === 'checkout'
+    });
+
+  if (error) {
+    if (error.message === 'OUT_OF_STOCK') {
+      let outOfStock = [];
+      try {
+        outOfStock = JSON.parse(error.details || '[]');
+      } catch (parseError) {
+        outOfStock = [];
+      }
+      return {
+        expiresAt: null,
+        error: { status: 409, message: 'Some items in your cart are out of stock', out_of_stock: outOfStock }
+      };
+    }
+
+    console.error('Stock reservation error:', error);
+    return { expiresAt: null, error: { status: 500, message: 'Failed to reserve stock' } };
+  }
+
+  return { expiresAt, error: null };
+}
+
+/**
+ * Release a customer's holds (all of them, or one cart line's)
+ * @param {{ userId: string|null, guestId: string|null }} customer - From getCustomer()
+ * @param {string} [productId]
+ * @param {string} [variantId] - The line's variant, for products with variants
+ * @returns {Promise<void>}
+ */
+async function releaseStock(customer, productId = null, variantId = null) {
+  let releaseQuery = supabaseAdmin
+    .from('stock_reservations')
+    .delete()
+    .match(ownedBy(customer, 'user_id'));
+
+  if (productId) {
+    releaseQuery = releaseQuery.eq('product_id', productId);
+    releaseQuery = variantId
+      ? releaseQuery.eq('variant_id', variantId)
+      : releaseQuery.is('variant_id', null);
+  }
+
+  const { error } = await releaseQuery;
+  if (error) {
+    // Holds expire on their own
+    console.error('Stock release error:', error);
+  }
+}
+
+/**
+ * Stock held by active reservations per product and per variant
+ * @param {Array<string>} productIds
+ * @param {{ userId: string|null, guestId: string|null }} [customer] - Leave out this customer's own holds
+ * @returns {Promise<{ products: object, variants: object }>} Maps of product ID and variant ID to reserved quantity
+ */
+async function getReservedStock(productIds, customer = null) {
+  const reserved = { products: {}, variants: {} };
+  if (productIds.length === 0) {
+    return reserved;
+  }
+
+  const { data: reservations, error } = await supabaseAdmin
+    .from('stock_reservations')
+    .select('product_id, variant_id, user_id, guest_id, quantity')
+    .in('product_id', productIds)
+    .gt('expires_at', new Date().toISOString());
+
+  if (error) {
+    console.error('Stock reservations fetch error:', error);
+    return reserved;
+  }
+
+  (reservations || [])
+    .filter(reservation => !customer ||
+      !((customer.userId && reservation.user_id === customer.userId) ||
+        (customer.guestId && reservation.guest_id === customer.guestId)))
+    .forEach(reservation => {
+      reserved.products[reservation.product_id] = (reserved.products[reservation.product_id] || 0) + reservation.quantity;
+      if (reservation.variant_id) {
+        reserved.variants[reservation.variant_id] = (reserved.variants[reservation.variant_id] || 0) + reservation.quantity;
+      }
+    });
+
+  return reserved;
+}
+
+/**
+ * Add `available_stock` (stock minus active holds) to a list of products and
+ * their `product_variants`, when loaded
+ * @param {Array<object>} products - Rows with id and stock
+ * @returns {Promise<Array<object>>}
+ */
+async function withAvailableStock(products) {
+  const reserved = await getReservedStock((products || []).map(product => product.id));
+
+  return (products || []).map(product => ({
+    ...product,
+    available_stock: Math.max((Number(product.stock) || 0) - (reserved.products[product.id] || 0), 0),
+    ...(product.product_variants && {
+      product_variants: product.product_variants.map(variant => ({
+        ...variant,
+        available_stock: Math.max((Number(variant.stock) || 0) - (reserved.variants[variant.id] || 0), 0)
+      }))
+    })
+  }));
+}
+
+// Release expired holds every minute
+setInterval(async () => {
+  const { error } = await supabaseAdmin
+    .from('stock_reservations')
+    .delete()
+    .lte('expires_at', new Date().toISOString());
+
+  if (error) {
+    console.error('Stock reservation sweep error:', error);
+  }
+}, 60 * 1000);
+
+module.exports = {
+  CHECKOUT_RESERVATION_MINUTES,
+  CART_RESERVATION_MINUTES,
+  reserveStock,
+  releaseStock,
+  getReservedStock,
+  withAvailableStock
+};
@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+
+/**
+ * Public order tracking
+ * Anyone with an order number can follow the order without signing in, as
+ * long as they also have the phone number it's delivered to or the tracking
+ * token returned at checkout. Only the status timeline and estimate are
+ * shown - never names, addresses or amounts.
+ */
+
+// Customer-facing label per order status
+const TRACKING_LABELS = {
+  pending: 'Order placed',
+  confirmed: 'Confirmed by the store',
+  shipped: 'Out for delivery',
+  delivered: 'Delivered',
+  cancelled: 'Cancelled'
+};
+
+// Anyone knowing the secret could track any order, so there is no default
+if (!process.env.TRACKING_TOKEN_SECRET) {
+  console.error('❌ ERROR: Missing TRACKING_TOKEN_SECRET environment variable!');
+  process.exit(1);
+}
+
+/**
+ * Signed token that lets anyone holding it track one order
+ * @param {object} order - orders row (id, order_number)
+ * @returns {string}
+ */
+function createTrackingToken(order) {
+  return crypto
+    .createHmac('sha256', process.env.TRACKING_TOKEN_SECRET)
+    .update(`${order.id}.${order.order_number}`)
+    .digest('base64url');
+}
+
+/**
+ * @param {object} order - orders row (id, order_number)
+ * @param {string} token
+ * @returns {boolean}
+ */
+function verifyTrackingToken(order, token) {
+  const expected = Buffer.from(createTrackingToken(order));
+  const received = Buffer.from(String(token || ''));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Phone number without formatting, country code or leading 0
+ * ("+971 50 123 4567" and "0501234567" both become "501234567")
+ * @param {string} phone
+ * @returns {string}
+ */
+function normalizePhone(phone) {
+  return String(phone || '').replace(/\D/g, '').replace(/^(00971|971|0)/, '');
+}
+
+/**
+ * Compare phone numbers ignoring formatting and country code
+ * @param {string} orderPhone
+ * @param {string} phone
+ * @returns {boolean}
+ */
+function phoneMatches(orderPhone, phone) {
+  const expected = normalizePhone(orderPhone);
+  return expected.length >= 7 && expected === normalizePhone(phone);
+}
+
+/**
+ * Privacy-safe view of an order for the tracking page
+ * @param {object} order - orders row
+ * @param {Array<object>} history - order_status_history rows (status, sub_order_id, created_at)
+ * @returns {object}
+ */
+function buildTracking(order, history) {
+  // Store-level steps are internal; customers follow the order as a whole
+  const timeline = (history || [])
+    .filter(entry => !entry.sub_order_id)
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+    .map(entry => ({
+      status: entry.status,
+      label: TRACKING_LABELS[entry.status] || entry.status,
+      at: entry.created_at
+    }));
+
+  return {
+    order_number: order.order_number,
+    status: order.status,
+    label: TRACKING_LABELS[order.status] || order.status,
+    placed_at: order.created_at,
+    estimated_delivery_date: ['delivered', 'cancelled'].includes(order.status) ? null : order.estimated_delivery_date,
+    delivered_at: order.delivered_at,
+    delivery_slot: order.delivery_slot_start
+      ? { start: order.delivery_slot_start, end: order.delivery_slot_end }
+      : null,
+    timeline
+  };
+}
+
+module.exports = {
+  TRACKING_LABELS,
+  createTrackingToken,
+  verifyTrackingToken,
+  normalizePhone,
+  phoneMatches,
+  buildTracking
+};
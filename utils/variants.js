@@ -0,0 +1,125 @@
+/**
+ * Product variants
+ * A product can have option types (`product_options`, e.g. Size: S, M, L)
+ * and variants (`product_variants`), one per combination of option values,
+ * each with its own SKU, price, stock and images. Products with variants are
+ * only sold as one of them - cart lines, holds, order items and inventory
+ * movements all carry the variant.
+ */
+
+// Option types per product (e.g. size, colour, volume)
+const MAX_PRODUCT_OPTIONS = 3;
+
+/**
+ * Validate the option types sent by a store owner
+ * @param {Array<{ name: string, values: Array<string> }>} options - In display order
+ * @returns {{ options: Array<{ name: string, option_values: Array<string>, position: number }>|null, error: string|null }}
+ */
+function parseProductOptions(options) {
+  if (!Array.isArray(options)) {
+    return { options: null, error: 'options must be a list of { name, values }' };
+  }
+
+  if (options.length > MAX_PRODUCT_OPTIONS) {
+    return { options: null, error: `A product can have at most ${MAX_PRODUCT_OPTIONS} options` };
+  }
+
+  const parsed = [];
+  for (const option of options) {
+    const name = typeof option?.name === 'string' ? option.name.trim() : '';
+    if (!name) {
+      return { options: null, error: 'Each option needs a name' };
+    }
+
+    if (parsed.some(existing => existing.name.toLowerCase() === name.toLowerCase())) {
+      return { options: null, error: `Option ${name} is listed twice` };
+    }
+
+    const values = Array.isArray(option.values)
+      ? option.values.map(value => String(value).trim()).filter(Boolean)
+      : [];
+    if (values.length === 0) {
+      return { options: null, error: `Option ${name} needs at least one value` };
+    }
+
+    if (new Set(values.map(value => value.toLowerCase())).size !== values.length) {
+      return { options: null, error: `Option ${name} has the same value twice` };
+    }
+
+    parsed.push({ name, option_values: values, position: parsed.length });
+  }
+
+  return { options: parsed, error: null };
+}
+
+/**
+ * Validate the option values of a variant against its product's options
+ * @param {object} values - Option name to value, e.g. { "Size": "M", "Colour": "Red" }
+ * @param {Array<object>} productOptions - product_options rows
+ * @returns {{ options: object|null, name: string|null, error: string|null }}
+ */
+function parseVariantOptions(values, productOptions) {
+  if (!productOptions || productOptions.length === 0) {
+    return { options: null, name: null, error: 'Add options to the product before adding variants' };
+  }
+
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    return { options: null, name: null, error: 'options must be an object of option name to value' };
+  }
+
+  const unknown = Object.keys(values).find(key => !productOptions.some(option => option.name === key));
+  if (unknown) {
+    return { options: null, name: null, error: `${unknown} is not an option of this product` };
+  }
+
+  const options = {};
+  const labels = [];
+  for (const option of [...productOptions].sort((a, b) => a.position - b.position)) {
+    const value = values[option.name] !== undefined ? String(values[option.name]).trim() : '';
+    if (!option.option_values.includes(value)) {
+      return {
+        options: null,
+        name: null,
+        error: `${option.name} must be one of ${option.option_values.join(', ')}`
+      };
+    }
+    options[option.name] = value;
+    labels.push(value);
+  }
+
+  return { options, name: labels.join(' / '), error: null };
+}
+
+/**
+ * Find the variant a customer picked for a product
+ * @param {object} product - products row with `product_variants`
+ * @param {string|null} variantId
+ * @returns {{ variant: object|null, error: { status: number, message: string }|null }}
+ */
+function resolveVariant(product, variantId) {
+  const variants = product.product_variants || [];
+
+  if (!variantId) {
+    return variants.length > 0
+      ? { variant: null, error: { status: 400, message: 'Choose one of the options for this product' } }
+      : { variant: null, error: null };
+  }
+
+  const variant = variants.find(candidate => candidate.id === variantId);
+  if (!variant) {
+    return { variant: null, error: { status: 404, message: 'Variant not found' } };
+  }
+
+  if (!variant.is_available) {
+    return { variant: null, error: { status: 404, message: 'Product not available' } };
+  }
+
+  return { variant, error: null };
+}
+
+module.exports = {
+  MAX_PRODUCT_OPTIONS,
+  parseProductOptions,
+  parseVariantOptions,
+  resolveVariant
+};